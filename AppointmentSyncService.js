@@ -0,0 +1,574 @@
+/**
+ * AppointmentSyncService.gs
+ * Local cache of therapy appointments in the Appointments sheet
+ * Kept current with incremental Calendar API syncs: after one full sync per
+ * calendar, each sync reads only the events changed since the last one, so
+ * the appointments dialog can show the cache at once and refresh in the background
+ */
+
+const AppointmentSyncService = {
+  
+  SHEET_NAME: 'Appointments',
+  
+  // Appointment columns, in sheet order
+  HEADERS: [
+    'Event_ID',
+    'Calendar_ID',
+    'Calendar_Name',
+    'Appointment_ID',
+    'Title',
+    'Description',
+    'Start_Time',
+    'End_Time',
+    'Location',
+    'Attendees',
+    'Is_Recurring',
+    'Updated',
+    'Client_ID'
+  ],
+  
+  // Script property holding each calendar's sync token and cached window
+  STATE_KEY: 'APPOINTMENT_SYNC_STATE',
+  
+  // Days before and after a full sync that the cache covers
+  PAST_DAYS: 30,
+  FUTURE_DAYS: 90,
+  
+  // Run a full sync again once fewer days than this remain in the cached window
+  RESYNC_MARGIN_DAYS: 30,
+  
+  // Events requested per Calendar API page
+  PAGE_SIZE: 250,
+  
+  // Serialize syncs started by the dialog and by triggers
+  LOCK_TIMEOUT_MS: 30000,
+  
+  /**
+   * Check whether the Calendar advanced service is enabled
+   * @returns {boolean} True if Calendar.Events.list can be called
+   */
+  isAvailable() {
+    return typeof Calendar !== 'undefined' && Boolean(Calendar.Events);
+  },
+  
+  /**
+   * Get or create the appointments sheet
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} Appointments sheet
+   */
+  getAppointmentsSheet() {
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        
+        // Set up headers
+        const headers = this.HEADERS;
+        
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      } else {
+        this.ensureAppointmentHeaders(sheet);
+      }
+      
+      return sheet;
+    } catch (error) {
+      Logger.log('Error getting appointments sheet: ' + error.toString());
+      throw new Error('Unable to access appointment cache');
+    }
+  },
+  
+  /**
+   * Add any missing appointment columns to an existing sheet
+   * Caches created before client tagging lack the Client_ID column
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Appointments sheet
+   */
+  ensureAppointmentHeaders(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = lastColumn > 0 ?
+      sheet.getRange(1, 1, 1, lastColumn).getValues()[0] :
+      [];
+    
+    const missing = this.HEADERS.filter(header => !headers.includes(header));
+    if (missing.length === 0) {
+      return;
+    }
+    
+    const range = sheet.getRange(1, lastColumn + 1, 1, missing.length);
+    range.setValues([missing]);
+    range.setFontWeight('bold');
+    Logger.log(`Added appointment columns: ${missing.join(', ')}`);
+  },
+  
+  /**
+   * Bring the cache up to date with every selected calendar
+   * A calendar without a sync token, whose detection rules changed, or whose
+   * cached window is running out gets a full sync; the others are read
+   * incrementally. A calendar that cannot be read keeps its cached appointments.
+   * @returns {Object} Counts of calendars synced, full syncs, appointments updated
+   *   and removed, failed calendars, and error message if the sync could not run
+   */
+  sync() {
+    const summary = { calendars: 0, fullSyncs: 0, updated: 0, removed: 0, failed: [] };
+    
+    try {
+      if (!this.isAvailable()) {
+        throw new Error('The Calendar advanced service is not enabled');
+      }
+      
+      const lock = LockService.getScriptLock();
+      lock.waitLock(this.LOCK_TIMEOUT_MS);
+      
+      try {
+        const rules = getCalendarRules();
+        const previous = this.getState().calendars;
+        const calendars = {};
+        const records = new Map(this.getRecords().map(record => [this.getRecordKey(record), record]));
+        
+        rules.forEach(rule => {
+          try {
+            const result = this.syncCalendar(rule, previous[rule.id], records);
+            
+            calendars[rule.id] = result.state;
+            summary.calendars++;
+            summary.fullSyncs += result.fullSync ? 1 : 0;
+            summary.updated += result.updated;
+            summary.removed += result.removed;
+          } catch (calendarError) {
+            Logger.log(`Error syncing calendar ${rule.id}: ${calendarError.toString()}`);
+            summary.failed.push({ calendarId: rule.id, error: calendarError.message });
+            
+            if (previous[rule.id]) {
+              calendars[rule.id] = previous[rule.id];
+            }
+          }
+        });
+        
+        // Calendars that are no longer selected drop out of the cache
+        records.forEach((record, key) => {
+          if (!calendars[record.calendarId]) {
+            records.delete(key);
+          }
+        });
+        
+        this.writeRecords([...records.values()]);
+        this.saveState({ calendars: calendars });
+      } finally {
+        lock.releaseLock();
+      }
+      
+      Logger.log(`Synced ${summary.calendars} calendars: ${summary.updated} appointments updated, ${summary.removed} removed`);
+      
+      return summary;
+    } catch (error) {
+      Logger.log('Error syncing appointments: ' + error.toString());
+      return { ...summary, error: error.message };
+    }
+  },
+  
+  /**
+   * Sync one calendar into the cached records
+   * @param {Object} rule - Calendar rules, see getCalendarRules
+   * @param {Object} previous - Calendar's saved sync state, if any
+   * @param {Map} records - Cached records keyed by getRecordKey; updated in place
+   * @returns {Object} New sync state, whether a full sync ran, and counts updated and removed
+   */
+  syncCalendar(rule, previous, records) {
+    const ruleKey = this.getRuleKey(rule);
+    const windowRunningOut = previous &&
+      new Date(previous.windowEnd) - new Date() < this.RESYNC_MARGIN_DAYS * 24 * 60 * 60 * 1000;
+    
+    if (previous && previous.syncToken && previous.ruleKey === ruleKey && !windowRunningOut) {
+      try {
+        const changes = this.listEvents(rule.id, { singleEvents: true, syncToken: previous.syncToken });
+        return this.applyChanges(rule, previous, changes, records, false);
+      } catch (error) {
+        if (!this.isSyncTokenExpired(error)) {
+          throw error;
+        }
+        
+        Logger.log(`Sync token for calendar ${rule.id} has expired; running a full sync`);
+      }
+    }
+    
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    const windowStart = new Date(today);
+    windowStart.setDate(windowStart.getDate() - this.PAST_DAYS);
+    
+    const windowEnd = new Date(today);
+    windowEnd.setDate(windowEnd.getDate() + this.FUTURE_DAYS);
+    
+    const events = this.listEvents(rule.id, {
+      singleEvents: true,
+      showDeleted: false,
+      timeMin: windowStart.toISOString(),
+      timeMax: windowEnd.toISOString()
+    });
+    
+    // A full sync replaces everything cached for the calendar
+    const cachedKeys = [];
+    records.forEach((record, key) => {
+      if (record.calendarId === rule.id) {
+        records.delete(key);
+        cachedKeys.push(key);
+      }
+    });
+    
+    const result = this.applyChanges(rule, { windowStart: windowStart, windowEnd: windowEnd }, events, records, true);
+    
+    return { ...result, removed: cachedKeys.filter(key => !records.has(key)).length };
+  },
+  
+  /**
+   * Apply listed events to the cached records
+   * Cancelled events, events moved out of the cached window and events that no
+   * longer look like therapy appointments are removed; the rest are added or replaced
+   * @param {Object} rule - Calendar rules
+   * @param {Object} cacheWindow - windowStart and windowEnd of the cache
+   * @param {Object} listing - Result of listEvents
+   * @param {Map} records - Cached records; updated in place
+   * @param {boolean} fullSync - Whether the listing is a full sync
+   * @returns {Object} New sync state, fullSync, and counts updated and removed
+   */
+  applyChanges(rule, cacheWindow, listing, records, fullSync) {
+    if (!listing.syncToken) {
+      throw new Error(`Calendar ${rule.id} did not return a sync token`);
+    }
+    
+    const windowStart = new Date(cacheWindow.windowStart);
+    const windowEnd = new Date(cacheWindow.windowEnd);
+    const source = { id: rule.id, name: rule.name || listing.summary || rule.id };
+    let updated = 0;
+    let removed = 0;
+    
+    listing.items.forEach(item => {
+      const key = this.getRecordKey({ calendarId: rule.id, eventId: item.id });
+      const existed = records.delete(key);
+      
+      const record = item.status === 'cancelled' ? null : this.fromApiEvent(item, source);
+      const keep = record && record.startTime && record.endTime &&
+        record.endTime > windowStart && record.startTime < windowEnd &&
+        isTherapyAppointment(this.toEvent(record), rule);
+      
+      if (keep) {
+        records.set(key, record);
+        updated++;
+      } else if (existed) {
+        removed++;
+      }
+    });
+    
+    return {
+      state: {
+        syncToken: listing.syncToken,
+        ruleKey: this.getRuleKey(rule),
+        windowStart: windowStart.toISOString(),
+        windowEnd: windowEnd.toISOString(),
+        lastSync: new Date().toISOString()
+      },
+      fullSync: fullSync,
+      updated: updated,
+      removed: removed
+    };
+  },
+  
+  /**
+   * Read every page of a Calendar.Events.list request
+   * @param {string} calendarId - Calendar ID
+   * @param {Object} options - Request options
+   * @returns {Object} items, the calendar's summary (title) and the next syncToken
+   */
+  listEvents(calendarId, options) {
+    const items = [];
+    let pageToken = null;
+    let response;
+    
+    do {
+      const request = { ...options, maxResults: this.PAGE_SIZE };
+      if (pageToken) {
+        request.pageToken = pageToken;
+      }
+      
+      response = Calendar.Events.list(calendarId, request);
+      items.push(...(response.items || []));
+      pageToken = response.nextPageToken;
+    } while (pageToken);
+    
+    return { items: items, summary: response.summary || '', syncToken: response.nextSyncToken || '' };
+  },
+  
+  /**
+   * Check whether the Calendar API rejected a sync token (HTTP 410 Gone)
+   * @param {Error} error - Error thrown by Calendar.Events.list
+   * @returns {boolean} True if a full sync is required
+   */
+  isSyncTokenExpired(error) {
+    const message = String(error && error.message || '').toLowerCase();
+    return message.includes('410') || message.includes('full sync is required') || message.includes('sync token');
+  },
+  
+  /**
+   * Get cached appointments for a date range
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Object|null} appointments, formatted as by formatAppointmentData, and
+   *   the oldest lastSync; null if any selected calendar's cache does not cover the range
+   */
+  getCachedAppointments(startDate, endDate) {
+    try {
+      const rules = getCalendarRules();
+      const calendars = this.getState().calendars;
+      
+      const covered = rules.every(rule => {
+        const state = calendars[rule.id];
+        return state && state.syncToken && state.ruleKey === this.getRuleKey(rule) &&
+          new Date(state.windowStart) <= startDate && endDate <= new Date(state.windowEnd);
+      });
+      
+      if (!covered) {
+        return null;
+      }
+      
+      // Keep the selection's calendar order so duplicates resolve as they do live
+      const calendarIds = rules.map(rule => rule.id);
+      const appointments = this.getRecords()
+        .filter(record => calendarIds.includes(record.calendarId))
+        .filter(record => record.startTime <= endDate && record.endTime >= startDate)
+        .sort((a, b) => calendarIds.indexOf(a.calendarId) - calendarIds.indexOf(b.calendarId))
+        .map(record => formatAppointmentData(this.toEvent(record), { id: record.calendarId, name: record.calendarName }));
+      
+      const uniqueAppointments = removeDuplicateEvents(appointments);
+      uniqueAppointments.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      
+      const lastSync = rules
+        .map(rule => calendars[rule.id].lastSync)
+        .sort()[0];
+      
+      return { appointments: uniqueAppointments, lastSync: lastSync };
+    } catch (error) {
+      Logger.log('Error reading cached appointments: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Get cached appointments for one day
+   * @param {Date} targetDate - Target date
+   * @returns {Object|null} As for getCachedAppointments
+   */
+  getCachedAppointmentsForDate(targetDate) {
+    const startOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate());
+    const endOfDay = new Date(targetDate.getFullYear(), targetDate.getMonth(), targetDate.getDate(), 23, 59, 59);
+    
+    return this.getCachedAppointments(startOfDay, endOfDay);
+  },
+  
+  /**
+   * Empty the cache and forget every sync token, so the next sync is a full one
+   * @returns {boolean} Success status
+   */
+  resetCache() {
+    try {
+      this.writeRecords([]);
+      PropertiesService.getScriptProperties().deleteProperty(this.STATE_KEY);
+      return true;
+    } catch (error) {
+      Logger.log('Error resetting appointment cache: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Read every cached record
+   * @returns {Array<Object>} Records
+   */
+  getRecords() {
+    const data = this.getAppointmentsSheet().getDataRange().getValues();
+    
+    if (data.length <= 1) {
+      return [];
+    }
+    
+    const headers = data[0];
+    
+    return data.slice(1)
+      .map(row => this.toRecord(headers, row))
+      .filter(record => record.eventId && record.calendarId);
+  },
+  
+  /**
+   * Replace the cached rows
+   * @param {Array<Object>} records - Records to keep
+   */
+  writeRecords(records) {
+    const sheet = this.getAppointmentsSheet();
+    const lastRow = sheet.getLastRow();
+    
+    if (lastRow > 1) {
+      sheet.getRange(2, 1, lastRow - 1, this.HEADERS.length).clearContent();
+    }
+    
+    if (records.length > 0) {
+      sheet.getRange(2, 1, records.length, this.HEADERS.length)
+        .setValues(records.map(record => this.toRow(record)));
+    }
+  },
+  
+  /**
+   * Read the saved sync state
+   * @returns {Object} State with calendars keyed by calendar ID
+   */
+  getState() {
+    const stateString = PropertiesService.getScriptProperties().getProperty(this.STATE_KEY);
+    
+    try {
+      const state = stateString ? JSON.parse(stateString) : null;
+      return state && state.calendars ? state : { calendars: {} };
+    } catch (parseError) {
+      Logger.log(`Error parsing appointment sync state: ${parseError.toString()}`);
+      return { calendars: {} };
+    }
+  },
+  
+  /**
+   * Save the sync state
+   * @param {Object} state - Sync state
+   */
+  saveState(state) {
+    PropertiesService.getScriptProperties().setProperty(this.STATE_KEY, JSON.stringify(state));
+  },
+  
+  /**
+   * Summarize a calendar's detection rules, so cached appointments are
+   * re-synced when the rules that selected them change
+   * @param {Object} rule - Calendar rules
+   * @returns {string} Rule key
+   */
+  getRuleKey(rule) {
+    const { id, name, ...detection } = rule;
+    return JSON.stringify(detection);
+  },
+  
+  /**
+   * Key a record by calendar and event; a shared event has the same ID on every calendar
+   * @param {Object} record - Record with calendarId and eventId
+   * @returns {string} Record key
+   */
+  getRecordKey(record) {
+    return `${record.calendarId}|${record.eventId}`;
+  },
+  
+  /**
+   * Convert a Calendar API event to a record
+   * @param {Object} item - Calendar API event resource
+   * @param {Object} source - Calendar the event was read from: id and name
+   * @returns {Object} Record
+   */
+  fromApiEvent(item, source) {
+    return {
+      eventId: item.id,
+      calendarId: source.id,
+      calendarName: source.name,
+      // CalendarApp reports the iCalUID as the event ID, so sessions keep matching
+      appointmentId: item.iCalUID || item.id,
+      title: item.summary || '',
+      description: item.description || '',
+      startTime: this.parseEventTime(item.start),
+      endTime: this.parseEventTime(item.end),
+      allDay: Boolean(item.start && item.start.date && !item.start.dateTime),
+      location: item.location || '',
+      attendees: (item.attendees || []).map(attendee => attendee.email).filter(Boolean),
+      isRecurring: Boolean(item.recurringEventId),
+      colorId: item.colorId || '',
+      updated: item.updated ? new Date(item.updated) : new Date(),
+      tags: (item.extendedProperties && item.extendedProperties.private) || {}
+    };
+  },
+  
+  /**
+   * Parse a Calendar API start or end time; all-day dates are read as local days
+   * @param {Object} time - dateTime or date
+   * @returns {Date|null} Date or null if missing
+   */
+  parseEventTime(time) {
+    if (!time) {
+      return null;
+    }
+    
+    if (time.dateTime) {
+      return new Date(time.dateTime);
+    }
+    
+    const match = String(time.date || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  },
+  
+  /**
+   * Wrap a record as a CalendarEvent for detection and formatting
+   * @param {Object} record - Record
+   * @returns {Object} CalendarEvent-like object
+   */
+  toEvent(record) {
+    return createCalendarEventAdapter({ ...record, id: record.appointmentId });
+  },
+  
+  /**
+   * Convert a record to a sheet row
+   * @param {Object} record - Record
+   * @returns {Array} Row values in HEADERS order
+   */
+  toRow(record) {
+    return [
+      record.eventId,
+      record.calendarId,
+      record.calendarName,
+      record.appointmentId,
+      record.title,
+      record.description,
+      record.startTime,
+      record.endTime,
+      record.location,
+      PipeDelimitedHelpers.stringify(record.attendees),
+      record.isRecurring,
+      record.updated,
+      record.tags[getCalendarConfig().CLIENT_TAG_KEY] || ''
+    ];
+  },
+  
+  /**
+   * Convert an appointments row to a record
+   * @param {Array} headers - Appointments headers
+   * @param {Array} row - Appointments row
+   * @returns {Object} Record
+   */
+  toRecord(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    return {
+      eventId: String(value('Event_ID')),
+      calendarId: String(value('Calendar_ID')),
+      calendarName: String(value('Calendar_Name')),
+      appointmentId: String(value('Appointment_ID')),
+      title: String(value('Title')),
+      description: String(value('Description')),
+      startTime: value('Start_Time') ? new Date(value('Start_Time')) : null,
+      endTime: value('End_Time') ? new Date(value('End_Time')) : null,
+      // All-day events are never cached, and colors are only needed for detection
+      allDay: false,
+      colorId: '',
+      location: String(value('Location')),
+      attendees: PipeDelimitedHelpers.parse(String(value('Attendees'))),
+      isRecurring: value('Is_Recurring') === true || value('Is_Recurring') === 'TRUE',
+      updated: value('Updated'),
+      // Only the client tag is cached
+      tags: value('Client_ID') ? { [getCalendarConfig().CLIENT_TAG_KEY]: String(value('Client_ID')) } : {}
+    };
+  }
+};
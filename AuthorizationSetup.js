@@ -119,7 +119,7 @@ function setupOAuthScopes() {
     "runtimeVersion": "V8",
     "oauthScopes": [
       "https://www.googleapis.com/auth/spreadsheets",
-      "https://www.googleapis.com/auth/calendar.readonly",
+      "https://www.googleapis.com/auth/calendar",
       "https://www.googleapis.com/auth/script.scriptapp"
     ]
   }
@@ -224,44 +224,6 @@ function testAllCalendarMethods() {
   return results;
 }
 
-/**
- * Safe calendar access wrapper - use this instead of direct CalendarApp calls
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @return {Array} Array of events or empty array if authorization fails
- */
-function safeGetCalendarEvents(startDate, endDate) {
-  try {
-    // Check authorization first
-    const authStatus = checkAuthorizationStatus();
-    if (!authStatus.authorized) {
-      console.warn('Calendar not authorized:', authStatus.error);
-      return [];
-    }
-    
-    // Try to get events
-    const calendar = CalendarApp.getDefaultCalendar();
-    const events = calendar.getEvents(startDate, endDate);
-    
-    console.log(`Successfully retrieved ${events.length} events`);
-    return events;
-    
-  } catch (error) {
-    console.error('Safe calendar access failed:', error);
-    
-    // Show user-friendly error
-    if (error.message.includes('authorization') || error.message.includes('permission')) {
-      SpreadsheetApp.getUi().alert(
-        'Calendar Authorization Needed',
-        'This script needs permission to access your Google Calendar.\n\nPlease run "Therapy Tools > Authorize Calendar Access" from the menu first.',
-        SpreadsheetApp.getUi().ButtonSet.OK
-      );
-    }
-    
-    return [];
-  }
-}
-
 /**
  * Initialize and test all permissions
  * Run this function manually to set up all required permissions
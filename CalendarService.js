@@ -8,21 +8,14 @@
  */
 function getCalendarConfig() {
   return {
-    // Default calendar (primary calendar)
+    // Default calendar (primary calendar), read when no calendars are selected
     CALENDAR_ID: 'primary',
     
-    // Keywords to identify therapy sessions in event titles
-    THERAPY_KEYWORDS: [
-      'therapy', 'session', 'counseling', 'appointment',
-      'meeting', 'consultation', 'treatment'
-    ],
-    
     // How many days to look ahead for appointments
     DAYS_AHEAD: 7,
     
-    // Business hours (24-hour format)
-    START_HOUR: 8,
-    END_HOUR: 18,
+    // Private extended property holding the client confirmed for an event
+    CLIENT_TAG_KEY: 'therapyClientId',
     
     // Retry configuration
     MAX_RETRIES: 3,
@@ -30,6 +23,139 @@ function getCalendarConfig() {
   };
 }
 
+/**
+ * Get the calendars to read appointments from, each with its detection rules
+ * Calendars are selected in ConfigurationService and use its detection rules;
+ * a calendar's own keywords replace the include keywords but keep the include
+ * patterns, an empty keyword list treating every timed event on it as an
+ * appointment, and its own hours apply only to the days the weekly schedule has
+ * sessions on
+ * @param {Object} detectionRules - Optional detection rules to use instead of the saved ones
+ * @return {Array<Object>} Calendar rules, see buildCalendarRule
+ */
+function getCalendarRules(detectionRules = null) {
+  const config = getCalendarConfig();
+  const rules = detectionRules || ConfigurationService.getDetectionRules();
+  const selected = ConfigurationService.getCalendarSettings();
+  const calendars = selected.length > 0 ? selected : [{ id: config.CALENDAR_ID }];
+  
+  return calendars.map(calendar => buildCalendarRule(calendar, rules));
+}
+
+/**
+ * Combine a calendar's settings with the detection rules
+ * Keywords and attendee domains are lower-cased for matching
+ * @param {Object} calendar - Calendar settings: id, and optional name, keywords, startHour and endHour
+ * @param {Object} detectionRules - Detection rules, see ConfigurationService.DEFAULT_DETECTION_RULES
+ * @return {Object} Calendar rule: id, name, keywords, excludeKeywords, includePatterns,
+ *   excludePatterns, colorIds, weekdayHours, includeAttendeeDomains and excludeAttendeeDomains
+ */
+function buildCalendarRule(calendar, detectionRules) {
+  const rules = { ...ConfigurationService.DEFAULT_DETECTION_RULES, ...detectionRules };
+  const lower = values => (values || []).map(value => String(value).toLowerCase());
+  const ownKeywords = Array.isArray(calendar.keywords);
+  const ownHours = typeof calendar.startHour === 'number' || typeof calendar.endHour === 'number';
+  
+  const weekdayHours = {};
+  ConfigurationService.WEEKDAYS.forEach(day => {
+    const hours = rules.weekdayHours[day];
+    
+    if (hours) {
+      weekdayHours[day] = ownHours ? {
+        startHour: typeof calendar.startHour === 'number' ? calendar.startHour : hours.startHour,
+        endHour: typeof calendar.endHour === 'number' ? calendar.endHour : hours.endHour
+      } : hours;
+    }
+  });
+  
+  return {
+    id: calendar.id,
+    name: calendar.name || '',
+    keywords: lower(ownKeywords ? calendar.keywords : rules.includeKeywords),
+    excludeKeywords: lower(rules.excludeKeywords),
+    // "Every event" (an empty keyword list) is not narrowed by the include patterns
+    includePatterns: ownKeywords && calendar.keywords.length === 0 ? [] : rules.includePatterns,
+    excludePatterns: rules.excludePatterns,
+    colorIds: rules.colorIds.map(String),
+    weekdayHours: weekdayHours,
+    includeAttendeeDomains: lower(rules.includeAttendeeDomains),
+    excludeAttendeeDomains: lower(rules.excludeAttendeeDomains)
+  };
+}
+
+/**
+ * Open a calendar by ID
+ * @param {string} calendarId - Calendar ID; 'primary' is the user's default calendar
+ * @return {Calendar} Calendar
+ */
+function openCalendar(calendarId) {
+  if (calendarId === getCalendarConfig().CALENDAR_ID) {
+    return CalendarApp.getDefaultCalendar();
+  }
+  
+  const calendar = CalendarApp.getCalendarById(calendarId);
+  if (!calendar) {
+    throw new Error(`Calendar not found: ${calendarId}`);
+  }
+  
+  return calendar;
+}
+
+/**
+ * Read therapy appointments from every selected calendar
+ * Results are merged, de-duplicated and sorted by start time; an event on
+ * several calendars is kept once, from the first calendar in the selection.
+ * Each appointment records the calendar it came from.
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {boolean} skipFailedCalendars - Leave out calendars that cannot be read
+ *   instead of failing; still fails if none can be read
+ * @return {Array<Object>} Array of formatted appointment objects
+ */
+function getSelectedCalendarAppointments(startDate, endDate, skipFailedCalendars = false) {
+  const rules = getCalendarRules();
+  const appointments = [];
+  const failures = [];
+  
+  rules.forEach(rule => {
+    try {
+      const calendar = openCalendar(rule.id);
+      const source = { id: rule.id, name: rule.name || calendar.getName() };
+      const events = calendar.getEvents(startDate, endDate) || [];
+      
+      console.log(`Found ${events.length} total events on calendar ${source.name}`);
+      
+      events.forEach((event, i) => {
+        try {
+          if (isTherapyAppointment(event, rule)) {
+            appointments.push(formatAppointmentData(event, source));
+          }
+        } catch (eventError) {
+          console.error(`Error processing event ${i} on calendar ${source.name}:`, eventError);
+          // Continue with other events
+        }
+      });
+    } catch (calendarError) {
+      if (!skipFailedCalendars) {
+        throw calendarError;
+      }
+      
+      console.error(`Error accessing calendar ${rule.id}:`, calendarError);
+      failures.push(calendarError);
+    }
+  });
+  
+  if (failures.length > 0 && failures.length === rules.length) {
+    throw failures[0];
+  }
+  
+  const uniqueAppointments = removeDuplicateEvents(appointments);
+  uniqueAppointments.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  
+  console.log(`Filtered to ${uniqueAppointments.length} therapy appointments from ${rules.length} calendars`);
+  return uniqueAppointments;
+}
+
 /**
  * Get today's therapy appointments with authorization check
  * @return {Array<Object>} Array of appointment objects
@@ -81,41 +207,9 @@ function safeGetCalendarEvents(startDate, endDate) {
       throw new Error('Calendar access requires authorization. Please run "Authorize Calendar Access" from the Therapy Tools menu.');
     }
     
-    // Try to get events using the safest method
-    const calendar = CalendarApp.getDefaultCalendar();
-    const events = calendar.getEvents(startDate, endDate);
-    
-    if (!events) {
-      console.log('No events returned from calendar');
-      return [];
-    }
-    
-    console.log(`Found ${events.length} total events in date range`);
-    
-    // Filter and format events safely
-    const therapyEvents = [];
-    
-    for (let i = 0; i < events.length; i++) {
-      try {
-        const event = events[i];
-        
-        if (isTherapyAppointment(event)) {
-          const formattedEvent = formatAppointmentData(event);
-          if (formattedEvent) {
-            therapyEvents.push(formattedEvent);
-          }
-        }
-      } catch (eventError) {
-        console.error(`Error processing event ${i}:`, eventError);
-        // Continue with other events
-      }
-    }
-    
-    // Sort by start time
-    therapyEvents.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-    
-    console.log(`Filtered to ${therapyEvents.length} therapy appointments`);
-    return therapyEvents;
+    // Read, filter and format events; a shared calendar that cannot be read
+    // should not hide the appointments on the others
+    return getSelectedCalendarAppointments(startDate, endDate, true);
     
   } catch (error) {
     console.error('Safe calendar access failed:', error);
@@ -181,55 +275,9 @@ function getAppointmentsInRangeWithRetry(startDate, endDate) {
  * @return {Array<Object>} Array of appointment objects
  */
 function getAppointmentsInRange(startDate, endDate) {
-  const config = getCalendarConfig();
-  
   try {
-    // Try to get the calendar
-    let calendar;
-    try {
-      calendar = CalendarApp.getDefaultCalendar();
-    } catch (error) {
-      // If default calendar fails, try primary
-      calendar = CalendarApp.getCalendarById(config.CALENDAR_ID);
-    }
-    
-    if (!calendar) {
-      throw new Error('Unable to access calendar');
-    }
-    
-    // Get events with proper error handling
-    const events = calendar.getEvents(startDate, endDate);
-    
-    if (!events) {
-      console.log('No events returned from calendar');
-      return [];
-    }
-    
-    console.log(`Found ${events.length} total events in date range`);
-    
-    // Filter and format events
-    const therapyEvents = events
-      .filter(event => {
-        try {
-          return isTherapyAppointment(event);
-        } catch (filterError) {
-          console.error('Error filtering event:', filterError);
-          return false; // Skip problematic events
-        }
-      })
-      .map(event => {
-        try {
-          return formatAppointmentData(event);
-        } catch (formatError) {
-          console.error('Error formatting event:', formatError);
-          return null;
-        }
-      })
-      .filter(appointment => appointment !== null) // Remove failed formatting attempts
-      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
-    
-    console.log(`Filtered to ${therapyEvents.length} therapy appointments`);
-    return therapyEvents;
+    // Any calendar that cannot be read fails the attempt so it is retried
+    return getSelectedCalendarAppointments(startDate, endDate);
     
   } catch (error) {
     console.error('Error in getAppointmentsInRange:', error);
@@ -247,39 +295,8 @@ function getAppointmentsFallback(startDate, endDate) {
   console.log('Using fallback calendar method');
   
   try {
-    // Try a simpler approach with calendar list
-    const calendars = CalendarApp.getAllCalendars();
-    console.log(`Found ${calendars.length} accessible calendars`);
-    
-    let allEvents = [];
-    
-    // Check the first few calendars (usually primary is first)
-    const calendarsToCheck = calendars.slice(0, 3);
-    
-    for (let i = 0; i < calendarsToCheck.length; i++) {
-      try {
-        const calendar = calendarsToCheck[i];
-        console.log(`Checking calendar: ${calendar.getName()}`);
-        
-        const events = calendar.getEvents(startDate, endDate);
-        
-        if (events && events.length > 0) {
-          const therapyEvents = events
-            .filter(event => isTherapyAppointment(event))
-            .map(event => formatAppointmentData(event));
-          
-          allEvents = allEvents.concat(therapyEvents);
-        }
-        
-      } catch (calendarError) {
-        console.error(`Error accessing calendar ${i}:`, calendarError);
-        continue; // Try next calendar
-      }
-    }
-    
-    // Remove duplicates and sort
-    const uniqueEvents = removeDuplicateEvents(allEvents);
-    return uniqueEvents.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+    // Return what the readable calendars have rather than nothing
+    return getSelectedCalendarAppointments(startDate, endDate, true);
     
   } catch (error) {
     console.error('Fallback method failed:', error);
@@ -288,14 +305,15 @@ function getAppointmentsFallback(startDate, endDate) {
 }
 
 /**
- * Remove duplicate events based on start time and title
+ * Remove duplicate events based on start time and event ID, or title when there is no ID
+ * The same event on several calendars shares its ID; recurring instances differ by start time
  * @param {Array} events - Array of events
- * @return {Array} Deduplicated events
+ * @return {Array} Deduplicated events, keeping the first of each
  */
 function removeDuplicateEvents(events) {
   const seen = new Set();
   return events.filter(event => {
-    const key = `${event.startTime.getTime()}-${event.title}`;
+    const key = `${event.startTime.getTime()}-${event.id || event.title}`;
     if (seen.has(key)) {
       return false;
     }
@@ -328,14 +346,32 @@ function isNonRetryableError(error) {
 /**
  * Check if an event is likely a therapy appointment with error handling
  * @param {CalendarEvent} event - Calendar event
+ * @param {Object} rule - Optional rules of the event's calendar, see getCalendarRules;
+ *   defaults to the saved detection rules
  * @return {boolean} True if likely a therapy appointment
  */
-function isTherapyAppointment(event) {
+function isTherapyAppointment(event, rule = null) {
+  return explainTherapyAppointment(event, rule).isTherapy;
+}
+
+/**
+ * Decide whether an event is a therapy appointment, and why
+ * Exclusions are checked first: all-day events, exclude keywords and
+ * patterns, attendee domains, colors and the day's hours. The event then
+ * needs an include keyword or pattern, unless the calendar has none.
+ * @param {CalendarEvent} event - Calendar event
+ * @param {Object} rule - Optional rules of the event's calendar, see getCalendarRules;
+ *   defaults to the saved detection rules
+ * @return {Object} isTherapy, and the reason as a short sentence
+ */
+function explainTherapyAppointment(event, rule = null) {
+  const verdict = (isTherapy, reason) => ({ isTherapy: isTherapy, reason: reason });
+  
   try {
-    const config = getCalendarConfig();
+    const rules = rule || buildCalendarRule({ id: getCalendarConfig().CALENDAR_ID }, ConfigurationService.getDetectionRules());
     
     // Basic null checks
-    if (!event) return false;
+    if (!event) return verdict(false, 'No event');
     
     // Get title safely
     let title = '';
@@ -343,7 +379,7 @@ function isTherapyAppointment(event) {
       title = event.getTitle() || '';
     } catch (error) {
       console.error('Error getting event title:', error);
-      return false;
+      return verdict(false, 'Title could not be read');
     }
     
     // Get description safely
@@ -355,52 +391,181 @@ function isTherapyAppointment(event) {
       description = '';
     }
     
-    const titleLower = title.toLowerCase();
-    const descriptionLower = description.toLowerCase();
-    
-    // Check for therapy keywords in title or description
-    const hasKeyword = config.THERAPY_KEYWORDS.some(keyword => 
-      titleLower.includes(keyword) || descriptionLower.includes(keyword)
-    );
-    
     // Get start time safely
     let startTime;
     try {
       startTime = event.getStartTime();
     } catch (error) {
       console.error('Error getting event start time:', error);
-      return false;
+      return verdict(false, 'Start time could not be read');
     }
     
-    if (!startTime) return false;
-    
-    // Check if it's during business hours
-    const startHour = startTime.getHours();
-    const isDuringBusinessHours = startHour >= config.START_HOUR && startHour < config.END_HOUR;
+    if (!startTime) return verdict(false, 'No start time');
     
     // Check if it's not an all-day event
-    let isNotAllDay = true;
+    let isAllDay = false;
     try {
-      isNotAllDay = !event.isAllDayEvent();
+      isAllDay = event.isAllDayEvent();
     } catch (error) {
       // Assume not all-day if we can't determine
-      isNotAllDay = true;
+      isAllDay = false;
+    }
+    
+    if (isAllDay) return verdict(false, 'All-day event');
+    
+    const text = `${title}\n${description}`.toLowerCase();
+    const matchesPattern = pattern => testDetectionPattern(pattern, title, description);
+    
+    const excludedKeyword = rules.excludeKeywords.find(keyword => text.includes(keyword));
+    if (excludedKeyword) return verdict(false, `Excluded keyword "${excludedKeyword}"`);
+    
+    const excludedPattern = rules.excludePatterns.find(matchesPattern);
+    if (excludedPattern) return verdict(false, `Matches excluded pattern /${excludedPattern}/`);
+    
+    // Attendee domains
+    const domains = getAttendeeDomains(event);
+    
+    if (rules.excludeAttendeeDomains.length > 0 && domains.length > 0 &&
+        domains.every(domain => rules.excludeAttendeeDomains.includes(domain))) {
+      return verdict(false, 'Every attendee is from an excluded domain');
+    }
+    
+    if (rules.includeAttendeeDomains.length > 0 &&
+        !domains.some(domain => rules.includeAttendeeDomains.includes(domain))) {
+      return verdict(false, 'No attendee from an included domain');
+    }
+    
+    // Event color
+    if (rules.colorIds.length > 0) {
+      let colorId = '';
+      try {
+        colorId = String(event.getColor() || '');
+      } catch (error) {
+        colorId = '';
+      }
+      
+      if (!rules.colorIds.includes(colorId)) {
+        return verdict(false, `Color ${colorId || 'default'} is not a session color`);
+      }
+    }
+    
+    // Check the day's session hours
+    const day = ConfigurationService.WEEKDAYS[startTime.getDay()];
+    const dayName = day.charAt(0).toUpperCase() + day.slice(1);
+    const hours = rules.weekdayHours[day];
+    
+    if (!hours) return verdict(false, `No sessions on ${dayName}`);
+    
+    const startHour = startTime.getHours() + startTime.getMinutes() / 60;
+    if (startHour < hours.startHour || startHour >= hours.endHour) {
+      return verdict(false, `Starts outside ${formatHour(hours.startHour)}–${formatHour(hours.endHour)} on ${dayName}`);
     }
     
-    return hasKeyword && isDuringBusinessHours && isNotAllDay;
+    // Check for therapy keywords or patterns in title or description
+    if (rules.keywords.length === 0 && rules.includePatterns.length === 0) {
+      return verdict(true, 'Every event on this calendar counts');
+    }
+    
+    const keyword = rules.keywords.find(keyword => text.includes(keyword));
+    if (keyword) return verdict(true, `Keyword "${keyword}"`);
+    
+    const pattern = rules.includePatterns.find(matchesPattern);
+    if (pattern) return verdict(true, `Matches pattern /${pattern}/`);
+    
+    return verdict(false, 'No therapy keyword or pattern');
     
   } catch (error) {
     console.error('Error in isTherapyAppointment:', error);
+    return verdict(false, 'Error: ' + error.message);
+  }
+}
+
+/**
+ * Show how detection rules treat this week's events
+ * Every event on the selected calendars is listed with its verdict, so rules
+ * can be tried out before they are saved
+ * @param {Object} detectionRules - Optional detection rules; defaults to the saved ones
+ * @return {Array<Object>} Events sorted by start time: title, calendarName,
+ *   startTime, timeDisplay, isTherapy and reason
+ */
+function previewDetectionRules(detectionRules = null) {
+  const today = new Date();
+  const startOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+  const endOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() + 7);
+  const results = [];
+  
+  getCalendarRules(detectionRules).forEach(rule => {
+    const calendar = openCalendar(rule.id);
+    const calendarName = rule.name || calendar.getName();
+    
+    (calendar.getEvents(startOfWeek, endOfWeek) || []).forEach(event => {
+      const verdict = explainTherapyAppointment(event, rule);
+      
+      results.push({
+        title: event.getTitle() || 'Untitled Event',
+        calendarName: calendarName,
+        startTime: event.getStartTime(),
+        timeDisplay: event.isAllDayEvent() ? 'All day' : formatTimeRange(event.getStartTime(), event.getEndTime()),
+        isTherapy: verdict.isTherapy,
+        reason: verdict.reason
+      });
+    });
+  });
+  
+  return results.sort((a, b) => a.startTime - b.startTime);
+}
+
+/**
+ * Test a detection pattern against an event's title and description
+ * A pattern that is not a valid regular expression never matches
+ * @param {string} pattern - Case-insensitive regular expression
+ * @param {string} title - Event title
+ * @param {string} description - Event description
+ * @return {boolean} True if the title or description matches
+ */
+function testDetectionPattern(pattern, title, description) {
+  try {
+    const regex = new RegExp(pattern, 'i');
+    return regex.test(title) || regex.test(description);
+  } catch (error) {
+    console.error(`Invalid detection pattern /${pattern}/:`, error);
     return false;
   }
 }
 
+/**
+ * Get the lower-cased email domains of an event's guests
+ * @param {CalendarEvent} event - Calendar event
+ * @return {Array<string>} Domains, one per guest with an email address
+ */
+function getAttendeeDomains(event) {
+  try {
+    return event.getGuestList()
+      .map(guest => String(guest.getEmail() || '').toLowerCase())
+      .filter(email => email.includes('@'))
+      .map(email => email.split('@').pop());
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Format a decimal hour such as 17.5 as 17:30
+ * @param {number} hour - Hour of the day
+ * @return {string} Formatted hour
+ */
+function formatHour(hour) {
+  const minutes = Math.round((hour % 1) * 60);
+  return `${Math.floor(hour)}:${String(minutes).padStart(2, '0')}`;
+}
+
 /**
  * Format calendar event data for the application with error handling
  * @param {CalendarEvent} event - Calendar event
+ * @param {Object} source - Optional calendar the event was read from: id and name
  * @return {Object} Formatted appointment object
  */
-function formatAppointmentData(event) {
+function formatAppointmentData(event, source = null) {
   try {
     // Get basic event data with error handling
     const startTime = event.getStartTime();
@@ -417,6 +582,7 @@ function formatAppointmentData(event) {
     let eventId = '';
     let guestList = [];
     let isRecurring = false;
+    let taggedClientId = '';
     
     try { description = event.getDescription() || ''; } catch (e) { /* ignore */ }
     try { location = event.getLocation() || ''; } catch (e) { /* ignore */ }
@@ -429,6 +595,7 @@ function formatAppointmentData(event) {
       guestList = [];
     }
     try { isRecurring = event.isRecurringEvent(); } catch (e) { isRecurring = false; }
+    try { taggedClientId = event.getTag(getCalendarConfig().CLIENT_TAG_KEY) || ''; } catch (e) { /* ignore */ }
     
     // Calculate duration safely
     const duration = Math.round((endTime - startTime) / (1000 * 60)); // minutes
@@ -448,7 +615,10 @@ function formatAppointmentData(event) {
       extractedClientId: extractedClient.id,
       location: location,
       attendees: guestList,
-      isRecurring: isRecurring
+      isRecurring: isRecurring,
+      taggedClientId: taggedClientId,
+      calendarId: source ? source.id : '',
+      calendarName: source ? source.name : ''
     };
     
   } catch (error) {
@@ -457,6 +627,158 @@ function formatAppointmentData(event) {
   }
 }
 
+/**
+ * Wrap plain event fields in the CalendarEvent methods that
+ * isTherapyAppointment and formatAppointmentData read, so events from the
+ * Calendar API and the appointment cache are matched and formatted the same way
+ * @param {Object} fields - id, title, description, location, startTime, endTime,
+ *   allDay, attendees (email addresses), isRecurring, colorId and tags (private
+ *   extended properties)
+ * @return {Object} CalendarEvent-like object
+ */
+function createCalendarEventAdapter(fields) {
+  return {
+    getId: () => fields.id || '',
+    getTitle: () => fields.title || '',
+    getDescription: () => fields.description || '',
+    getLocation: () => fields.location || '',
+    getStartTime: () => fields.startTime,
+    getEndTime: () => fields.endTime,
+    isAllDayEvent: () => Boolean(fields.allDay),
+    isRecurringEvent: () => Boolean(fields.isRecurring),
+    getGuestList: () => (fields.attendees || []).map(email => ({ getEmail: () => email })),
+    getColor: () => fields.colorId || '',
+    getTag: key => (fields.tags || {})[key] || null
+  };
+}
+
+/**
+ * Save the client confirmed for an appointment on its calendar event
+ * The client ID is stored as a private extended property, seen only through
+ * this calendar, on the event or, for a recurring event, on its series and
+ * any instances changed on their own. Later lookups then match the client
+ * exactly, so event titles no longer need the client's name.
+ * @param {Object} appointment - Appointment with id (the event's iCalUID) and calendarId
+ * @param {string} clientId - Client ID
+ * @return {number} Number of events tagged
+ */
+function tagAppointmentWithClient(appointment, clientId) {
+  const config = getCalendarConfig();
+  
+  if (!appointment || !appointment.id || String(appointment.id).startsWith('generated_')) {
+    throw new Error('Appointment has no calendar event ID');
+  }
+  
+  if (!clientId) {
+    throw new Error('Client ID is required');
+  }
+  
+  if (typeof Calendar === 'undefined') {
+    throw new Error('The Calendar advanced service is not enabled');
+  }
+  
+  // Listing by iCalUID returns the event, or a recurring event's series along
+  // with any instances changed on their own
+  const calendarId = appointment.calendarId || config.CALENDAR_ID;
+  const events = Calendar.Events.list(calendarId, { iCalUID: appointment.id }).items || [];
+  
+  if (events.length === 0) {
+    throw new Error(`Calendar event not found: ${appointment.id}`);
+  }
+  
+  const tag = { extendedProperties: { private: { [config.CLIENT_TAG_KEY]: String(clientId) } } };
+  events.forEach(event => Calendar.Events.patch(tag, calendarId, event.id));
+  
+  console.log(`Tagged ${events.length} events for appointment ${appointment.id} with client ${clientId}`);
+  return events.length;
+}
+
+/**
+ * Read the clients appointments are matched against
+ * Read once per batch of appointments and passed to each matcher
+ * @param {string} sheetName - Name of the clients sheet; defaults to the configured one
+ * @return {Array<Object>} Clients with id and name
+ */
+function getMatchableClients(sheetName) {
+  const config = ConfigurationService.getSpreadsheetConfig();
+  
+  return ClientService.getAllClients(sheetName)
+    .map(client => toMatchedClient(client, config))
+    .filter(client => client.id);
+}
+
+/**
+ * Add the id and name used by appointment matching to a client row
+ * @param {Object} client - Client object keyed by column name
+ * @param {Object} config - Spreadsheet configuration
+ * @return {Object} Client with id and name
+ */
+function toMatchedClient(client, config) {
+  return {
+    ...client,
+    id: String(client[config.CLIENT_ID_COLUMN]),
+    name: String(client[config.CLIENT_NAME_COLUMN] || '')
+  };
+}
+
+/**
+ * Find the clients whose email addresses are among an appointment's guests
+ * Each client's Email column is checked first, then the secondary contact
+ * emails (partners, parents) listed in its Contact_Emails column, so a family
+ * or couple session matches every client who was invited.
+ * @param {Object} appointment - Appointment object with attendees
+ * @param {Array<Object>} clients - Clients from getMatchableClients
+ * @return {Array<Object>} Matched clients in guest order, each with
+ *   matchedAttendee and matchedEmailColumn
+ */
+function matchAppointmentAttendees(appointment, clients) {
+  const attendees = (appointment.attendees || [])
+    .map(email => String(email || '').trim().toLowerCase())
+    .filter(email => email.includes('@'));
+  
+  if (attendees.length === 0) {
+    return [];
+  }
+  
+  const config = ConfigurationService.getSpreadsheetConfig();
+  const columns = [
+    config.CLIENT_EMAIL_COLUMN,
+    config.CLIENT_CONTACT_EMAILS_COLUMN ||
+      ConfigurationService.DEFAULT_SPREADSHEET_CONFIG.CLIENT_CONTACT_EMAILS_COLUMN
+  ].filter(Boolean);
+  const matches = [];
+  
+  clients.forEach(client => {
+    for (const column of columns) {
+      const attendee = parseClientEmails(client[column]).find(email => attendees.includes(email));
+      
+      if (attendee) {
+        matches.push({
+          ...client,
+          matchedAttendee: attendee,
+          matchedEmailColumn: column
+        });
+        return;
+      }
+    }
+  });
+  
+  return matches.sort((a, b) => attendees.indexOf(a.matchedAttendee) - attendees.indexOf(b.matchedAttendee));
+}
+
+/**
+ * Split a client email cell into lower-cased addresses
+ * @param {string} value - Cell value; several addresses may be separated by
+ *   commas, semicolons, pipes or whitespace
+ * @return {Array<string>} Email addresses
+ */
+function parseClientEmails(value) {
+  return String(value || '')
+    .split(/[\s,;|]+/)
+    .map(email => email.trim().toLowerCase())
+    .filter(email => email.includes('@'));
+}
+
 /**
  * Generate a simple event ID when the real ID is not available
  * @param {Date} startTime - Event start time
@@ -554,24 +876,31 @@ function getAppointmentsWithClientMatches(startDate, endDate, sheetName) {
   
   try {
     const appointments = getAppointmentsInRangeWithRetry(startDate, endDate);
+    const clients = getMatchableClients(sheetName);
     
     return appointments.map(appointment => {
       try {
-        const matchedClient = matchAppointmentToClient(appointment, sheetName);
+        const matchedClients = matchAppointmentToClients(appointment, sheetName, clients);
+        const matchedClient = matchedClients[0] || null;
+        const match = explainMatchConfidence(appointment, matchedClient);
         
         return {
           ...appointment,
           matchedClient: matchedClient,
+          matchedClients: matchedClients,
           hasClientMatch: !!matchedClient,
-          matchConfidence: calculateMatchConfidence(appointment, matchedClient)
+          matchConfidence: match.confidence,
+          matchReason: match.reason
         };
       } catch (matchError) {
         console.error('Error matching appointment to client:', matchError);
         return {
           ...appointment,
           matchedClient: null,
+          matchedClients: [],
           hasClientMatch: false,
-          matchConfidence: 'none'
+          matchConfidence: 'none',
+          matchReason: ''
         };
       }
     });
@@ -586,24 +915,60 @@ function getAppointmentsWithClientMatches(startDate, endDate, sheetName) {
  * Match calendar appointment with client in spreadsheet
  * @param {Object} appointment - Appointment object
  * @param {string} sheetName - Name of the clients sheet
+ * @param {Array<Object>} clients - Optional clients from getMatchableClients; read from the sheet when omitted
  * @return {Object|null} Matched client object or null
  */
-function matchAppointmentToClient(appointment, sheetName) {
+function matchAppointmentToClient(appointment, sheetName, clients = null) {
+  return matchAppointmentToClients(appointment, sheetName, clients)[0] || null;
+}
+
+/**
+ * Match calendar appointment with every client it involves
+ * A tagged client comes first, followed by clients invited as guests; the
+ * title is only used when neither identifies a client.
+ * @param {Object} appointment - Appointment object
+ * @param {string} sheetName - Name of the clients sheet
+ * @param {Array<Object>} clients - Optional clients from getMatchableClients; read from the sheet when omitted
+ * @return {Array<Object>} Matched clients, best match first
+ */
+function matchAppointmentToClients(appointment, sheetName, clients = null) {
   try {
-    // Get all clients safely
-    let allClients = [];
-    try {
-      if (typeof getAllClients !== 'undefined') {
-        allClients = getAllClients(sheetName);
-      } else {
-        console.warn('getAllClients function not available');
-        return null;
+    const candidates = clients || getMatchableClients(sheetName);
+    const matches = [];
+    
+    // A client confirmed on the event itself is an exact match
+    if (appointment.taggedClientId) {
+      const tagged = candidates.find(client => client.id === String(appointment.taggedClientId));
+      if (tagged) matches.push(tagged);
+    }
+    
+    matchAppointmentAttendees(appointment, candidates).forEach(client => {
+      if (!matches.some(match => match.id === client.id)) {
+        matches.push(client);
       }
-    } catch (error) {
-      console.error('Error getting all clients:', error);
-      return null;
+    });
+    
+    if (matches.length > 0) {
+      return matches;
     }
     
+    const titleMatch = matchAppointmentTitle(appointment, candidates);
+    return titleMatch ? [titleMatch] : [];
+    
+  } catch (error) {
+    console.error('Error matching appointment to clients:', error);
+    return [];
+  }
+}
+
+/**
+ * Match calendar appointment with client by the ID or name in its title
+ * @param {Object} appointment - Appointment object
+ * @param {Array<Object>} allClients - Clients from getMatchableClients
+ * @return {Object|null} Matched client object or null
+ */
+function matchAppointmentTitle(appointment, allClients) {
+  try {
     if (!allClients || allClients.length === 0) {
       console.log('No clients found in spreadsheet');
       return null;
@@ -648,21 +1013,47 @@ function matchAppointmentToClient(appointment, sheetName) {
  * Calculate confidence score for client matching
  * @param {Object} appointment - Appointment object
  * @param {Object|null} client - Matched client or null
- * @return {string} Confidence level: 'high', 'medium', 'low', 'none'
+ * @return {string} Confidence level: 'confirmed', 'high', 'medium', 'low', 'none'
  */
 function calculateMatchConfidence(appointment, client) {
-  if (!client) return 'none';
+  return explainMatchConfidence(appointment, client).confidence;
+}
+
+/**
+ * Calculate confidence score for client matching and say what it was based on
+ * @param {Object} appointment - Appointment object
+ * @param {Object|null} client - Matched client or null
+ * @return {Object} confidence ('confirmed', 'high', 'medium', 'low', 'none') and reason
+ */
+function explainMatchConfidence(appointment, client) {
+  if (!client) return { confidence: 'none', reason: 'No client matched' };
   
   try {
-    // High confidence: ID match or exact name match
+    // Confirmed: the event is tagged with this client
+    if (appointment.taggedClientId && client.id &&
+        String(client.id) === String(appointment.taggedClientId)) {
+      return { confidence: 'confirmed', reason: 'Client confirmed on the calendar event' };
+    }
+    
+    // High confidence: a guest's email belongs to the client, ID match or exact name match
+    if (client.matchedAttendee) {
+      const config = ConfigurationService.getSpreadsheetConfig();
+      return {
+        confidence: 'high',
+        reason: client.matchedEmailColumn === config.CLIENT_EMAIL_COLUMN ?
+          `Guest ${client.matchedAttendee} is the client's email` :
+          `Guest ${client.matchedAttendee} is one of the client's contact emails`
+      };
+    }
+    
     if (appointment.extractedClientId && client.id &&
         client.id.toLowerCase() === appointment.extractedClientId.toLowerCase()) {
-      return 'high';
+      return { confidence: 'high', reason: `Title contains client ID ${appointment.extractedClientId}` };
     }
     
     if (appointment.extractedClientName && client.name &&
         client.name.toLowerCase() === appointment.extractedClientName.toLowerCase()) {
-      return 'high';
+      return { confidence: 'high', reason: 'Title matches the client name' };
     }
     
     // Medium confidence: partial name match
@@ -671,14 +1062,14 @@ function calculateMatchConfidence(appointment, client) {
       const clientName = client.name.toLowerCase();
       
       if (clientName.includes(extractedName) || extractedName.includes(clientName)) {
-        return 'medium';
+        return { confidence: 'medium', reason: 'Title partly matches the client name' };
       }
     }
     
-    return 'low';
+    return { confidence: 'low', reason: 'Title does not clearly name the client' };
     
   } catch (error) {
     console.error('Error calculating match confidence:', error);
-    return 'low';
+    return { confidence: 'low', reason: 'Match could not be checked' };
   }
 }
\ No newline at end of file
@@ -0,0 +1,392 @@
+/**
+ * ClientHistoryService.gs
+ * Clinical history kept one entry per row in the Client_History sheet
+ * Replaces the dated, pipe-delimited entries that used to accumulate in
+ * client cells such as Session_History and Medical_History
+ */
+
+const ClientHistoryService = {
+  
+  SHEET_NAME: 'Client_History',
+  
+  // History columns, in sheet order
+  HEADERS: [
+    'Entry_ID',
+    'Client_ID',
+    'Field',
+    'Timestamp',
+    'Value',
+    'Source_Response_ID',
+    'Author'
+  ],
+  
+  // Client columns that held pipe-delimited history before this sheet existed
+  LEGACY_HISTORY_COLUMNS: ['Session_History', 'Medical_History'],
+  
+  // Author recorded for entries split out of legacy client cells
+  MIGRATION_AUTHOR: 'migrated',
+  
+  /**
+   * Get or create the history sheet
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} History sheet
+   */
+  getHistorySheet() {
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        
+        // Set up headers
+        const headers = this.HEADERS;
+        
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      
+      return sheet;
+    } catch (error) {
+      Logger.log('Error getting client history sheet: ' + error.toString());
+      throw new Error('Unable to access client history');
+    }
+  },
+  
+  /**
+   * Add a history entry
+   * @param {Object} entry - clientId, field, value, and optional timestamp, responseId and author
+   * @returns {string|null} Entry ID or null on error
+   */
+  addEntry(entry) {
+    try {
+      const entryIds = this.addEntries([entry]);
+      return entryIds ? entryIds[0] : null;
+    } catch (error) {
+      Logger.log('Error adding client history entry: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Add several history entries with a single write
+   * @param {Array<Object>} entries - Entries as for addEntry
+   * @returns {Array<string>|null} Entry IDs in the same order, or null on error
+   */
+  addEntries(entries) {
+    try {
+      if (!Array.isArray(entries)) {
+        throw new Error('Entries must be a list');
+      }
+      
+      if (entries.length === 0) {
+        return [];
+      }
+      
+      const records = entries.map(entry => {
+        if (!entry || !entry.clientId || !entry.field) {
+          throw new Error('Client ID and field are required');
+        }
+        
+        return {
+          entryId: Utilities.getUuid(),
+          clientId: String(entry.clientId),
+          field: entry.field,
+          timestamp: entry.timestamp || new Date(),
+          value: entry.value === null || entry.value === undefined ? '' : entry.value,
+          responseId: entry.responseId || '',
+          author: entry.author || ''
+        };
+      });
+      
+      const sheet = this.getHistorySheet();
+      sheet.getRange(sheet.getLastRow() + 1, 1, records.length, this.HEADERS.length)
+        .setValues(records.map(record => this.toRow(record)));
+      
+      return records.map(record => record.entryId);
+    } catch (error) {
+      Logger.log('Error adding client history entries: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Change the value of an entry, keeping its timestamp
+   * @param {string} entryId - Entry ID
+   * @param {Object} changes - value, and optionally author
+   * @returns {boolean} Success status
+   */
+  updateEntry(entryId, changes) {
+    try {
+      const entry = this.getEntry(entryId);
+      if (!entry) {
+        throw new Error(`No history entry with ID ${entryId}`);
+      }
+      
+      const updated = { ...entry, ...changes, entryId: entry.entryId };
+      this.getHistorySheet()
+        .getRange(entry.rowIndex, 1, 1, this.HEADERS.length)
+        .setValues([this.toRow(updated)]);
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error updating client history entry: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Delete an entry
+   * @param {string} entryId - Entry ID
+   * @returns {boolean} Success status; true if the entry was already gone
+   */
+  removeEntry(entryId) {
+    try {
+      const entry = this.getEntry(entryId);
+      
+      if (entry) {
+        this.getHistorySheet().deleteRow(entry.rowIndex);
+      }
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error removing client history entry: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Get a client's history, newest first
+   * @param {string} clientId - Client ID
+   * @param {Object} options - Optional filters: field, since, until, limit
+   * @returns {Array<Object>} History entries
+   */
+  getClientHistory(clientId, options = {}) {
+    try {
+      const since = options.since ? new Date(options.since) : null;
+      const until = options.until ? new Date(options.until) : null;
+      
+      const entries = this.getEntries()
+        .filter(entry => entry.clientId === String(clientId))
+        .filter(entry => !options.field || entry.field === options.field)
+        .filter(entry => !since || new Date(entry.timestamp) >= since)
+        .filter(entry => !until || new Date(entry.timestamp) <= until)
+        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+      
+      return options.limit ? entries.slice(0, options.limit) : entries;
+    } catch (error) {
+      Logger.log('Error getting client history: ' + error.toString());
+      return [];
+    }
+  },
+  
+  /**
+   * Get a single entry
+   * @param {string} entryId - Entry ID
+   * @returns {Object|null} Entry or null
+   */
+  getEntry(entryId) {
+    return this.getEntries().find(entry => entry.entryId === String(entryId)) || null;
+  },
+  
+  /**
+   * Find the entry a form response recorded for a field
+   * @param {string} responseId - Form response ID
+   * @param {string} field - Field (client column) name
+   * @returns {Object|null} Entry or null
+   */
+  findResponseEntry(responseId, field) {
+    if (!responseId) {
+      return null;
+    }
+    
+    return this.getEntries().find(entry => entry.responseId === String(responseId) && entry.field === field) || null;
+  },
+  
+  /**
+   * Read every history entry
+   * @returns {Array<Object>} Entries with rowIndex
+   */
+  getEntries() {
+    const data = this.getHistorySheet().getDataRange().getValues();
+    
+    if (data.length <= 1) {
+      return [];
+    }
+    
+    const headers = data[0];
+    
+    return data.slice(1)
+      .map((row, index) => ({ ...this.toEntry(headers, row), rowIndex: index + 2 }))
+      .filter(entry => entry.entryId);
+  },
+  
+  /**
+   * One-time migration of pipe-delimited history cells into history rows
+   * Each dated entry becomes a row with the entry's date; the cell is
+   * cleared once its client's rows are written. Items a form response appended
+   * are linked to that response, so later corrections update the migrated row.
+   * Entries already in the sheet are not copied again, so a run that stopped
+   * before clearing a client's cells can simply be repeated.
+   * @param {Array<string>} columns - Client columns to migrate; defaults to the
+   *   columns configured with the history update type, or LEGACY_HISTORY_COLUMNS
+   * @returns {Object} Counts of clients and entries migrated, with error message if any
+   */
+  migrateHistoryCells(columns = null) {
+    const summary = { clients: 0, entries: 0 };
+    
+    try {
+      const historyColumns = columns || this.getHistoryColumns();
+      const responseIds = this.getAppendedResponseIds(historyColumns);
+      const author = this.MIGRATION_AUTHOR;
+      const config = ConfigurationService.getSpreadsheetConfig();
+      const existing = new Set(this.getEntries().map(entry => this.getEntryKey(entry)));
+      
+      ClientService.getAllClients().forEach(client => {
+        const clientId = String(client[config.CLIENT_ID_COLUMN] || '');
+        const entries = [];
+        const cleared = {};
+        
+        if (!clientId) {
+          return;
+        }
+        
+        historyColumns.forEach(column => {
+          const items = PipeDelimitedHelpers.parse(String(client[column] || ''));
+          
+          if (items.length === 0) {
+            return;
+          }
+          
+          items.forEach(item => {
+            const record = PipeDelimitedHelpers.parseRecord(item, PipeDelimitedHelpers.RECORD_SCHEMAS.DATED_ENTRY);
+            
+            // Items that are not dated entries keep their full text and no timestamp
+            const entry = {
+              clientId: clientId,
+              field: column,
+              timestamp: record ? record.date : '',
+              value: record ? record.text : item,
+              responseId: responseIds[`${clientId}|${column}|${item}`] || '',
+              author: (record && record.author) || author
+            };
+            
+            if (!existing.has(this.getEntryKey(entry))) {
+              entries.push(entry);
+            }
+          });
+          cleared[column] = '';
+        });
+        
+        if (Object.keys(cleared).length === 0) {
+          return;
+        }
+        
+        if (entries.length > 0 && !this.addEntries(entries)) {
+          throw new Error(`Could not write history for client ${clientId}`);
+        }
+        
+        if (!ClientService.updateClient(clientId, cleared)) {
+          throw new Error(`History for client ${clientId} was copied but its cells could not be cleared`);
+        }
+        
+        summary.clients++;
+        summary.entries += entries.length;
+      });
+      
+      Logger.log(`Migrated ${summary.entries} history entries for ${summary.clients} clients`);
+      
+      return summary;
+    } catch (error) {
+      Logger.log('Error migrating client history: ' + error.toString());
+      return { ...summary, error: error.message };
+    }
+  },
+  
+  /**
+   * Identify an entry by client, field, timestamp and value
+   * @param {Object} entry - History entry
+   * @returns {string} Key shared by entries with the same content
+   */
+  getEntryKey(entry) {
+    const timestamp = entry.timestamp ? new Date(entry.timestamp).getTime() : '';
+    return [entry.clientId, entry.field, timestamp, String(entry.value)].join('|');
+  },
+  
+  /**
+   * Get the client columns recorded in the history sheet
+   * @returns {Array<string>} Column names
+   */
+  getHistoryColumns() {
+    const columns = Object.values(ConfigurationService.getPersistentFields() || {})
+      .filter(config => config.updateType === 'history')
+      .map(config => config.column);
+    
+    return columns.length > 0 ? [...new Set(columns)] : this.LEGACY_HISTORY_COLUMNS;
+  },
+  
+  /**
+   * Map appended cell entries back to the form responses that wrote them
+   * @param {Array<string>} columns - History columns
+   * @returns {Object} Response IDs keyed by "clientId|column|entry"
+   */
+  getAppendedResponseIds(columns) {
+    const responseIds = {};
+    
+    FormResponseLedger.getEntries({ status: FormResponseLedger.STATUS.PROCESSED }).forEach(entry => {
+      const applied = entry.appliedData;
+      
+      if (!applied || !applied.append) {
+        return;
+      }
+      
+      columns.forEach(column => {
+        if (applied.append[column]) {
+          responseIds[`${applied.clientId}|${column}|${String(applied.append[column]).trim()}`] = entry.responseId;
+        }
+      });
+    });
+    
+    return responseIds;
+  },
+  
+  /**
+   * Convert an entry to a sheet row
+   * @param {Object} entry - History entry
+   * @returns {Array} Row values in HEADERS order
+   */
+  toRow(entry) {
+    return [
+      entry.entryId,
+      entry.clientId,
+      entry.field,
+      entry.timestamp,
+      entry.value,
+      entry.responseId,
+      entry.author
+    ];
+  },
+  
+  /**
+   * Convert a history row to an entry
+   * @param {Array} headers - History headers
+   * @param {Array} row - History row
+   * @returns {Object} History entry
+   */
+  toEntry(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    return {
+      entryId: String(value('Entry_ID')),
+      clientId: String(value('Client_ID')),
+      field: value('Field'),
+      timestamp: value('Timestamp'),
+      value: value('Value'),
+      responseId: String(value('Source_Response_ID')),
+      author: value('Author')
+    };
+  }
+};
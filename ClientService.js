@@ -8,16 +8,18 @@ const ClientService = {
   
   /**
    * Get all clients from the spreadsheet
+   * @param {string} sheetName - Optional clients sheet name; defaults to the configured one
    * @returns {Array} Array of client objects
    */
-  getAllClients() {
+  getAllClients(sheetName = null) {
     try {
       const config = ConfigurationService.getSpreadsheetConfig();
       const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const sheet = ss.getSheetByName(config.CLIENTS_SHEET);
+      const clientsSheet = sheetName || config.CLIENTS_SHEET;
+      const sheet = ss.getSheetByName(clientsSheet);
       
       if (!sheet) {
-        throw new Error(`Client sheet "${config.CLIENTS_SHEET}" not found`);
+        throw new Error(`Client sheet "${clientsSheet}" not found`);
       }
       
       const data = sheet.getDataRange().getValues();
@@ -127,6 +129,26 @@ const ClientService = {
     }
   },
   
+  /**
+   * Get active goals for a client
+   * @param {string} clientId - Client ID
+   * @returns {Array<string>} Array of goal strings
+   */
+  getClientGoals(clientId) {
+    try {
+      const client = this.getClientById(clientId);
+      if (!client) {
+        return [];
+      }
+      
+      const config = ConfigurationService.getSpreadsheetConfig();
+      return PipeDelimitedHelpers.parse(String(client[config.CLIENT_GOALS_COLUMN] || ''));
+    } catch (error) {
+      Logger.log('Error getting client goals: ' + error.toString());
+      return [];
+    }
+  },
+  
   /**
    * Update client data
    * @param {string} clientId - Client ID
@@ -306,6 +328,7 @@ const ClientService = {
         if (!goalsValidation.valid) {
           warnings.push('Goals format issues: ' + goalsValidation.issues.join(', '));
         }
+        warnings.push(...goalsValidation.warnings);
       }
       
       return {
@@ -6,27 +6,68 @@
 
 const ConfigurationService = {
   
+  // Current configuration format version; must match the last entry in MIGRATIONS
+  CONFIG_VERSION: '2.2.0',
+  
+  // Version assumed for stored configurations that predate version tracking
+  BASE_CONFIG_VERSION: '1.0.0',
+  
   // Default configuration constants
+  // One entry per logical form field; an empty entry ID means the field is not on the form
   DEFAULT_FIELD_MAPPINGS: {
-    'Client_Name': 'entry.123456789',
-    'Client_Email': 'entry.987654321',
-    'Client_Phone': 'entry.456789123',
-    'Insurance_Provider': 'entry.789123456',
-    'Session_Date': 'entry.321654987',
-    'Goals_Selected': 'entry.654987321',
-    'Session_Notes': 'entry.987321654',
-    'Homework_Assigned': 'entry.147258369',
-    'Next_Session_Date': 'entry.369258147'
+    'SESSION_ID': '',
+    'CLIENT_ID': '',
+    'CLIENT_NAME': '',
+    'SESSION_DATE': '',
+    'SESSION_START_TIME': '',
+    'SESSION_END_TIME': '',
+    'SESSION_DURATION': '',
+    'SESSION_TYPE': '',
+    'SESSION_LOCATION': '',
+    'APPOINTMENT_TYPE': '',
+    'CLIENT_EMAIL': '',
+    'CLIENT_PHONE': '',
+    'INSURANCE_PROVIDER': '',
+    'EMERGENCY_CONTACT': '',
+    'SELECTED_GOAL': '',
+    'PREVIOUS_GOALS_STATUS': '',
+    'LAST_SESSION_DATE': '',
+    'MOOD_ASSESSMENT': '',
+    'RISK_ASSESSMENT': '',
+    'SESSION_NOTES': '',
+    'THERAPY_GOALS': '',
+    'HOMEWORK_ASSIGNED': '',
+    'MEDICATION_CHANGES': '',
+    'MEDICAL_HISTORY': '',
+    'NEXT_SESSION_DATE': '',
+    'THERAPIST_NAME': '',
+    'SUPERVISOR_REVIEW': '',
+    'BILLING_CODE': ''
+  },
+  
+  // Field mapping keys used by 1.x configurations
+  LEGACY_FIELD_KEYS: {
+    'Client_Name': 'CLIENT_NAME',
+    'Client_ID': 'CLIENT_ID',
+    'Client_Email': 'CLIENT_EMAIL',
+    'Client_Phone': 'CLIENT_PHONE',
+    'Insurance_Provider': 'INSURANCE_PROVIDER',
+    'Session_ID': 'SESSION_ID',
+    'Session_Date': 'SESSION_DATE',
+    'Goals_Selected': 'SELECTED_GOAL',
+    'Session_Notes': 'SESSION_NOTES',
+    'Homework_Assigned': 'HOMEWORK_ASSIGNED',
+    'Next_Session_Date': 'NEXT_SESSION_DATE'
   },
   
   DEFAULT_PERSISTENT_FIELDS: {
     'CLIENT_EMAIL': { column: 'Email', updateType: 'replace' },
     'CLIENT_PHONE': { column: 'Phone', updateType: 'replace' },
     'INSURANCE_PROVIDER': { column: 'Insurance_Provider', updateType: 'replace' },
-    'MEDICAL_HISTORY': { column: 'Medical_History', updateType: 'append' },
+    'MEDICAL_HISTORY': { column: 'Medical_History', updateType: 'history' },
     'EMERGENCY_CONTACT': { column: 'Emergency_Contact', updateType: 'replace' },
-    'THERAPY_GOALS': { column: 'Goals', updateType: 'append' },
-    'SESSION_NOTES': { column: 'Session_History', updateType: 'append' }
+    'THERAPY_GOALS': { column: 'Goals', updateType: 'goal' },
+    'SESSION_NOTES': { column: 'Session_History', updateType: 'history' }
   },
   
   DEFAULT_SPREADSHEET_CONFIG: {
@@ -38,28 +79,269 @@ const ConfigurationService = {
     'CLIENT_GOALS_COLUMN': 'Goals',
     'CLIENT_EMAIL_COLUMN': 'Email',
     'CLIENT_PHONE_COLUMN': 'Phone',
+    'CLIENT_CONTACT_EMAILS_COLUMN': 'Contact_Emails',
     'INSURANCE_COLUMN': 'Insurance_Provider'
   },
   
+  // Persistent field update strategies understood by FormDataPersistence
+  UPDATE_TYPES: [
+    'replace',
+    'set_if_empty',
+    'append',
+    'append_capped',
+    'prepend',
+    'merge_unique',
+    'accumulate',
+    'propose',
+    'history',
+    'goal'
+  ],
+  
+  // Value transforms that can run on a persistent field's answer, in the order listed in its config
+  TRANSFORM_TYPES: ['trim', 'map', 'case', 'join', 'phone_e164', 'date'],
+  
+  // Days of the week, in Date.getDay() order
+  WEEKDAYS: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+  
+  // How calendar events are recognised as therapy sessions
+  // Exclusions win over inclusions; a day missing from weekdayHours has no sessions.
+  // Patterns are case-insensitive regular expressions tested against the title and description.
+  // "meeting" is left out because it matches staff meetings; weekends need to be scheduled.
+  DEFAULT_DETECTION_RULES: {
+    includeKeywords: ['therapy', 'session', 'counseling', 'appointment', 'consultation', 'treatment'],
+    excludeKeywords: [],
+    includePatterns: [],
+    excludePatterns: [],
+    colorIds: [],
+    weekdayHours: {
+      monday: { startHour: 8, endHour: 21 },
+      tuesday: { startHour: 8, endHour: 21 },
+      wednesday: { startHour: 8, endHour: 21 },
+      thursday: { startHour: 8, endHour: 21 },
+      friday: { startHour: 8, endHour: 21 }
+    },
+    includeAttendeeDomains: [],
+    excludeAttendeeDomains: []
+  },
+  
+  // Sheets that must always be named in spreadsheetConfig
+  REQUIRED_SHEETS: ['CLIENTS_SHEET', 'SESSIONS_SHEET', 'CONFIG_SHEET'],
+  
+  // JSON-schema-style description of a stored configuration
+  CONFIG_SCHEMA: {
+    type: 'object',
+    required: ['formId', 'fieldMappings', 'persistentFields', 'spreadsheetConfig', 'version'],
+    properties: {
+      formId: {
+        type: 'string',
+        pattern: '^([A-Za-z0-9_-]{10,})?$',
+        patternMessage: 'must be a Google Form ID (the long code in the form URL), or empty until a form is built'
+      },
+      formFingerprint: { type: 'string' },
+      fieldMappings: {
+        type: 'object',
+        additionalProperties: {
+          type: 'string',
+          pattern: '^(entry\\.\\d+)?$',
+          patternMessage: 'must be an entry ID like entry.123456789, or empty if the field is not on the form'
+        }
+      },
+      persistentFields: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['column', 'updateType'],
+          properties: {
+            column: { type: 'string', minLength: 1 },
+            updateType: { type: 'string', enumRef: 'UPDATE_TYPES' },
+            maxEntries: { type: 'number', minimum: 1 },
+            transforms: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: {
+                  type: { type: 'string', enumRef: 'TRANSFORM_TYPES' },
+                  mode: { type: 'string', enum: ['lower', 'upper', 'title'] },
+                  values: { type: 'object', additionalProperties: { type: 'string' } },
+                  separator: { type: 'string' },
+                  countryCode: {
+                    type: 'string',
+                    pattern: '^\\d{1,3}$',
+                    patternMessage: 'must be a country calling code like 1 or 44'
+                  },
+                  format: { type: 'string', minLength: 1 }
+                }
+              }
+            }
+          }
+        }
+      },
+      calendars: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', minLength: 1 },
+            name: { type: 'string' },
+            keywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+            startHour: { type: 'number', minimum: 0, maximum: 24 },
+            endHour: { type: 'number', minimum: 0, maximum: 24 }
+          }
+        }
+      },
+      detectionRules: {
+        type: 'object',
+        properties: {
+          includeKeywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+          excludeKeywords: { type: 'array', items: { type: 'string', minLength: 1 } },
+          includePatterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+          excludePatterns: { type: 'array', items: { type: 'string', minLength: 1 } },
+          colorIds: {
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^([1-9]|1[01])$',
+              patternMessage: 'must be a calendar event color ID from 1 to 11'
+            }
+          },
+          weekdayHours: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              required: ['startHour', 'endHour'],
+              properties: {
+                startHour: { type: 'number', minimum: 0, maximum: 24 },
+                endHour: { type: 'number', minimum: 0, maximum: 24 }
+              }
+            }
+          },
+          includeAttendeeDomains: {
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9.-]+\\.[A-Za-z]{2,}$',
+              patternMessage: 'must be an email domain like example.com'
+            }
+          },
+          excludeAttendeeDomains: {
+            type: 'array',
+            items: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9.-]+\\.[A-Za-z]{2,}$',
+              patternMessage: 'must be an email domain like example.com'
+            }
+          }
+        }
+      },
+      spreadsheetConfig: {
+        type: 'object',
+        requiredRef: 'REQUIRED_SHEETS',
+        additionalProperties: { type: 'string', minLength: 1 }
+      },
+      version: {
+        type: 'string',
+        pattern: '^\\d+\\.\\d+\\.\\d+$',
+        patternMessage: 'must be a version number like 2.0.0'
+      },
+      lastUpdated: { type: 'string' }
+    }
+  },
+  
+  /**
+   * Ordered configuration migrations
+   * Each migration upgrades a configuration from the previous version to its own version
+   */
+  MIGRATIONS: [
+    {
+      version: '2.0.0',
+      description: 'Rename legacy field mapping keys, add every logical field and store the form ID',
+      migrate(config) {
+        const fieldMappings = { ...this.DEFAULT_FIELD_MAPPINGS };
+        const storedMappings = config.fieldMappings || {};
+        
+        // Legacy keys first so that keys already in the current format win
+        for (const [key, entryId] of Object.entries(storedMappings)) {
+          const logicalKey = this.LEGACY_FIELD_KEYS[key] || key.toUpperCase();
+          if (logicalKey !== key && entryId) {
+            fieldMappings[logicalKey] = entryId;
+          }
+        }
+        
+        for (const [key, entryId] of Object.entries(storedMappings)) {
+          if (key === key.toUpperCase() && entryId) {
+            fieldMappings[key] = entryId;
+          }
+        }
+        
+        return {
+          ...config,
+          formId: config.formId || '',
+          fieldMappings: fieldMappings,
+          persistentFields: config.persistentFields || { ...this.DEFAULT_PERSISTENT_FIELDS },
+          spreadsheetConfig: { ...this.DEFAULT_SPREADSHEET_CONFIG, ...config.spreadsheetConfig }
+        };
+      }
+    },
+    {
+      version: '2.1.0',
+      description: 'Record appended session and medical history in the Client_History sheet',
+      migrate(config) {
+        const persistentFields = {};
+        
+        for (const [fieldKey, fieldConfig] of Object.entries(config.persistentFields || {})) {
+          const isHistory = ClientHistoryService.LEGACY_HISTORY_COLUMNS.includes(fieldConfig.column) &&
+            fieldConfig.updateType === 'append';
+          
+          persistentFields[fieldKey] = isHistory ? { ...fieldConfig, updateType: 'history' } : fieldConfig;
+        }
+        
+        return { ...config, persistentFields: persistentFields };
+      }
+    },
+    {
+      version: '2.2.0',
+      description: 'Add goals from the form to Client_Goals instead of appending them to the Goals column',
+      migrate(config) {
+        const goalsColumn = (config.spreadsheetConfig && config.spreadsheetConfig.CLIENT_GOALS_COLUMN) ||
+          this.DEFAULT_SPREADSHEET_CONFIG.CLIENT_GOALS_COLUMN;
+        const persistentFields = {};
+        
+        for (const [fieldKey, fieldConfig] of Object.entries(config.persistentFields || {})) {
+          const isGoals = fieldConfig.column === goalsColumn && fieldConfig.updateType === 'append';
+          
+          persistentFields[fieldKey] = isGoals ? { ...fieldConfig, updateType: 'goal' } : fieldConfig;
+        }
+        
+        return { ...config, persistentFields: persistentFields };
+      }
+    }
+  ],
+  
   /**
    * Initialize configuration system
+   * Creates the default configuration, or saves an upgraded copy of an older stored one
    */
   initializeConfiguration() {
     try {
-      // Check if configuration exists
-      const existingConfig = this.getConfiguration();
+      const configString = PropertiesService.getScriptProperties().getProperty('THERAPY_CONFIG');
       
-      if (!existingConfig || Object.keys(existingConfig).length === 0) {
+      if (!configString) {
         // Initialize with defaults
-        this.setConfiguration({
-          fieldMappings: this.DEFAULT_FIELD_MAPPINGS,
-          persistentFields: this.DEFAULT_PERSISTENT_FIELDS,
-          spreadsheetConfig: this.DEFAULT_SPREADSHEET_CONFIG,
-          lastUpdated: new Date().toISOString(),
-          version: '1.0.0'
-        });
+        this.setConfiguration(this.getDefaultConfiguration());
         
         Logger.log('Configuration initialized with defaults');
+        return true;
+      }
+      
+      const storedConfig = JSON.parse(configString);
+      const storedVersion = storedConfig.version || this.BASE_CONFIG_VERSION;
+      
+      if (this.compareVersions(storedVersion, this.CONFIG_VERSION) < 0) {
+        this.setConfiguration(this.migrateConfiguration(storedConfig));
+        
+        Logger.log(`Configuration migrated from ${storedVersion} to ${this.CONFIG_VERSION}`);
       }
       
       return true;
@@ -69,8 +351,221 @@ const ConfigurationService = {
     }
   },
   
+  /**
+   * Build a default configuration object
+   */
+  getDefaultConfiguration() {
+    return {
+      formId: '',
+      fieldMappings: { ...this.DEFAULT_FIELD_MAPPINGS },
+      persistentFields: { ...this.DEFAULT_PERSISTENT_FIELDS },
+      spreadsheetConfig: { ...this.DEFAULT_SPREADSHEET_CONFIG },
+      lastUpdated: new Date().toISOString(),
+      version: this.CONFIG_VERSION
+    };
+  },
+  
+  /**
+   * Upgrade a configuration by running every migration newer than its version, in order
+   * Configurations already at or beyond the current version are returned unchanged
+   */
+  migrateConfiguration(config) {
+    if (!config || typeof config !== 'object') {
+      return config;
+    }
+    
+    let migrated = config;
+    let version = config.version || this.BASE_CONFIG_VERSION;
+    
+    this.MIGRATIONS.forEach(migration => {
+      if (this.compareVersions(version, migration.version) < 0) {
+        migrated = migration.migrate.call(this, migrated);
+        version = migration.version;
+        migrated.version = version;
+      }
+    });
+    
+    return migrated;
+  },
+  
+  /**
+   * Compare two dotted version numbers
+   * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+   */
+  compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const difference = (partsA[i] || 0) - (partsB[i] || 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    
+    return 0;
+  },
+  
+  /**
+   * Validate a configuration against CONFIG_SCHEMA
+   * @returns {Object} Validation result with valid flag and human-readable errors
+   */
+  validateConfiguration(config) {
+    const errors = [];
+    
+    this.validateAgainstSchema(config, this.CONFIG_SCHEMA, '', errors);
+    
+    if (errors.length === 0 && this.compareVersions(config.version, this.CONFIG_VERSION) > 0) {
+      errors.push(`version: ${config.version} is newer than this script supports (${this.CONFIG_VERSION})`);
+    }
+    
+    if (errors.length === 0) {
+      this.validateCalendars(config.calendars || [], errors);
+      this.validateDetectionRules(config.detectionRules || {}, errors);
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  },
+  
+  /**
+   * Check the rules between calendar settings that the schema cannot express
+   * @param {Array<Object>} calendars - Calendar settings
+   * @param {Array<string>} errors - Collected error messages
+   */
+  validateCalendars(calendars, errors) {
+    const seen = new Set();
+    
+    calendars.forEach((calendar, index) => {
+      if (seen.has(calendar.id)) {
+        errors.push(`calendars[${index}]: ${calendar.id} is selected more than once`);
+      }
+      seen.add(calendar.id);
+      
+      if (typeof calendar.startHour === 'number' && typeof calendar.endHour === 'number' &&
+          calendar.startHour >= calendar.endHour) {
+        errors.push(`calendars[${index}]: startHour must be before endHour`);
+      }
+    });
+  },
+  
+  /**
+   * Check the detection rules that the schema cannot express
+   * @param {Object} rules - Detection rules
+   * @param {Array<string>} errors - Collected error messages
+   */
+  validateDetectionRules(rules, errors) {
+    ['includePatterns', 'excludePatterns'].forEach(key => {
+      (rules[key] || []).forEach((pattern, index) => {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (patternError) {
+          errors.push(`detectionRules.${key}[${index}]: is not a valid regular expression (${patternError.message})`);
+        }
+      });
+    });
+    
+    for (const [day, hours] of Object.entries(rules.weekdayHours || {})) {
+      if (!this.WEEKDAYS.includes(day)) {
+        errors.push(`detectionRules.weekdayHours.${day}: must be a day of the week`);
+      } else if (hours && hours.startHour >= hours.endHour) {
+        errors.push(`detectionRules.weekdayHours.${day}: startHour must be before endHour`);
+      }
+    }
+  },
+  
+  /**
+   * Check a value against a schema node, collecting errors
+   * @param {any} value - Value to check
+   * @param {Object} schema - Schema node
+   * @param {string} path - Dotted path of the value, for error messages
+   * @param {Array<string>} errors - Collected error messages
+   */
+  validateAgainstSchema(value, schema, path, errors) {
+    const label = path || 'Configuration';
+    
+    if (schema.type === 'object') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
+      
+      const required = schema.requiredRef ? this[schema.requiredRef] : (schema.required || []);
+      required.forEach(key => {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push(`${path ? path + '.' : ''}${key}: is required`);
+        }
+      });
+      
+      for (const [key, childValue] of Object.entries(value)) {
+        if (childValue === undefined || childValue === null) {
+          continue;
+        }
+        
+        const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+        if (childSchema) {
+          this.validateAgainstSchema(childValue, childSchema, path ? `${path}.${key}` : key, errors);
+        }
+      }
+      return;
+    }
+    
+    if (schema.type === 'array') {
+      if (!Array.isArray(value)) {
+        errors.push(`${label}: must be a list`);
+        return;
+      }
+      
+      if (schema.items) {
+        value.forEach((item, index) => {
+          this.validateAgainstSchema(item, schema.items, `${label}[${index}]`, errors);
+        });
+      }
+      return;
+    }
+    
+    if (schema.type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`${label}: must be text`);
+        return;
+      }
+      
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${label}: cannot be empty`);
+      }
+      
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${label}: ${schema.patternMessage || 'has an invalid format'} (got "${value}")`);
+      }
+      
+      const allowed = schema.enumRef ? this[schema.enumRef] : schema.enum;
+      if (allowed && !allowed.includes(value)) {
+        errors.push(`${label}: must be one of ${allowed.join(', ')} (got "${value}")`);
+      }
+      return;
+    }
+    
+    if (schema.type === 'number') {
+      if (typeof value !== 'number' || isNaN(value)) {
+        errors.push(`${label}: must be a number`);
+        return;
+      }
+      
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label}: must be at least ${schema.minimum} (got ${value})`);
+      }
+      
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${label}: must be at most ${schema.maximum} (got ${value})`);
+      }
+    }
+  },
+  
   /**
    * Get full configuration object
+   * Older stored configurations are returned in the current format
    */
   getConfiguration() {
     try {
@@ -79,7 +574,7 @@ const ConfigurationService = {
         return null;
       }
       
-      return JSON.parse(configString);
+      return this.migrateConfiguration(JSON.parse(configString));
     } catch (error) {
       Logger.log('Error getting configuration: ' + error.toString());
       return null;
@@ -88,9 +583,11 @@ const ConfigurationService = {
   
   /**
    * Set complete configuration
+   * Changing the form ID moves the previous form's submission triggers to the new form
    */
   setConfiguration(config) {
     try {
+      const previous = this.getConfiguration();
       config.lastUpdated = new Date().toISOString();
       
       PropertiesService.getScriptProperties().setProperty(
@@ -101,6 +598,10 @@ const ConfigurationService = {
       // Also backup to spreadsheet if Config sheet exists
       this.backupConfigToSheet(config);
       
+      if (previous && previous.formId && previous.formId !== config.formId) {
+        FormDataPersistence.moveFormSubmissionTriggers(previous.formId, config.formId);
+      }
+      
       return true;
     } catch (error) {
       Logger.log('Error setting configuration: ' + error.toString());
@@ -114,19 +615,39 @@ const ConfigurationService = {
   getFieldMappings() {
     try {
       const config = this.getConfiguration();
-      return config ? config.fieldMappings : this.DEFAULT_FIELD_MAPPINGS;
+      return { ...this.DEFAULT_FIELD_MAPPINGS, ...(config ? config.fieldMappings : {}) };
     } catch (error) {
       Logger.log('Error getting field mappings: ' + error.toString());
       return this.DEFAULT_FIELD_MAPPINGS;
     }
   },
   
+  /**
+   * Get the entry ID for a logical form field
+   */
+  getEntryId(fieldKey) {
+    const entryId = this.getFieldMappings()[fieldKey];
+    return entryId || null;
+  },
+  
+  /**
+   * Get the form ID and entry IDs in one read
+   */
+  getFormSettings() {
+    const config = this.getConfiguration();
+    
+    return {
+      formId: config && config.formId ? config.formId : null,
+      fieldMappings: { ...this.DEFAULT_FIELD_MAPPINGS, ...(config ? config.fieldMappings : {}) }
+    };
+  },
+  
   /**
    * Update field mappings
    */
   updateFieldMappings(newMappings) {
     try {
-      const config = this.getConfiguration() || {};
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
       config.fieldMappings = { ...config.fieldMappings, ...newMappings };
       
       return this.setConfiguration(config);
@@ -136,6 +657,62 @@ const ConfigurationService = {
     }
   },
   
+  /**
+   * Get the configured documentation form ID, or null if no form has been set up
+   */
+  getFormId() {
+    try {
+      const config = this.getConfiguration();
+      return config && config.formId ? config.formId : null;
+    } catch (error) {
+      Logger.log('Error getting form ID: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Update the documentation form ID
+   */
+  updateFormId(formId) {
+    try {
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
+      config.formId = formId;
+      
+      return this.setConfiguration(config);
+    } catch (error) {
+      Logger.log('Error updating form ID: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Get the fingerprint of the form as it was when mappings were last confirmed
+   */
+  getFormFingerprint() {
+    try {
+      const config = this.getConfiguration();
+      return config && config.formFingerprint ? config.formFingerprint : null;
+    } catch (error) {
+      Logger.log('Error getting form fingerprint: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Update the confirmed form fingerprint
+   */
+  updateFormFingerprint(fingerprint) {
+    try {
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
+      config.formFingerprint = fingerprint;
+      
+      return this.setConfiguration(config);
+    } catch (error) {
+      Logger.log('Error updating form fingerprint: ' + error.toString());
+      return false;
+    }
+  },
+  
   /**
    * Get persistent fields configuration
    */
@@ -154,7 +731,7 @@ const ConfigurationService = {
    */
   updatePersistentFields(newFields) {
     try {
-      const config = this.getConfiguration() || {};
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
       config.persistentFields = { ...config.persistentFields, ...newFields };
       
       return this.setConfiguration(config);
@@ -164,6 +741,112 @@ const ConfigurationService = {
     }
   },
   
+  /**
+   * Get the calendars appointments are read from, in priority order
+   * An empty list means the user's default calendar with the default rules
+   * @returns {Array<Object>} Calendar settings: id, and optional name, keywords, startHour and endHour
+   */
+  getCalendarSettings() {
+    try {
+      const config = this.getConfiguration();
+      return config && Array.isArray(config.calendars) ? config.calendars : [];
+    } catch (error) {
+      Logger.log('Error getting calendar settings: ' + error.toString());
+      return [];
+    }
+  },
+  
+  /**
+   * Replace the calendar selection
+   * @param {Array<Object>} calendars - Calendar settings, see getCalendarSettings
+   * @returns {Object} Result with success flag and human-readable errors
+   */
+  updateCalendarSettings(calendars) {
+    try {
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
+      config.calendars = calendars;
+      
+      const validation = this.validateConfiguration(config);
+      if (!validation.valid) {
+        return {
+          success: false,
+          errors: validation.errors
+        };
+      }
+      
+      if (!this.setConfiguration(config)) {
+        return {
+          success: false,
+          errors: ['The calendar settings could not be saved']
+        };
+      }
+      
+      return {
+        success: true,
+        errors: []
+      };
+    } catch (error) {
+      Logger.log('Error updating calendar settings: ' + error.toString());
+      return {
+        success: false,
+        errors: [error.message]
+      };
+    }
+  },
+  
+  /**
+   * Get the rules that recognise therapy sessions among calendar events
+   * Rules that were never saved take their default
+   * @returns {Object} Detection rules, see DEFAULT_DETECTION_RULES
+   */
+  getDetectionRules() {
+    try {
+      const config = this.getConfiguration();
+      return { ...this.DEFAULT_DETECTION_RULES, ...(config && config.detectionRules) };
+    } catch (error) {
+      Logger.log('Error getting detection rules: ' + error.toString());
+      return { ...this.DEFAULT_DETECTION_RULES };
+    }
+  },
+  
+  /**
+   * Replace the detection rules
+   * @param {Object} rules - Detection rules, see DEFAULT_DETECTION_RULES
+   * @returns {Object} Result with success flag and human-readable errors
+   */
+  updateDetectionRules(rules) {
+    try {
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
+      config.detectionRules = rules;
+      
+      const validation = this.validateConfiguration(config);
+      if (!validation.valid) {
+        return {
+          success: false,
+          errors: validation.errors
+        };
+      }
+      
+      if (!this.setConfiguration(config)) {
+        return {
+          success: false,
+          errors: ['The detection rules could not be saved']
+        };
+      }
+      
+      return {
+        success: true,
+        errors: []
+      };
+    } catch (error) {
+      Logger.log('Error updating detection rules: ' + error.toString());
+      return {
+        success: false,
+        errors: [error.message]
+      };
+    }
+  },
+  
   /**
    * Get spreadsheet configuration
    */
@@ -182,7 +865,7 @@ const ConfigurationService = {
    */
   updateSpreadsheetConfig(newConfig) {
     try {
-      const config = this.getConfiguration() || {};
+      const config = this.getConfiguration() || this.getDefaultConfiguration();
       config.spreadsheetConfig = { ...config.spreadsheetConfig, ...newConfig };
       
       return this.setConfiguration(config);
@@ -198,13 +881,7 @@ const ConfigurationService = {
   validateFormEntryIds(formId, entryIds) {
     try {
       const form = FormApp.openById(formId);
-      const items = form.getItems();
-      const validEntryIds = [];
-      
-      items.forEach(item => {
-        const itemId = item.getId();
-        validEntryIds.push('entry.' + itemId);
-      });
+      const validEntryIds = Object.values(FormMappingService.getCachedEntryIds(form));
       
       const results = {};
       for (const [field, entryId] of Object.entries(entryIds)) {
@@ -244,30 +921,63 @@ const ConfigurationService = {
   
   /**
    * Import configuration from JSON
+   * Older configurations are migrated before validation
+   * @returns {Object} Import result with success flag and human-readable errors
    */
   importConfiguration(configData) {
     try {
-      // Validate configuration structure
-      if (!configData || typeof configData !== 'object') {
-        throw new Error('Invalid configuration data');
+      if (typeof configData === 'string') {
+        try {
+          configData = JSON.parse(configData);
+        } catch (parseError) {
+          return {
+            success: false,
+            errors: ['The file is not valid JSON: ' + parseError.message]
+          };
+        }
       }
       
-      // Ensure required fields exist
-      const requiredFields = ['fieldMappings', 'persistentFields', 'spreadsheetConfig'];
-      for (const field of requiredFields) {
-        if (!configData[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
+      if (!configData || typeof configData !== 'object' || Array.isArray(configData)) {
+        return {
+          success: false,
+          errors: ['Configuration must be a JSON object']
+        };
+      }
+      
+      // Drop export metadata, then bring older exports up to date
+      const { exportDate, exportedBy, ...imported } = configData;
+      const migrated = this.migrateConfiguration(imported);
+      
+      const validation = this.validateConfiguration(migrated);
+      if (!validation.valid) {
+        return {
+          success: false,
+          errors: validation.errors
+        };
       }
       
       // Set imported configuration
-      configData.importDate = new Date().toISOString();
-      configData.importedBy = Session.getActiveUser().getEmail();
+      migrated.importDate = new Date().toISOString();
+      migrated.importedBy = Session.getActiveUser().getEmail();
       
-      return this.setConfiguration(configData);
+      if (!this.setConfiguration(migrated)) {
+        return {
+          success: false,
+          errors: ['The configuration could not be saved']
+        };
+      }
+      
+      return {
+        success: true,
+        errors: [],
+        migratedFrom: imported.version !== migrated.version ? (imported.version || this.BASE_CONFIG_VERSION) : null
+      };
     } catch (error) {
       Logger.log('Error importing configuration: ' + error.toString());
-      return false;
+      return {
+        success: false,
+        errors: [error.message]
+      };
     }
   },
   
@@ -277,11 +987,7 @@ const ConfigurationService = {
   resetConfiguration() {
     try {
       const defaultConfig = {
-        fieldMappings: this.DEFAULT_FIELD_MAPPINGS,
-        persistentFields: this.DEFAULT_PERSISTENT_FIELDS,
-        spreadsheetConfig: this.DEFAULT_SPREADSHEET_CONFIG,
-        lastUpdated: new Date().toISOString(),
-        version: '1.0.0',
+        ...this.getDefaultConfiguration(),
         resetDate: new Date().toISOString(),
         resetBy: Session.getActiveUser().getEmail()
       };
@@ -329,6 +1035,21 @@ const ConfigurationService = {
         rows.push([`spreadsheetConfig.${key}`, value, 'string']);
       }
       
+      // Calendars
+      (config.calendars || []).forEach(calendar => {
+        rows.push([`calendars.${calendar.id}`, JSON.stringify(calendar), 'json']);
+      });
+      
+      // Detection rules
+      for (const [key, value] of Object.entries(config.detectionRules || {})) {
+        rows.push([`detectionRules.${key}`, JSON.stringify(value), 'json']);
+      }
+      
+      // Form
+      if (config.formId) {
+        rows.push(['formId', config.formId, 'string']);
+      }
+      
       // Metadata
       rows.push(['lastUpdated', config.lastUpdated, 'date']);
       rows.push(['version', config.version, 'string']);
@@ -361,10 +1082,12 @@ const ConfigurationService = {
       
       return {
         status: 'Configured',
+        formId: config.formId || null,
         fieldMappings: Object.keys(config.fieldMappings || {}).length,
         persistentFields: Object.keys(config.persistentFields || {}).length,
+        validationErrors: this.validateConfiguration(config).errors,
         lastUpdated: config.lastUpdated || 'Unknown',
-        version: config.version || '1.0.0'
+        version: config.version || this.CONFIG_VERSION
       };
     } catch (error) {
       Logger.log('Error getting configuration summary: ' + error.toString());
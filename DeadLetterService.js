@@ -0,0 +1,335 @@
+/**
+ * DeadLetterService.gs
+ * Holds form responses that kept failing after every retry
+ * Keeps each response's ID, form and error so it can be inspected, edited and replayed.
+ * Answers are read from the form when needed; only answers edited for a replay are stored.
+ */
+
+const DeadLetterService = {
+  
+  SHEET_NAME: 'Form_Dead_Letter',
+  
+  // Longest text Sheets stores in one cell
+  CELL_CHARACTER_LIMIT: 50000,
+  
+  // Dead-letter columns, in sheet order; Response_Data holds only edited answers
+  HEADERS: [
+    'Response_ID',
+    'Form_ID',
+    'Client_ID',
+    'Status',
+    'Attempts',
+    'Error_Message',
+    'Dead_Lettered',
+    'Last_Replayed',
+    'Response_Data'
+  ],
+  
+  STATUS: {
+    PENDING: 'pending',
+    REPLAYED: 'replayed',
+    DISCARDED: 'discarded'
+  },
+  
+  /**
+   * Get or create the dead-letter sheet
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} Dead-letter sheet
+   */
+  getDeadLetterSheet() {
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        
+        // Set up headers
+        const headers = this.HEADERS;
+        
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      
+      return sheet;
+    } catch (error) {
+      Logger.log('Error getting dead-letter sheet: ' + error.toString());
+      throw new Error('Unable to access dead-letter sheet');
+    }
+  },
+  
+  /**
+   * Move a response that exhausted its retries to the dead-letter sheet
+   * A response that is dead-lettered again after a failed replay reuses its row and keeps its edits
+   * @param {Object} ledgerEntry - Ledger entry with responseId, formId, clientId, attempts and error
+   * @returns {boolean} Success status
+   */
+  addResponse(ledgerEntry) {
+    try {
+      if (!ledgerEntry || !ledgerEntry.responseId) {
+        throw new Error('Ledger entry with a response ID is required');
+      }
+      
+      const existing = this.getDeadLetter(ledgerEntry.responseId);
+      
+      const record = {
+        Response_ID: ledgerEntry.responseId,
+        Form_ID: ledgerEntry.formId || '',
+        Client_ID: ledgerEntry.clientId || '',
+        Status: this.STATUS.PENDING,
+        Attempts: ledgerEntry.attempts,
+        Error_Message: ledgerEntry.error || '',
+        Dead_Lettered: existing ? existing.deadLettered : new Date(),
+        Last_Replayed: existing ? existing.lastReplayed : '',
+        Response_Data: JSON.stringify((existing && existing.responseData) || {})
+      };
+      
+      this.writeRecord(record, existing);
+      
+      Logger.log(`Dead-lettered form response ${ledgerEntry.responseId} after ${ledgerEntry.attempts} attempts`);
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error dead-lettering form response: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Get dead-lettered responses
+   * @param {string} status - Optional status filter; defaults to all
+   * @returns {Array<Object>} Dead-letter records with parsed response data
+   */
+  getDeadLetters(status = null) {
+    try {
+      const data = this.getDeadLetterSheet().getDataRange().getValues();
+      
+      if (data.length <= 1) {
+        return [];
+      }
+      
+      const headers = data[0];
+      
+      return data.slice(1)
+        .map((row, index) => ({ ...this.toRecord(headers, row), rowIndex: index + 2 }))
+        .filter(record => record.responseId)
+        .filter(record => !status || record.status === status);
+    } catch (error) {
+      Logger.log('Error getting dead-lettered responses: ' + error.toString());
+      return [];
+    }
+  },
+  
+  /**
+   * Get a single dead-lettered response
+   * @param {string} responseId - Form response ID
+   * @returns {Object|null} Dead-letter record or null
+   */
+  getDeadLetter(responseId) {
+    return this.getDeadLetters().find(record => record.responseId === String(responseId)) || null;
+  },
+  
+  /**
+   * Read a dead-lettered response from its form, with any edited answers applied
+   * @param {Object} record - Dead-letter record
+   * @param {Object} forms - Forms and their entry IDs already opened, keyed by form ID
+   * @returns {Object} Form response data
+   */
+  getResponseData(record, forms = {}) {
+    if (!forms[record.formId]) {
+      const form = FormApp.openById(record.formId);
+      forms[record.formId] = { form: form, entryIds: FormMappingService.getCachedEntryIds(form) };
+    }
+    
+    const { form, entryIds } = forms[record.formId];
+    const response = FormDataPersistence.convertFormResponseToObject(form.getResponse(record.responseId), entryIds);
+    
+    return {
+      ...response,
+      ...record.responseData,
+      id: record.responseId,
+      formId: record.formId
+    };
+  },
+  
+  /**
+   * Store the answers edited for a dead-lettered response before replaying it
+   * Only answers that differ from the form response are kept; a cleared answer is stored as empty.
+   * @param {string} responseId - Form response ID
+   * @param {Object} responseData - Answers keyed by entry ID
+   * @returns {boolean} Success status
+   */
+  updateResponseData(responseId, responseData) {
+    try {
+      const record = this.getDeadLetter(responseId);
+      if (!record) {
+        throw new Error(`No dead-lettered response with ID ${responseId}`);
+      }
+      
+      if (!responseData || typeof responseData !== 'object') {
+        throw new Error('Response data must be an object');
+      }
+      
+      const submitted = this.getResponseData({ ...record, responseData: {} });
+      const edits = {};
+      
+      new Set([...Object.keys(submitted), ...Object.keys(responseData)]).forEach(key => {
+        const value = key in responseData ? responseData[key] : '';
+        if (key.startsWith('entry.') && JSON.stringify(value) !== JSON.stringify(submitted[key] || '')) {
+          edits[key] = value;
+        }
+      });
+      
+      const serialized = JSON.stringify(edits);
+      if (serialized.length > this.CELL_CHARACTER_LIMIT) {
+        throw new Error('Edited answers are too long to store; edit the response in the form instead');
+      }
+      
+      this.writeRecord({ ...this.toRow(record), Response_Data: serialized }, record);
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error updating dead-lettered response: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Process a dead-lettered response again, read from its form with any edited answers applied
+   * @param {string} responseId - Form response ID
+   * @returns {Object} Result with success and error message
+   */
+  replay(responseId) {
+    try {
+      const record = this.getDeadLetter(responseId);
+      if (!record) {
+        throw new Error(`No dead-lettered response with ID ${responseId}`);
+      }
+      
+      if (record.status !== this.STATUS.PENDING) {
+        throw new Error(`Response ${responseId} has already been ${record.status}`);
+      }
+      
+      let responseData;
+      try {
+        responseData = this.getResponseData(record);
+      } catch (readError) {
+        const message = 'Could not read the response from the form: ' + readError.message;
+        this.writeRecord({ ...this.toRow(record), Error_Message: message, Last_Replayed: new Date() }, record);
+        return { success: false, error: message };
+      }
+      
+      const success = FormDataPersistence.processFormResponse(responseData);
+      
+      // A failed replay re-dead-letters the response, so re-read its row
+      const updated = this.getDeadLetter(responseId) || record;
+      const row = { ...this.toRow(updated), Last_Replayed: new Date() };
+      if (success) {
+        const ledgerEntry = FormResponseLedger.getEntry(responseId);
+        row.Status = this.STATUS.REPLAYED;
+        row.Client_ID = ledgerEntry ? ledgerEntry.clientId : row.Client_ID;
+        row.Error_Message = '';
+      }
+      this.writeRecord(row, updated);
+      
+      return {
+        success: success,
+        error: success ? '' : updated.error
+      };
+    } catch (error) {
+      Logger.log('Error replaying dead-lettered response: ' + error.toString());
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Mark a dead-lettered response as handled without applying it
+   * @param {string} responseId - Form response ID
+   * @returns {boolean} Success status
+   */
+  discard(responseId) {
+    try {
+      const record = this.getDeadLetter(responseId);
+      if (!record) {
+        throw new Error(`No dead-lettered response with ID ${responseId}`);
+      }
+      
+      this.writeRecord({ ...this.toRow(record), Status: this.STATUS.DISCARDED }, record);
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error discarding dead-lettered response: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Write a record to its existing row, or append it
+   * @param {Object} row - Values keyed by column header
+   * @param {Object} existing - Existing record with rowIndex, if any
+   */
+  writeRecord(row, existing) {
+    const sheet = this.getDeadLetterSheet();
+    const rowData = this.HEADERS.map(header => (header in row ? row[header] : ''));
+    
+    if (existing && existing.rowIndex) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowData.length).setValues([rowData]);
+    } else {
+      sheet.appendRow(rowData);
+    }
+  },
+  
+  /**
+   * Convert a dead-letter row to a record
+   * @param {Array} headers - Dead-letter headers
+   * @param {Array} row - Dead-letter row
+   * @returns {Object} Dead-letter record
+   */
+  toRecord(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    let responseData = {};
+    try {
+      responseData = JSON.parse(value('Response_Data') || '{}');
+    } catch (parseError) {
+      Logger.log(`Error parsing dead-lettered response data: ${parseError.toString()}`);
+    }
+    
+    return {
+      responseId: String(value('Response_ID')),
+      formId: String(value('Form_ID')),
+      clientId: String(value('Client_ID')),
+      status: value('Status'),
+      attempts: Number(value('Attempts')) || 0,
+      error: value('Error_Message'),
+      deadLettered: value('Dead_Lettered'),
+      lastReplayed: value('Last_Replayed'),
+      responseData: responseData
+    };
+  },
+  
+  /**
+   * Convert a record back to values keyed by column header
+   * @param {Object} record - Dead-letter record
+   * @returns {Object} Row values
+   */
+  toRow(record) {
+    return {
+      Response_ID: record.responseId,
+      Form_ID: record.formId,
+      Client_ID: record.clientId,
+      Status: record.status,
+      Attempts: record.attempts,
+      Error_Message: record.error,
+      Dead_Lettered: record.deadLettered,
+      Last_Replayed: record.lastReplayed,
+      Response_Data: JSON.stringify(record.responseData || {})
+    };
+  }
+};
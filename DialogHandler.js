@@ -54,6 +54,79 @@ function getAppointmentsForDateDialog(targetDateString) {
   }
 }
 
+/**
+ * Get the cached appointments for a date, for the dialog to show while it refreshes
+ * @param {string} targetDateString - Target date as ISO string
+ * @return {Object|null} appointments with enhanced data and lastSync, or null
+ *   if the appointment cache does not cover the date
+ */
+function getCachedAppointmentsForDateDialog(targetDateString) {
+  try {
+    const targetDate = new Date(targetDateString);
+
+    if (isNaN(targetDate.getTime())) {
+      throw new Error("Invalid date provided");
+    }
+
+    const cached =
+      AppointmentSyncService.getCachedAppointmentsForDate(targetDate);
+
+    if (!cached) {
+      return null;
+    }
+
+    return {
+      appointments: makeAppointmentsSerializationSafe(
+        enhanceAppointmentsWithStatus(cached.appointments)
+      ),
+      lastSync: cached.lastSync,
+    };
+  } catch (error) {
+    console.error("Error loading cached appointments:", error);
+    return null;
+  }
+}
+
+/**
+ * Sync the appointment cache and get the appointments for a date
+ * Reads the calendars directly when the Calendar advanced service is not
+ * enabled, a calendar could not be synced, or the date is outside the cache
+ * @param {string} targetDateString - Target date as ISO string
+ * @return {Array<Object>} Array of appointment objects with enhanced data
+ */
+function refreshAppointmentsForDateDialog(targetDateString) {
+  try {
+    const targetDate = new Date(targetDateString);
+
+    if (isNaN(targetDate.getTime())) {
+      throw new Error("Invalid date provided");
+    }
+
+    let cached = null;
+
+    if (AppointmentSyncService.isAvailable()) {
+      const result = AppointmentSyncService.sync();
+
+      if (!result.error && result.failed.length === 0) {
+        cached =
+          AppointmentSyncService.getCachedAppointmentsForDate(targetDate);
+      }
+    }
+
+    const appointments = cached
+      ? cached.appointments
+      : getAppointmentsForDate(targetDate);
+    const enhancedAppointments = enhanceAppointmentsWithStatus(appointments);
+
+    return makeAppointmentsSerializationSafe(enhancedAppointments);
+  } catch (error) {
+    console.error("Error refreshing appointments for date:", error);
+    throw new Error(
+      "Unable to load appointments for selected date: " + error.message
+    );
+  }
+}
+
 /**
  * Get appointments for a date range
  * @param {string} startDateString - Start date as ISO string
@@ -108,9 +181,11 @@ function makeAppointmentsSerializationSafe(appointments) {
           // Handle nested objects
           safeAppointment[key] = makeObjectSerializationSafe(value);
         } else if (Array.isArray(value)) {
-          // Handle arrays
+          // Handle arrays, including arrays of objects such as matchedClients
           safeAppointment[key] = value.map((item) =>
-            item instanceof Date ? item.toISOString() : item
+            item instanceof Date
+              ? item.toISOString()
+              : makeObjectSerializationSafe(item)
           );
         } else {
           // Primitive values and null/undefined
@@ -164,7 +239,9 @@ function makeObjectSerializationSafe(obj) {
         safeObj[key] = makeObjectSerializationSafe(value);
       } else if (Array.isArray(value)) {
         safeObj[key] = value.map((item) =>
-          item instanceof Date ? item.toISOString() : item
+          item instanceof Date
+            ? item.toISOString()
+            : makeObjectSerializationSafe(item)
         );
       } else {
         safeObj[key] = value;
@@ -185,24 +262,35 @@ function makeObjectSerializationSafe(obj) {
  */
 function enhanceAppointmentsWithStatus(appointments) {
   try {
-    // Add client matching
+    // Add client matching, reading the clients once for every appointment
+    const clients = getMatchableClients("Clients");
     const appointmentsWithMatches = appointments.map((appointment) => {
       try {
-        const matchedClient = matchAppointmentToClient(appointment, "Clients");
+        const matchedClients = matchAppointmentToClients(
+          appointment,
+          "Clients",
+          clients
+        );
+        const matchedClient = matchedClients[0] || null;
+        const match = explainMatchConfidence(appointment, matchedClient);
 
         return {
           ...appointment,
           matchedClient: matchedClient,
+          matchedClients: matchedClients,
           hasClientMatch: !!matchedClient,
-          matchConfidence: calculateMatchConfidence(appointment, matchedClient),
+          matchConfidence: match.confidence,
+          matchReason: match.reason,
         };
       } catch (matchError) {
         console.error("Error matching appointment to client:", matchError);
         return {
           ...appointment,
           matchedClient: null,
+          matchedClients: [],
           hasClientMatch: false,
           matchConfidence: "none",
+          matchReason: "",
         };
       }
     });
@@ -238,6 +326,9 @@ function showGoalSelectorForAppointment(appointmentData) {
       throw new Error("No client matched for this appointment");
     }
 
+    // Documenting the session confirms the match
+    confirmAppointmentClient(appointment, appointment.matchedClient);
+
     // Mark session as in progress if tracking is available
     if (typeof markSessionInProgress !== "undefined") {
       markSessionInProgress(
@@ -288,6 +379,51 @@ function showClientSelectorForAppointment(appointmentData) {
   }
 }
 
+/**
+ * Link a client chosen in the client selector to an appointment and
+ * continue to the goal selector
+ * @param {Object} selectedClient - The selected client object
+ * @param {Object} appointmentData - Serialized appointment object
+ */
+function linkClientToAppointment(selectedClient, appointmentData) {
+  try {
+    if (!selectedClient || !selectedClient.id) {
+      throw new Error("Invalid client selected");
+    }
+
+    showGoalSelectorForAppointment({
+      ...appointmentData,
+      matchedClient: selectedClient,
+      hasClientMatch: true,
+    });
+  } catch (error) {
+    console.error("Error linking client to appointment:", error);
+    throw new Error("Failed to link client: " + error.message);
+  }
+}
+
+/**
+ * Save a confirmed client match on the appointment's calendar event
+ * A failure is logged rather than thrown, so it never blocks documentation
+ * @param {Object} appointment - Appointment object
+ * @param {Object} client - Confirmed client with id
+ */
+function confirmAppointmentClient(appointment, client) {
+  if (
+    !client ||
+    !client.id ||
+    String(appointment.taggedClientId) === String(client.id)
+  ) {
+    return;
+  }
+
+  try {
+    tagAppointmentWithClient(appointment, client.id);
+  } catch (error) {
+    console.error("Error tagging appointment with client:", error);
+  }
+}
+
 /**
  * Deserialize appointment data (convert ISO strings back to Date objects)
  * @param {Object} appointmentData - Serialized appointment data
@@ -332,12 +468,13 @@ function deserializeAppointmentData(appointmentData) {
 /**
  * Get documentation URL for an appointment
  * @param {string} appointmentId - Appointment ID
+ * @param {string} startTime - Start of the appointment instance (ISO string)
  * @return {string} Documentation URL or null
  */
-function getDocumentationForAppointment(appointmentId) {
+function getDocumentationForAppointment(appointmentId, startTime) {
   try {
     if (typeof getSessionRecord !== "undefined") {
-      const sessionRecord = getSessionRecord(appointmentId);
+      const sessionRecord = getSessionRecord(appointmentId, startTime);
       return sessionRecord ? sessionRecord.formUrl : null;
     }
     return null;
@@ -350,12 +487,13 @@ function getDocumentationForAppointment(appointmentId) {
 /**
  * Continue session documentation for in-progress appointment
  * @param {string} appointmentId - Appointment ID
+ * @param {string} startTime - Start of the appointment instance (ISO string)
  * @return {string} Documentation URL or null
  */
-function continueSessionDocumentation(appointmentId) {
+function continueSessionDocumentation(appointmentId, startTime) {
   try {
     // Same as getting documentation for now
-    return getDocumentationForAppointment(appointmentId);
+    return getDocumentationForAppointment(appointmentId, startTime);
   } catch (error) {
     console.error("Error continuing session documentation:", error);
     return null;
@@ -447,13 +585,15 @@ function handleClientSelection(selectedClient) {
  */
 
 /**
- * Load goals for the selected client
+ * Load active goals for the selected client
  * @param {string} clientId - ID of the selected client
- * @return {Array<string>} Array of goal strings
+ * @return {Array<Object>} Array of goal objects (serialization-safe)
  */
 function loadGoalsForDialog(clientId) {
   try {
-    return ClientService.getClientGoals(clientId);
+    return GoalManagementService.getGoals(clientId)
+      .filter((goal) => goal.status === "active")
+      .map((goal) => GoalModel.toSerializable(goal));
   } catch (error) {
     console.error("Error loading goals for dialog:", error);
     throw new Error("Unable to load goals: " + error.message);
@@ -462,10 +602,24 @@ function loadGoalsForDialog(clientId) {
 
 /**
  * Handle goal selection and generate form
- * @param {Object} sessionData - Complete session data with client and goal
+ * @param {Object} sessionData - Complete session data with client and goal,
+ *   or with a goals array of { goal, rating, note } progress entries
  */
 function handleGoalSelection(sessionData) {
   try {
+    // Multi-goal selections still populate the single goal form field
+    if (sessionData && Array.isArray(sessionData.goals)) {
+      sessionData.goals.forEach((entry) => {
+        if (!GoalManagementService.isValidProgressRating(entry.rating)) {
+          throw new Error(`Invalid progress rating for goal "${entry.goal}"`);
+        }
+      });
+
+      sessionData.goal = PipeDelimitedHelpers.stringify(
+        sessionData.goals.map((entry) => entry.goal)
+      );
+    }
+
     // Validate session data
     if (!sessionData || !sessionData.client || !sessionData.goal) {
       throw new Error("Incomplete session data");
@@ -479,6 +633,13 @@ function handleGoalSelection(sessionData) {
       throw new Error("No goal selected");
     }
 
+    // Appointment dates arrive as ISO strings from the dialog
+    if (sessionData.appointment) {
+      sessionData.appointment = deserializeAppointmentData(
+        sessionData.appointment
+      );
+    }
+
     // Generate the pre-populated form
     generateSessionForm(sessionData);
   } catch (error) {
@@ -509,7 +670,7 @@ function handleBackToClientSelector() {
  */
 function getConfigurationStatus() {
   try {
-    return FormUrlGenerator.validateConfiguration();
+    return validateFormConfiguration();
   } catch (error) {
     return {
       isValid: false,
@@ -524,7 +685,7 @@ function getConfigurationStatus() {
  */
 function testFormGeneration() {
   try {
-    return FormUrlGenerator.createTestUrl();
+    return createTestFormUrl();
   } catch (error) {
     throw new Error("Form generation test failed: " + error.message);
   }
@@ -558,3 +719,708 @@ function getAllClientsForGoalManagement() {
     throw new Error("Unable to load client data: " + error.message);
   }
 }
+
+/**
+ * Form Configuration Dialog Handlers
+ */
+
+/**
+ * Load everything the form configuration dialog edits
+ * @return {Object} Current settings, logical fields, update types and summary
+ */
+function loadFormConfiguration() {
+  try {
+    const settings = ConfigurationService.getFormSettings();
+
+    return {
+      formId: settings.formId,
+      fieldMappings: settings.fieldMappings,
+      persistentFields: ConfigurationService.getPersistentFields(),
+      spreadsheetConfig: ConfigurationService.getSpreadsheetConfig(),
+      fields: FormBuilderService.FIELD_SCHEMA.map((field) => ({
+        key: field.key,
+        title: field.title,
+      })),
+      updateTypes: ConfigurationService.UPDATE_TYPES,
+      // The mapping check reads the live form, so it only runs when the dialog opens
+      summary: {
+        ...ConfigurationService.getConfigurationSummary(),
+        mappingHealth: FormMappingService.checkMappingHealth(settings.formId),
+      },
+    };
+  } catch (error) {
+    console.error("Error loading form configuration:", error);
+    throw new Error("Unable to load configuration: " + error.message);
+  }
+}
+
+/**
+ * Save the form configuration dialog's settings
+ * Persistent fields are replaced as a whole so removed rules stay removed
+ * @param {Object} formData - formId, fieldMappings, persistentFields and spreadsheetConfig
+ * @return {Object} Save result with success flag, validation errors and updated summary
+ */
+function saveFormConfiguration(formData) {
+  try {
+    const config =
+      ConfigurationService.getConfiguration() ||
+      ConfigurationService.getDefaultConfiguration();
+
+    const updatedConfig = {
+      ...config,
+      formId: String(formData.formId || "").trim(),
+      fieldMappings: { ...config.fieldMappings, ...formData.fieldMappings },
+      persistentFields: formData.persistentFields || {},
+      spreadsheetConfig: {
+        ...config.spreadsheetConfig,
+        ...formData.spreadsheetConfig,
+      },
+    };
+
+    const validation =
+      ConfigurationService.validateConfiguration(updatedConfig);
+    if (!validation.valid) {
+      return { success: false, errors: validation.errors };
+    }
+
+    if (!ConfigurationService.setConfiguration(updatedConfig)) {
+      return {
+        success: false,
+        errors: ["The configuration could not be saved"],
+      };
+    }
+
+    return {
+      success: true,
+      errors: [],
+      summary: ConfigurationService.getConfigurationSummary(),
+    };
+  } catch (error) {
+    console.error("Error saving form configuration:", error);
+    throw new Error("Unable to save configuration: " + error.message);
+  }
+}
+
+/**
+ * Check entry IDs against the live form
+ * @param {string} formId - Google Form ID
+ * @param {Object} fieldMappings - Entry IDs keyed by logical field
+ * @return {Object} Per-field results with valid flag and entry ID
+ */
+function validateFormMappingsForDialog(formId, fieldMappings) {
+  const mappedFields = {};
+  Object.keys(fieldMappings || {}).forEach((key) => {
+    if (fieldMappings[key]) {
+      mappedFields[key] = fieldMappings[key];
+    }
+  });
+
+  const results = ConfigurationService.validateFormEntryIds(
+    formId,
+    mappedFields
+  );
+
+  if (!results) {
+    throw new Error(
+      "Could not open the form. Check the form ID and that you have edit access."
+    );
+  }
+
+  return results;
+}
+
+/**
+ * Export the stored configuration as formatted JSON
+ * @return {string} Configuration JSON
+ */
+function exportFormConfiguration() {
+  try {
+    const config =
+      ConfigurationService.exportConfiguration() ||
+      ConfigurationService.getDefaultConfiguration();
+
+    return JSON.stringify(config, null, 2);
+  } catch (error) {
+    console.error("Error exporting configuration:", error);
+    throw new Error("Unable to export configuration: " + error.message);
+  }
+}
+
+/**
+ * Import configuration JSON from the dialog
+ * @param {string} configJson - Configuration JSON
+ * @return {Object} Import result with success flag and human-readable errors
+ */
+function importFormConfiguration(configJson) {
+  return ConfigurationService.importConfiguration(configJson);
+}
+
+/**
+ * Reset configuration to defaults and reload the dialog data
+ * @return {Object} Dialog data after the reset
+ */
+function resetFormConfiguration() {
+  if (!ConfigurationService.resetConfiguration()) {
+    throw new Error("Unable to reset configuration");
+  }
+
+  return loadFormConfiguration();
+}
+
+/**
+ * Goal Management Dialog Handlers
+ */
+
+/**
+ * Load goals, completed goals and change history for the goal management dialog
+ * @param {string} clientId - Client ID
+ * @return {Object} Dialog data (serialization-safe)
+ */
+function loadGoalManagementData(clientId) {
+  try {
+    const allGoals = GoalManagementService.getGoals(clientId, {
+      includeClosed: true,
+    });
+    const toIso = (date) =>
+      date instanceof Date ? date.toISOString() : date || "";
+
+    return {
+      goals: allGoals
+        .filter((goal) => GoalModel.isOpen(goal))
+        .map(GoalModel.toSerializable),
+      closedGoals: allGoals
+        .filter((goal) => !GoalModel.isOpen(goal))
+        .map(GoalModel.toSerializable)
+        .sort((a, b) => (b.completedDate || "").localeCompare(a.completedDate)),
+      history: GoalManagementService.getGoalHistory(clientId).map((entry) => ({
+        ...entry,
+        date: toIso(entry.date),
+      })),
+      domains: GoalModel.SUGGESTED_DOMAINS,
+      objectiveStatuses: GoalModel.OBJECTIVE_STATUSES,
+    };
+  } catch (error) {
+    console.error("Error loading goal management data:", error);
+    throw new Error("Unable to load goals: " + error.message);
+  }
+}
+
+/**
+ * Run a goal change and return the refreshed dialog data
+ * GoalManagementService errors (duplicates, not found, validation) are passed through
+ * @param {string} clientId - Client ID
+ * @param {string} description - Change description for logging
+ * @param {Function} change - Function performing the change
+ * @return {Object} Dialog data after the change
+ */
+function applyGoalChange(clientId, description, change) {
+  try {
+    change();
+  } catch (error) {
+    console.error(`Error ${description}:`, error);
+    throw new Error(error.message);
+  }
+
+  return loadGoalManagementData(clientId);
+}
+
+/**
+ * Add a goal from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {Object} goalInput - Goal text, domain, target date and baseline
+ * @return {Object} Updated dialog data
+ */
+function addGoalForDialog(clientId, goalInput) {
+  return applyGoalChange(clientId, "adding goal", () =>
+    GoalManagementService.addGoal(clientId, goalInput)
+  );
+}
+
+/**
+ * Update a goal from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @param {Object} updates - Goal fields to change
+ * @return {Object} Updated dialog data
+ */
+function updateGoalForDialog(clientId, goalId, updates) {
+  return applyGoalChange(clientId, "updating goal", () =>
+    GoalManagementService.updateGoal(clientId, goalId, updates)
+  );
+}
+
+/**
+ * Save a new goal order from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} goalIds - Open goal IDs in their new order
+ * @return {Object} Updated dialog data
+ */
+function reorderGoalsForDialog(clientId, goalIds) {
+  return applyGoalChange(clientId, "reordering goals", () =>
+    GoalManagementService.reorderGoals(clientId, goalIds)
+  );
+}
+
+/**
+ * Mark a goal as completed from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @return {Object} Updated dialog data
+ */
+function completeGoalForDialog(clientId, goalId) {
+  return applyGoalChange(clientId, "completing goal", () =>
+    GoalManagementService.completeGoal(clientId, goalId)
+  );
+}
+
+/**
+ * Remove a goal from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @return {Object} Updated dialog data
+ */
+function removeGoalForDialog(clientId, goalId) {
+  return applyGoalChange(clientId, "removing goal", () =>
+    GoalManagementService.removeGoal(clientId, goalId)
+  );
+}
+
+/**
+ * Add an objective to a goal from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @param {Object} objectiveInput - Objective text, measure and target
+ * @return {Object} Updated dialog data
+ */
+function addObjectiveForDialog(clientId, goalId, objectiveInput) {
+  return applyGoalChange(clientId, "adding objective", () =>
+    GoalManagementService.addObjective(clientId, goalId, objectiveInput)
+  );
+}
+
+/**
+ * Update an objective from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @param {string} objectiveId - Objective ID
+ * @param {Object} updates - Objective fields to change
+ * @return {Object} Updated dialog data
+ */
+function updateObjectiveForDialog(clientId, goalId, objectiveId, updates) {
+  return applyGoalChange(clientId, "updating objective", () =>
+    GoalManagementService.updateObjective(
+      clientId,
+      goalId,
+      objectiveId,
+      updates
+    )
+  );
+}
+
+/**
+ * Remove an objective from the goal management dialog
+ * @param {string} clientId - Client ID
+ * @param {string} goalId - Goal ID
+ * @param {string} objectiveId - Objective ID
+ * @return {Object} Updated dialog data
+ */
+function removeObjectiveForDialog(clientId, goalId, objectiveId) {
+  return applyGoalChange(clientId, "removing objective", () =>
+    GoalManagementService.removeObjective(clientId, goalId, objectiveId)
+  );
+}
+
+/**
+ * Dead-Letter Queue Dialog Handlers
+ */
+
+/**
+ * Load dead-lettered form responses for the review dialog
+ * Pending responses are read from their form, with edited answers applied
+ * @return {Object} Dead letters, mapped form fields and ledger counts (serialization-safe)
+ */
+function loadDeadLetterQueue() {
+  try {
+    const toIso = (date) =>
+      date instanceof Date ? date.toISOString() : date || "";
+    const fieldMappings = ConfigurationService.getFieldMappings() || {};
+    const forms = {};
+
+    const readResponse = (record) => {
+      if (record.status !== DeadLetterService.STATUS.PENDING) {
+        return record.responseData;
+      }
+
+      try {
+        const responseData = DeadLetterService.getResponseData(record, forms);
+        return { ...responseData, timestamp: toIso(responseData.timestamp) };
+      } catch (error) {
+        console.error("Error reading dead-lettered response:", error);
+        return record.responseData;
+      }
+    };
+
+    return {
+      deadLetters: DeadLetterService.getDeadLetters().map((record) => ({
+        ...record,
+        deadLettered: toIso(record.deadLettered),
+        lastReplayed: toIso(record.lastReplayed),
+        responseData: readResponse(record),
+      })),
+      fields: FormBuilderService.FIELD_SCHEMA.filter(
+        (field) => fieldMappings[field.key]
+      ).map((field) => ({
+        key: field.key,
+        title: field.title,
+        entryId: fieldMappings[field.key],
+      })),
+      summary: FormResponseLedger.getSummary(),
+    };
+  } catch (error) {
+    console.error("Error loading dead-letter queue:", error);
+    throw new Error("Unable to load failed responses: " + error.message);
+  }
+}
+
+/**
+ * Save edited answers for a dead-lettered response
+ * @param {string} responseId - Form response ID
+ * @param {Object} responseData - Answers keyed by entry ID
+ * @return {Object} Updated dialog data
+ */
+function saveDeadLetterData(responseId, responseData) {
+  if (!DeadLetterService.updateResponseData(responseId, responseData)) {
+    throw new Error("Unable to save changes to response " + responseId);
+  }
+
+  return loadDeadLetterQueue();
+}
+
+/**
+ * Replay a dead-lettered response, saving edited answers first when given
+ * @param {string} responseId - Form response ID
+ * @param {Object} responseData - Optional edited answers keyed by entry ID
+ * @return {Object} Replay result and updated dialog data
+ */
+function replayDeadLetter(responseId, responseData) {
+  if (
+    responseData &&
+    !DeadLetterService.updateResponseData(responseId, responseData)
+  ) {
+    throw new Error("Unable to save changes to response " + responseId);
+  }
+
+  const result = DeadLetterService.replay(responseId);
+
+  return {
+    result: result,
+    data: loadDeadLetterQueue(),
+  };
+}
+
+/**
+ * Discard a dead-lettered response without applying it
+ * @param {string} responseId - Form response ID
+ * @return {Object} Updated dialog data
+ */
+function discardDeadLetter(responseId) {
+  if (!DeadLetterService.discard(responseId)) {
+    throw new Error("Unable to discard response " + responseId);
+  }
+
+  return loadDeadLetterQueue();
+}
+
+/**
+ * Proposed Client Update Dialog Handlers
+ */
+
+/**
+ * Load proposed client updates for the review dialog
+ * @return {Object} Proposals with client names (serialization-safe)
+ */
+function loadProposedUpdates() {
+  try {
+    const toIso = (date) =>
+      date instanceof Date ? date.toISOString() : date || "";
+    const clientNames = getClientNames();
+
+    return {
+      proposals: ProposedUpdateService.getProposals().map((record) => ({
+        ...record,
+        clientName: clientNames[record.clientId] || "",
+        currentValue: String(record.currentValue),
+        proposedValue: String(record.proposedValue),
+        created: toIso(record.created),
+        reviewedDate: toIso(record.reviewedDate),
+      })),
+    };
+  } catch (error) {
+    console.error("Error loading proposed client updates:", error);
+    throw new Error("Unable to load proposed updates: " + error.message);
+  }
+}
+
+/**
+ * Approve a proposed update, writing it to the client record
+ * @param {string} proposalId - Proposal ID
+ * @param {string} value - Optional edited value to write instead of the proposed one
+ * @return {Object} Updated dialog data
+ */
+function approveProposedUpdate(proposalId, value) {
+  if (!ProposedUpdateService.approve(proposalId, value)) {
+    throw new Error("Unable to apply proposed update " + proposalId);
+  }
+
+  return loadProposedUpdates();
+}
+
+/**
+ * Reject a proposed update without changing the client record
+ * @param {string} proposalId - Proposal ID
+ * @return {Object} Updated dialog data
+ */
+function rejectProposedUpdate(proposalId) {
+  if (!ProposedUpdateService.reject(proposalId)) {
+    throw new Error("Unable to reject proposed update " + proposalId);
+  }
+
+  return loadProposedUpdates();
+}
+
+/**
+ * Map client IDs to names for dialogs that list changes by client
+ * @return {Object} Client names keyed by client ID
+ */
+function getClientNames() {
+  const config = ConfigurationService.getSpreadsheetConfig();
+  const clientNames = {};
+
+  ClientService.getAllClients().forEach((client) => {
+    const id = client[config.CLIENT_ID_COLUMN] || client.ID;
+    clientNames[id] = client[config.CLIENT_NAME_COLUMN] || client.Name || "";
+  });
+
+  return clientNames;
+}
+
+/**
+ * Sync Preview Dialog Handlers
+ */
+
+/**
+ * Preview the changes syncing pending form responses would make, without writing them
+ * @param {number} days - Only responses from the last this many days; all when empty
+ * @return {Object} Response previews with client names (serialization-safe)
+ */
+function loadSyncPreview(days) {
+  try {
+    const formId = ConfigurationService.getFormId();
+    if (!formId) {
+      throw new Error("Please configure your Google Form ID first.");
+    }
+
+    const toText = (value) => {
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
+      if (Array.isArray(value)) {
+        return value.join(", ");
+      }
+      return value === undefined || value === null ? "" : String(value);
+    };
+    const clientNames = getClientNames();
+
+    const previews = FormDataPersistence.previewPendingResponses(
+      formId,
+      days || null
+    ).map((preview) => ({
+      ...preview,
+      timestamp: toText(preview.timestamp),
+      clientName: clientNames[preview.clientId] || "",
+      clientChanges: preview.clientChanges.map((change) => ({
+        ...change,
+        clientName: clientNames[change.clientId] || "",
+        oldValue: toText(change.oldValue),
+        newValue: toText(change.newValue),
+      })),
+      proposals: preview.proposals.map((proposal) => ({
+        ...proposal,
+        currentValue: toText(proposal.currentValue),
+        proposedValue: toText(proposal.proposedValue),
+      })),
+    }));
+
+    return {
+      days: days || null,
+      previews: previews,
+    };
+  } catch (error) {
+    console.error("Error previewing form response sync:", error);
+    throw new Error("Unable to preview form responses: " + error.message);
+  }
+}
+
+/**
+ * Apply previewed form responses
+ * @param {Array<Object>} selections - responseId and responseHash of each response to apply
+ * @param {number} days - Preview window, used to refresh the preview afterwards
+ * @return {Object} Apply summary and refreshed preview
+ */
+function applySyncPreview(selections, days) {
+  const formId = ConfigurationService.getFormId();
+  const summary = FormDataPersistence.applyPreviewedResponses(
+    formId,
+    selections || []
+  );
+
+  if (summary.error) {
+    throw new Error("Unable to apply form responses: " + summary.error);
+  }
+
+  return {
+    summary: summary,
+    data: loadSyncPreview(days),
+  };
+}
+
+/**
+ * Form Backfill Dialog Handlers
+ */
+
+/**
+ * Get the current or most recent backfill's progress
+ * @return {Object|null} Backfill progress
+ */
+function loadFormBackfillProgress() {
+  return FormBackfillService.getProgress();
+}
+
+/**
+ * Start backfilling the configured form's responses for a date range
+ * @param {string} startDate - First day, yyyy-MM-dd
+ * @param {string} endDate - Last day, yyyy-MM-dd
+ * @return {Object} Backfill progress after the first chunk
+ */
+function startFormBackfill(startDate, endDate) {
+  const formId = ConfigurationService.getFormId();
+  if (!formId) {
+    throw new Error("Please configure your Google Form ID first.");
+  }
+
+  try {
+    return FormBackfillService.startBackfill(formId, startDate, endDate);
+  } catch (error) {
+    console.error("Error starting form backfill:", error);
+    throw new Error("Unable to start backfill: " + error.message);
+  }
+}
+
+/**
+ * Stop the running backfill
+ * @return {Object} Backfill progress
+ */
+function cancelFormBackfill() {
+  return FormBackfillService.cancelBackfill();
+}
+
+/**
+ * Load the calendars the user can choose from, with the current selection
+ * @return {Object} calendars (id, name, primary), selected calendar settings
+ *   and the default detection rules
+ */
+function loadCalendarSettings() {
+  try {
+    const rules = ConfigurationService.getDetectionRules();
+
+    return {
+      calendars: CalendarApp.getAllCalendars().map((calendar) => ({
+        id: calendar.getId(),
+        name: calendar.getName(),
+        primary: calendar.isMyPrimaryCalendar(),
+      })),
+      selected: ConfigurationService.getCalendarSettings(),
+      defaults: {
+        keywords: rules.includeKeywords,
+      },
+    };
+  } catch (error) {
+    console.error("Error loading calendar settings:", error);
+    throw new Error("Unable to load calendars: " + error.message);
+  }
+}
+
+/**
+ * Save the calendars appointments are read from
+ * @param {Array<Object>} calendars - Calendar settings in priority order
+ * @return {Object} Updated dialog data
+ */
+function saveCalendarSettings(calendars) {
+  const result = ConfigurationService.updateCalendarSettings(calendars);
+
+  if (!result.success) {
+    throw new Error(
+      "Unable to save calendar settings: " + result.errors.join("; ")
+    );
+  }
+
+  return loadCalendarSettings();
+}
+
+/**
+ * Load the detection rules for the detection rules dialog
+ * @return {Object} Saved rules, default rules and the days of the week
+ */
+function loadDetectionRules() {
+  return {
+    rules: ConfigurationService.getDetectionRules(),
+    defaults: ConfigurationService.DEFAULT_DETECTION_RULES,
+    weekdays: ConfigurationService.WEEKDAYS,
+  };
+}
+
+/**
+ * Save the detection rules
+ * @param {Object} rules - Detection rules
+ * @return {Object} Updated dialog data
+ */
+function saveDetectionRules(rules) {
+  const result = ConfigurationService.updateDetectionRules(rules);
+
+  if (!result.success) {
+    throw new Error(
+      "Unable to save detection rules: " + result.errors.join("; ")
+    );
+  }
+
+  return loadDetectionRules();
+}
+
+/**
+ * Test unsaved detection rules against this week's events
+ * @param {Object} rules - Detection rules
+ * @return {Array<Object>} Events with their verdicts (serialization-safe)
+ */
+function previewDetectionRulesDialog(rules) {
+  const config =
+    ConfigurationService.getConfiguration() ||
+    ConfigurationService.getDefaultConfiguration();
+  const validation = ConfigurationService.validateConfiguration({
+    ...config,
+    detectionRules: rules,
+  });
+
+  if (!validation.valid) {
+    throw new Error(validation.errors.join("; "));
+  }
+
+  try {
+    return previewDetectionRules(rules).map((event) => ({
+      ...event,
+      startTime: event.startTime.toISOString(),
+    }));
+  } catch (error) {
+    console.error("Error previewing detection rules:", error);
+    throw new Error("Unable to test rules: " + error.message);
+  }
+}
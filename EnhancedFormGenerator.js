@@ -6,45 +6,15 @@
 
 /**
  * Enhanced form configuration with more comprehensive field mappings
+ * Every logical field lives in the same ConfigurationService mapping, so
+ * EXTENDED_FIELDS is the same mapping as FIELD_MAPPINGS
  */
 function getEnhancedFormConfig() {
   const baseConfig = getFormConfig();
   
   return {
     ...baseConfig,
-    
-    // Extended field mappings for comprehensive pre-population
-    EXTENDED_FIELDS: {
-      // Basic session info
-      SESSION_DATE: 'entry.111111111',
-      SESSION_START_TIME: 'entry.222222222',
-      SESSION_END_TIME: 'entry.333333333',
-      SESSION_DURATION: 'entry.444444444',
-      SESSION_TYPE: 'entry.555555555', // 'Individual', 'Group', 'Family', etc.
-      
-      // Client information
-      CLIENT_EMAIL: 'entry.666666666',
-      CLIENT_PHONE: 'entry.777777777',
-      INSURANCE_PROVIDER: 'entry.888888888',
-      
-      // Session details
-      SESSION_LOCATION: 'entry.999999999', // 'In-Person', 'Telehealth', 'Phone'
-      APPOINTMENT_TYPE: 'entry.101010101', // 'Initial', 'Follow-up', 'Crisis', etc.
-      
-      // Previous session reference
-      LAST_SESSION_DATE: 'entry.121212121',
-      PREVIOUS_GOALS_STATUS: 'entry.131313131',
-      
-      // Clinical notes
-      MOOD_ASSESSMENT: 'entry.141414141',
-      RISK_ASSESSMENT: 'entry.151515151',
-      MEDICATION_CHANGES: 'entry.161616161',
-      
-      // Administrative
-      THERAPIST_NAME: 'entry.171717171',
-      SUPERVISOR_REVIEW: 'entry.181818181',
-      BILLING_CODE: 'entry.191919191'
-    }
+    EXTENDED_FIELDS: baseConfig.FIELD_MAPPINGS
   };
 }
 
@@ -61,6 +31,10 @@ function createEnhancedPrePopulatedUrl(sessionData) {
     throw new Error('Invalid session data provided');
   }
   
+  if (!config.FORM_ID) {
+    throw new Error('No documentation form is configured. Use "Build Documentation Form" to create one.');
+  }
+  
   // Get historical prefill data
   const prefillData = getPrefillDataForClient(sessionData.client.id);
   
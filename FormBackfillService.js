@@ -0,0 +1,516 @@
+/**
+ * FormBackfillService.gs
+ * Historical backfill of form responses over a date range
+ * Work runs in time-limited chunks that resume from a saved cursor, so large
+ * ranges survive the Apps Script execution time limit
+ */
+
+const FormBackfillService = {
+  
+  // Script property holding the current backfill's progress
+  STATE_KEY: 'FORM_BACKFILL_STATE',
+  
+  // Global function invoked by the continuation trigger
+  CONTINUE_HANDLER: 'continueFormBackfill',
+  
+  // Stop a chunk well before the six-minute execution limit
+  CHUNK_TIME_LIMIT_MS: 4 * 60 * 1000,
+  
+  // Pause between chunks
+  CONTINUE_DELAY_MS: 60 * 1000,
+  
+  // Chunks that may fail in a row before the backfill gives up
+  MAX_CHUNK_FAILURES: 3,
+  
+  // A chunk's claim lapses after the six-minute execution limit, in case it never finished
+  CHUNK_CLAIM_MS: 6 * 60 * 1000,
+  
+  // How long to wait for another execution that is reading or saving the state
+  LOCK_TIMEOUT_MS: 30000,
+  
+  STATUS: {
+    RUNNING: 'running',
+    COMPLETE: 'complete',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+  },
+  
+  /**
+   * Start backfilling a form's responses and run the first chunk
+   * Only one backfill runs at a time
+   * @param {string} formId - Google Form ID
+   * @param {Date|string} startDate - First day to include
+   * @param {Date|string} endDate - Last day to include; defaults to now
+   * @returns {Object} Backfill progress
+   */
+  startBackfill(formId, startDate, endDate = null) {
+    if (!formId) {
+      throw new Error('Form ID is required');
+    }
+    
+    const start = this.toDate(startDate, false);
+    const end = endDate ? this.toDate(endDate, true) : new Date();
+    
+    if (!start || !end || start > end) {
+      throw new Error('Choose a start date on or before the end date');
+    }
+    
+    const total = FormApp.openById(formId).getResponses(start)
+      .filter(response => response.getTimestamp() <= end)
+      .length;
+    
+    const state = {
+      formId: formId,
+      startDate: start.toISOString(),
+      endDate: end.toISOString(),
+      status: this.STATUS.RUNNING,
+      total: total,
+      examined: 0,
+      applied: 0,
+      notApplied: 0,
+      alreadyHandled: 0,
+      sessionsCreated: 0,
+      chunks: 0,
+      cursor: null,
+      cursorIds: [],
+      chunkFailures: 0,
+      triggerId: null,
+      started: new Date().toISOString(),
+      updated: new Date().toISOString(),
+      finished: null,
+      chunkStarted: null,
+      error: ''
+    };
+    
+    this.withStateLock(() => {
+      const running = this.getState();
+      if (running && running.status === this.STATUS.RUNNING) {
+        throw new Error(`A backfill of responses from ${this.formatRange(running)} is already running`);
+      }
+      
+      this.saveState(state);
+    });
+    Logger.log(`Started backfill of ${total} responses from ${this.formatRange(state)} for form: ${formId}`);
+    
+    return this.runChunk();
+  },
+  
+  /**
+   * Process the next chunk of a running backfill
+   * Responses are examined oldest first. Each one is applied through
+   * FormDataPersistence, so the ledger keeps anything from being applied twice.
+   * The script lock is only held while claiming the chunk and saving its
+   * progress, because applying each response takes the same lock.
+   * @returns {Object} Backfill progress
+   */
+  runChunk() {
+    const state = this.withStateLock(() => this.claimChunk());
+    if (!state) {
+      return this.getProgress();
+    }
+    
+    const deadline = Date.now() + this.CHUNK_TIME_LIMIT_MS;
+    let remaining = 0;
+    let chunkError = null;
+    
+    try {
+      const form = FormApp.openById(state.formId);
+      const responses = this.getRemainingResponses(state, form);
+      const entryIds = FormMappingService.getCachedEntryIds(form);
+      const ledgerEntries = FormResponseLedger.getEntryMap();
+      const fieldMappings = ConfigurationService.getFieldMappings();
+      const sessionData = SessionTrackingService.getSessionsSheet().getDataRange().getValues();
+      
+      // Every chunk examines at least one response so the backfill always moves forward
+      let index = 0;
+      for (; index < responses.length && (index === 0 || Date.now() < deadline); index++) {
+        const response = responses[index];
+        const formResponse = FormDataPersistence.convertFormResponseToObject(response, entryIds);
+        formResponse.formId = state.formId;
+        
+        if (formResponse.id && FormDataPersistence.isPendingResponse(ledgerEntries[formResponse.id], formResponse)) {
+          this.matchSession(formResponse, fieldMappings, sessionData, state);
+          
+          if (FormDataPersistence.processFormResponse(formResponse)) {
+            state.applied++;
+          } else {
+            state.notApplied++;
+          }
+        } else {
+          state.alreadyHandled++;
+        }
+        
+        this.advanceCursor(state, response);
+      }
+      
+      remaining = responses.length - index;
+    } catch (error) {
+      Logger.log('Error running backfill chunk: ' + error.toString());
+      chunkError = error;
+    }
+    
+    this.withStateLock(() => this.finishChunk(state, remaining, chunkError));
+    
+    return this.getProgress();
+  },
+  
+  /**
+   * Claim the next chunk of a running backfill, unless another execution is running one
+   * Call while holding the state lock.
+   * @returns {Object|null} Backfill state, or null if there is no chunk to run
+   */
+  claimChunk() {
+    const state = this.getState();
+    if (!state || state.status !== this.STATUS.RUNNING) {
+      return null;
+    }
+    
+    if (state.chunkStarted && Date.now() - new Date(state.chunkStarted).getTime() < this.CHUNK_CLAIM_MS) {
+      Logger.log('A backfill chunk is already running; not starting another');
+      return null;
+    }
+    
+    this.removeContinuationTrigger(state);
+    state.chunkStarted = new Date().toISOString();
+    this.saveState(state);
+    
+    return state;
+  },
+  
+  /**
+   * Save a chunk's progress and schedule the next one
+   * The saved state is read again first, so a backfill cancelled while the
+   * chunk ran stays cancelled and is not continued. Call while holding the state lock.
+   * @param {Object} state - Backfill state the chunk worked on
+   * @param {number} remaining - Responses left after this chunk
+   * @param {Error|null} chunkError - Error that stopped the chunk, if any
+   */
+  finishChunk(state, remaining, chunkError) {
+    const saved = this.getState();
+    const cancelled = !saved || saved.status !== this.STATUS.RUNNING;
+    
+    state.chunkStarted = null;
+    state.updated = new Date().toISOString();
+    
+    if (cancelled) {
+      state.status = saved ? saved.status : this.STATUS.CANCELLED;
+      state.finished = (saved && saved.finished) || state.updated;
+      Logger.log('Backfill was stopped while a chunk ran; not continuing');
+    } else if (chunkError) {
+      state.error = chunkError.message;
+      
+      // Try again from the cursor unless chunks keep failing
+      state.chunkFailures++;
+      if (state.chunkFailures >= this.MAX_CHUNK_FAILURES) {
+        state.status = this.STATUS.FAILED;
+        state.finished = state.updated;
+      } else {
+        this.scheduleContinuation(state);
+      }
+    } else {
+      state.chunks++;
+      state.chunkFailures = 0;
+      
+      if (remaining === 0) {
+        state.status = this.STATUS.COMPLETE;
+        state.finished = state.updated;
+        Logger.log(`Backfill complete: ${state.applied} applied, ${state.notApplied} not applied, ` +
+          `${state.alreadyHandled} already handled, ${state.sessionsCreated} sessions created`);
+      } else {
+        this.scheduleContinuation(state);
+        Logger.log(`Backfill chunk ${state.chunks} done; ${remaining} responses remain`);
+      }
+    }
+    
+    this.saveState(state);
+  },
+  
+  /**
+   * Get the responses in the backfill range that have not been examined yet, oldest first
+   * @param {Object} state - Backfill state
+   * @param {GoogleAppsScript.Forms.Form} form - The backfilled form
+   * @returns {Array<GoogleAppsScript.Forms.FormResponse>} Remaining responses
+   */
+  getRemainingResponses(state, form) {
+    const start = new Date(state.startDate);
+    const end = new Date(state.endDate);
+    const cursor = state.cursor ? new Date(state.cursor) : null;
+    const since = cursor && cursor > start ? cursor : start;
+    
+    return form.getResponses(since)
+      .filter(response => {
+        const timestamp = response.getTimestamp();
+        
+        if (timestamp < start || timestamp > end) {
+          return false;
+        }
+        
+        // Responses sharing the cursor's timestamp may already have been examined
+        return !cursor ||
+          timestamp > cursor ||
+          (timestamp.getTime() === cursor.getTime() && !state.cursorIds.includes(response.getId()));
+      })
+      .sort((a, b) => a.getTimestamp() - b.getTimestamp());
+  },
+  
+  /**
+   * Record a response as examined
+   * @param {Object} state - Backfill state
+   * @param {GoogleAppsScript.Forms.FormResponse} response - Examined response
+   */
+  advanceCursor(state, response) {
+    const timestamp = response.getTimestamp().toISOString();
+    
+    if (state.cursor !== timestamp) {
+      state.cursor = timestamp;
+      state.cursorIds = [];
+    }
+    
+    state.cursorIds.push(response.getId());
+    state.examined++;
+  },
+  
+  /**
+   * Link a historical response to its session, creating the session row if it is missing
+   * Sessions are matched by client and session date (the Session Date answer,
+   * or the submission date when the form has none)
+   * @param {Object} formResponse - Form response data; receives sessionId
+   * @param {Object} fieldMappings - Field mappings configuration
+   * @param {Array<Array>} sessionData - Sessions sheet values, extended with created rows
+   * @param {Object} state - Backfill state
+   */
+  matchSession(formResponse, fieldMappings, sessionData, state) {
+    const headers = sessionData[0];
+    const sessionIdColumn = headers.indexOf('Session_ID');
+    
+    const answeredSessionId = FormDataPersistence.extractSessionId(formResponse, fieldMappings);
+    if (answeredSessionId && sessionData.some(row => String(row[sessionIdColumn]) === String(answeredSessionId))) {
+      return;
+    }
+    
+    const clientId = FormDataPersistence.extractClientId(formResponse, fieldMappings);
+    if (!clientId) {
+      return;
+    }
+    
+    const sessionDate = this.getSessionDate(formResponse, fieldMappings);
+    const rowIndex = SessionTrackingService.findSessionRowIndex(sessionData, {
+      sessionDate: sessionDate,
+      clientId: clientId
+    });
+    
+    if (rowIndex > -1) {
+      formResponse.sessionId = sessionData[rowIndex][sessionIdColumn];
+      return;
+    }
+    
+    const client = ClientService.getClientById(clientId);
+    const config = ConfigurationService.getSpreadsheetConfig();
+    
+    const sessionId = SessionTrackingService.createOrUpdateSession({
+      sessionDate: sessionDate,
+      clientId: clientId,
+      clientName: client ? client[config.CLIENT_NAME_COLUMN] : '',
+      formId: state.formId,
+      formResponseId: formResponse.id
+    });
+    
+    if (!sessionId) {
+      return;
+    }
+    
+    // Later responses for the same client and day reuse the new row
+    const row = headers.map(() => '');
+    row[sessionIdColumn] = sessionId;
+    row[headers.indexOf('Date')] = sessionDate;
+    row[headers.indexOf('Client_ID')] = clientId;
+    sessionData.push(row);
+    
+    formResponse.sessionId = sessionId;
+    state.sessionsCreated++;
+  },
+  
+  /**
+   * Get the date a response's session took place
+   * @param {Object} formResponse - Form response data
+   * @param {Object} fieldMappings - Field mappings configuration
+   * @returns {Date} Session date
+   */
+  getSessionDate(formResponse, fieldMappings) {
+    const answer = FormDataPersistence.extractFieldValue(formResponse, 'SESSION_DATE', fieldMappings);
+    
+    if (answer) {
+      const date = new Date(answer);
+      if (!isNaN(date.getTime())) {
+        return date;
+      }
+    }
+    
+    return new Date(formResponse.timestamp);
+  },
+  
+  /**
+   * Stop a running backfill; responses already applied stay applied
+   * @returns {Object} Backfill progress
+   */
+  cancelBackfill() {
+    this.withStateLock(() => {
+      const state = this.getState();
+      
+      if (state && state.status === this.STATUS.RUNNING) {
+        this.removeContinuationTrigger(state);
+        state.status = this.STATUS.CANCELLED;
+        state.finished = new Date().toISOString();
+        this.saveState(state);
+        Logger.log('Backfill cancelled');
+      }
+    });
+    
+    return this.getProgress();
+  },
+  
+  /**
+   * Get the current or most recent backfill's progress
+   * @returns {Object|null} Backfill state with percentComplete, or null if none has run
+   */
+  getProgress() {
+    const state = this.getState();
+    if (!state) {
+      return null;
+    }
+    
+    return {
+      ...state,
+      percentComplete: state.total > 0 ?
+        Math.min(100, Math.round((state.examined / state.total) * 100)) :
+        (state.status === this.STATUS.COMPLETE ? 100 : 0)
+    };
+  },
+  
+  /**
+   * Schedule the next chunk
+   * @param {Object} state - Backfill state; receives the trigger ID
+   */
+  scheduleContinuation(state) {
+    const trigger = ScriptApp.newTrigger(this.CONTINUE_HANDLER)
+      .timeBased()
+      .after(this.CONTINUE_DELAY_MS)
+      .create();
+    
+    state.triggerId = trigger.getUniqueId();
+  },
+  
+  /**
+   * Delete the trigger that scheduled the current chunk
+   * @param {Object} state - Backfill state
+   */
+  removeContinuationTrigger(state) {
+    ScriptApp.getProjectTriggers()
+      .filter(trigger => trigger.getHandlerFunction() === this.CONTINUE_HANDLER &&
+        (!state.triggerId || trigger.getUniqueId() === state.triggerId))
+      .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+    
+    state.triggerId = null;
+  },
+  
+  /**
+   * Read the saved backfill state
+   * @returns {Object|null} Backfill state
+   */
+  getState() {
+    const stateString = PropertiesService.getScriptProperties().getProperty(this.STATE_KEY);
+    
+    try {
+      return stateString ? JSON.parse(stateString) : null;
+    } catch (parseError) {
+      Logger.log(`Error parsing backfill state: ${parseError.toString()}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Save the backfill state
+   * @param {Object} state - Backfill state
+   */
+  saveState(state) {
+    PropertiesService.getScriptProperties().setProperty(this.STATE_KEY, JSON.stringify(state));
+  },
+  
+  /**
+   * Run a callback while holding the script lock, so state changes from the
+   * menu, the dialog and the continuation trigger never overwrite each other
+   * @param {Function} callback - Work to do under the lock
+   * @returns {any} The callback's result
+   */
+  withStateLock(callback) {
+    const lock = LockService.getScriptLock();
+    lock.waitLock(this.LOCK_TIMEOUT_MS);
+    
+    try {
+      return callback();
+    } finally {
+      lock.releaseLock();
+    }
+  },
+  
+  /**
+   * Parse a range boundary; yyyy-MM-dd dates are read as local days
+   * @param {Date|string} value - Date or date string
+   * @param {boolean} endOfDay - Use the end of a yyyy-MM-dd day rather than its start
+   * @returns {Date|null} Date or null if invalid
+   */
+  toDate(value, endOfDay) {
+    const match = typeof value === 'string' && value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    
+    const date = match ?
+      new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) :
+      new Date(value);
+    
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    
+    if (match && endOfDay) {
+      date.setHours(23, 59, 59, 999);
+    }
+    
+    return date;
+  },
+  
+  /**
+   * Describe a backfill's date range
+   * @param {Object} state - Backfill state
+   * @returns {string} Date range
+   */
+  formatRange(state) {
+    return `${new Date(state.startDate).toLocaleDateString()} to ${new Date(state.endDate).toLocaleDateString()}`;
+  }
+};
+
+/**
+ * Backfill entry points
+ * Installable triggers can only call global functions
+ */
+
+/**
+ * Sync the form's responses from the last few days
+ * Runs the first chunk now; a continuation trigger finishes any remainder
+ * @param {string} formId - Google Form ID
+ * @param {number} days - Number of days to look back
+ * @returns {number} Number of responses applied so far
+ */
+function syncExistingResponses(formId, days) {
+  const progress = FormBackfillService.startBackfill(
+    formId,
+    new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+  );
+  
+  return progress.applied;
+}
+
+/**
+ * Time-based trigger handler that runs the next backfill chunk
+ */
+function continueFormBackfill() {
+  FormBackfillService.runChunk();
+}
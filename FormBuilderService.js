@@ -0,0 +1,310 @@
+/**
+ * FormBuilderService.gs
+ * Builds the session documentation Google Form from a declarative field schema
+ * Creates or updates form items and writes the resulting entry IDs to ConfigurationService
+ */
+
+const FormBuilderService = {
+  
+  FORM_TITLE: 'Therapy Session Documentation',
+  
+  FORM_DESCRIPTION: 'Session documentation form. Fields are pre-filled from the Therapy Tools menu.',
+  
+  /**
+   * Declarative field schema, in form order
+   * key: logical field key used in field mappings and persistent field config
+   * type: text, paragraph, multipleChoice, checkbox, list or scale
+   * aliases: alternative titles used to recognise existing items
+   */
+  FIELD_SCHEMA: [
+    // Session identification (pre-filled)
+    { key: 'SESSION_ID', title: 'Session ID', type: 'text', helpText: 'Filled in automatically. Do not change.' },
+    { key: 'CLIENT_ID', title: 'Client ID', type: 'text', required: true, helpText: 'Filled in automatically. Do not change.' },
+    { key: 'CLIENT_NAME', title: 'Client Name', type: 'text', required: true, aliases: ['Client', 'Name'] },
+    { key: 'SESSION_DATE', title: 'Session Date', type: 'text', required: true, aliases: ['Date'] },
+    { key: 'SESSION_START_TIME', title: 'Start Time', type: 'text', aliases: ['Session Start Time'] },
+    { key: 'SESSION_END_TIME', title: 'End Time', type: 'text', aliases: ['Session End Time'] },
+    { key: 'SESSION_DURATION', title: 'Duration', type: 'text', aliases: ['Session Duration'] },
+    {
+      key: 'SESSION_TYPE',
+      title: 'Session Type',
+      type: 'multipleChoice',
+      choices: ['Individual', 'Couple', 'Family', 'Group']
+    },
+    {
+      key: 'SESSION_LOCATION',
+      title: 'Session Location',
+      type: 'multipleChoice',
+      choices: ['In-Person', 'Telehealth', 'Phone'],
+      aliases: ['Location']
+    },
+    {
+      key: 'APPOINTMENT_TYPE',
+      title: 'Appointment Type',
+      type: 'multipleChoice',
+      choices: ['Initial', 'Follow-up', 'Crisis', 'Family/Couple', 'Group']
+    },
+    
+    // Client information
+    { key: 'CLIENT_EMAIL', title: 'Client Email', type: 'text', aliases: ['Email'] },
+    { key: 'CLIENT_PHONE', title: 'Client Phone', type: 'text', aliases: ['Phone'] },
+    { key: 'INSURANCE_PROVIDER', title: 'Insurance Provider', type: 'text', aliases: ['Insurance'] },
+    { key: 'EMERGENCY_CONTACT', title: 'Emergency Contact', type: 'text' },
+    
+    // Clinical documentation
+    { key: 'SELECTED_GOAL', title: 'Goals Addressed', type: 'paragraph', required: true, aliases: ['Selected Goal', 'Goals Selected', 'Goal'] },
+    { key: 'PREVIOUS_GOALS_STATUS', title: 'Previous Goals Status', type: 'paragraph' },
+    { key: 'LAST_SESSION_DATE', title: 'Last Session Date', type: 'text' },
+    { key: 'MOOD_ASSESSMENT', title: 'Mood Assessment', type: 'paragraph' },
+    { key: 'RISK_ASSESSMENT', title: 'Risk Assessment', type: 'paragraph' },
+    { key: 'SESSION_NOTES', title: 'Session Notes', type: 'paragraph', required: true, aliases: ['Notes', 'Progress Notes'] },
+    { key: 'THERAPY_GOALS', title: 'New Therapy Goals', type: 'paragraph', helpText: 'Goals to add to the client record.' },
+    { key: 'HOMEWORK_ASSIGNED', title: 'Homework Assigned', type: 'paragraph', aliases: ['Homework'] },
+    { key: 'MEDICATION_CHANGES', title: 'Medication Changes', type: 'paragraph' },
+    { key: 'MEDICAL_HISTORY', title: 'Medical History Updates', type: 'paragraph', aliases: ['Medical History'] },
+    { key: 'NEXT_SESSION_DATE', title: 'Next Session Date', type: 'text' },
+    
+    // Administrative
+    { key: 'THERAPIST_NAME', title: 'Therapist Name', type: 'text', aliases: ['Therapist'] },
+    { key: 'SUPERVISOR_REVIEW', title: 'Supervisor Review', type: 'paragraph' },
+    { key: 'BILLING_CODE', title: 'Billing Code', type: 'text', aliases: ['CPT Code'] }
+  ],
+  
+  /**
+   * Create the documentation form, or bring an existing one in line with the schema
+   * Existing items are found by their mapped entry ID first, then by title or alias,
+   * so responses already collected stay attached to their questions.
+   * @param {string} formId - Optional form ID; defaults to the configured form
+   * @returns {Object} Build result with form URLs, field mappings and per-field actions
+   */
+  buildForm(formId = null) {
+    try {
+      const targetFormId = formId || ConfigurationService.getFormId();
+      const fieldMappings = ConfigurationService.getFieldMappings() || {};
+      
+      let form;
+      let formCreated = false;
+      
+      if (targetFormId) {
+        form = FormApp.openById(targetFormId);
+      } else {
+        form = FormApp.create(this.FORM_TITLE);
+        form.setDescription(this.FORM_DESCRIPTION);
+        formCreated = true;
+      }
+      
+      const itemsById = {};
+      form.getItems().forEach(item => {
+        itemsById[String(item.getId())] = item;
+      });
+      
+      const itemIdsByEntryId = {};
+      if (!formCreated) {
+        Object.entries(FormMappingService.getCachedEntryIds(form)).forEach(([itemId, entryId]) => {
+          itemIdsByEntryId[entryId] = itemId;
+        });
+      }
+      
+      const claimedItemIds = new Set();
+      const mappedItemIds = {};
+      const actions = { created: [], updated: [], skipped: [] };
+      
+      this.FIELD_SCHEMA.forEach(field => {
+        let item = this.findExistingItem(field, fieldMappings, itemsById, itemIdsByEntryId, claimedItemIds);
+        
+        if (item && item.getType() !== this.getItemType(field.type)) {
+          Logger.log(`Form item "${item.getTitle()}" is not a ${field.type} item; leaving it in place for ${field.key}`);
+          actions.skipped.push(field.key);
+          claimedItemIds.add(String(item.getId()));
+          mappedItemIds[field.key] = String(item.getId());
+          return;
+        }
+        
+        if (item) {
+          actions.updated.push(field.key);
+        } else {
+          item = this.createItem(form, field.type);
+          actions.created.push(field.key);
+        }
+        
+        this.applyFieldProperties(item, field);
+        claimedItemIds.add(String(item.getId()));
+        mappedItemIds[field.key] = String(item.getId());
+      });
+      
+      // Entry IDs are read back once the form has its final questions and choices
+      const fingerprint = FormMappingService.computeFingerprint(form);
+      const entryIds = FormMappingService.getCachedEntryIds(form, fingerprint);
+      const newMappings = {};
+      Object.entries(mappedItemIds).forEach(([key, itemId]) => {
+        if (entryIds[itemId]) {
+          newMappings[key] = entryIds[itemId];
+        } else {
+          Logger.log(`No prefill entry ID found for ${key}; leaving its mapping unchanged`);
+        }
+      });
+      
+      ConfigurationService.updateFormId(form.getId());
+      ConfigurationService.updateFieldMappings(newMappings);
+      ConfigurationService.updateFormFingerprint(fingerprint);
+      
+      Logger.log(`Built form ${form.getId()}: ${actions.created.length} created, ${actions.updated.length} updated`);
+      
+      return {
+        success: true,
+        formId: form.getId(),
+        formCreated: formCreated,
+        publishedUrl: form.getPublishedUrl(),
+        editUrl: form.getEditUrl(),
+        fieldMappings: newMappings,
+        created: actions.created,
+        updated: actions.updated,
+        skipped: actions.skipped
+      };
+    } catch (error) {
+      Logger.log('Error building form: ' + error.toString());
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Find the form item that already represents a schema field
+   * @param {Object} field - Schema field
+   * @param {Object} fieldMappings - Current field mappings
+   * @param {Object} itemsById - Form items keyed by item ID
+   * @param {Object} itemIdsByEntryId - Item IDs keyed by their prefill entry ID
+   * @param {Set} claimedItemIds - Item IDs already matched to other fields
+   * @returns {GoogleAppsScript.Forms.Item|null} Matching item or null
+   */
+  findExistingItem(field, fieldMappings, itemsById, itemIdsByEntryId, claimedItemIds) {
+    const mappedEntryId = fieldMappings[field.key];
+    
+    if (mappedEntryId) {
+      const itemId = itemIdsByEntryId[mappedEntryId];
+      if (itemId && itemsById[itemId] && !claimedItemIds.has(itemId)) {
+        return itemsById[itemId];
+      }
+    }
+    
+    const titles = [field.title, ...(field.aliases || [])].map(title => this.normalizeTitle(title));
+    
+    for (const [itemId, item] of Object.entries(itemsById)) {
+      if (!claimedItemIds.has(itemId) && titles.includes(this.normalizeTitle(item.getTitle()))) {
+        return item;
+      }
+    }
+    
+    return null;
+  },
+  
+  /**
+   * Add a new item of a schema type to the form
+   * @param {GoogleAppsScript.Forms.Form} form - Form
+   * @param {string} type - Schema field type
+   * @returns {GoogleAppsScript.Forms.Item} New item
+   */
+  createItem(form, type) {
+    switch (type) {
+      case 'paragraph':
+        return form.addParagraphTextItem();
+      case 'multipleChoice':
+        return form.addMultipleChoiceItem();
+      case 'checkbox':
+        return form.addCheckboxItem();
+      case 'list':
+        return form.addListItem();
+      case 'scale':
+        return form.addScaleItem();
+      case 'text':
+        return form.addTextItem();
+      default:
+        throw new Error(`Unsupported field type: ${type}`);
+    }
+  },
+  
+  /**
+   * Set title, help text, required flag and choices on an item
+   * @param {GoogleAppsScript.Forms.Item} item - Form item
+   * @param {Object} field - Schema field
+   */
+  applyFieldProperties(item, field) {
+    const typedItem = this.asTypedItem(item, field.type);
+    
+    typedItem.setTitle(field.title);
+    typedItem.setHelpText(field.helpText || '');
+    typedItem.setRequired(!!field.required);
+    
+    if (field.choices && typeof typedItem.setChoiceValues === 'function') {
+      typedItem.setChoiceValues(field.choices);
+    }
+    
+    if (field.type === 'scale') {
+      typedItem.setBounds(field.min || 1, field.max || 10);
+    }
+  },
+  
+  /**
+   * Cast a generic item to its typed item interface
+   * @param {GoogleAppsScript.Forms.Item} item - Form item
+   * @param {string} type - Schema field type
+   * @returns {Object} Typed item
+   */
+  asTypedItem(item, type) {
+    switch (type) {
+      case 'paragraph':
+        return item.asParagraphTextItem();
+      case 'multipleChoice':
+        return item.asMultipleChoiceItem();
+      case 'checkbox':
+        return item.asCheckboxItem();
+      case 'list':
+        return item.asListItem();
+      case 'scale':
+        return item.asScaleItem();
+      default:
+        return item.asTextItem();
+    }
+  },
+  
+  /**
+   * Map a schema field type to a FormApp item type
+   * @param {string} type - Schema field type
+   * @returns {GoogleAppsScript.Forms.ItemType} Item type
+   */
+  getItemType(type) {
+    const itemTypes = {
+      text: FormApp.ItemType.TEXT,
+      paragraph: FormApp.ItemType.PARAGRAPH_TEXT,
+      multipleChoice: FormApp.ItemType.MULTIPLE_CHOICE,
+      checkbox: FormApp.ItemType.CHECKBOX,
+      list: FormApp.ItemType.LIST,
+      scale: FormApp.ItemType.SCALE
+    };
+    
+    return itemTypes[type];
+  },
+  
+  /**
+   * Get a schema field by key
+   * @param {string} key - Logical field key
+   * @returns {Object|null} Schema field or null
+   */
+  getField(key) {
+    return this.FIELD_SCHEMA.find(field => field.key === key) || null;
+  },
+  
+  /**
+   * Normalize an item title for comparison
+   * @param {string} title - Item title
+   * @returns {string} Lowercase title without punctuation
+   */
+  normalizeTitle(title) {
+    return String(title || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+};
@@ -6,8 +6,27 @@
 
 const FormDataPersistence = {
   
+  // Global functions invoked by the installed triggers
+  SUBMIT_HANDLER: 'onFormSubmit',
+  RECONCILE_HANDLER: 'reconcileFormResponses',
+  
+  // How often the reconciliation sweep looks for missed responses
+  RECONCILE_INTERVAL_HOURS: 1,
+  
+  // The sweep re-reads this much before its last run to catch late-arriving responses
+  RECONCILE_OVERLAP_MINUTES: 60,
+  
+  // How long to wait for another execution that is processing a response
+  LOCK_TIMEOUT_MS: 30000,
+  
+  // Entries kept by the append_capped strategy when a field sets no maxEntries
+  DEFAULT_MAX_ENTRIES: 10,
+  
   /**
    * Process form response and update client data
+   * Responses with an ID are recorded in the ledger and applied only once.
+   * A processed response whose answers have since been edited is applied again
+   * as a correction of what was previously written.
    * @param {Object} formResponse - Form response object
    * @returns {boolean} Success status
    */
@@ -17,62 +36,385 @@ const FormDataPersistence = {
         throw new Error('Invalid form response data');
       }
       
+      const responseId = formResponse.id ? String(formResponse.id) : '';
+      
+      // Serialize with the submit trigger and reconciliation sweep
+      const lock = LockService.getScriptLock();
+      lock.waitLock(this.LOCK_TIMEOUT_MS);
+      
+      try {
+        const entry = responseId ? FormResponseLedger.getEntry(responseId) : null;
+        const responseHash = this.computeResponseHash(formResponse);
+        
+        if (entry && entry.status === FormResponseLedger.STATUS.PROCESSED && !this.isEditedResponse(entry, formResponse)) {
+          Logger.log(`Form response ${responseId} was already processed; skipping`);
+          return true;
+        }
+        
+        if (entry && entry.status === FormResponseLedger.STATUS.SKIPPED && entry.responseHash === responseHash) {
+          Logger.log(`Form response ${responseId} was skipped and has not changed`);
+          return false;
+        }
+        
+        if (entry && entry.appliedData) {
+          Logger.log(`Form response ${responseId} changed since it was applied; applying corrections`);
+        }
+        
+        const result = this.applyFormResponse(formResponse, entry ? entry.appliedData : null);
+        
+        if (responseId) {
+          const saved = FormResponseLedger.recordResult(responseId, {
+            ...result,
+            formId: formResponse.formId,
+            responseTimestamp: formResponse.timestamp,
+            responseHash: result.status !== FormResponseLedger.STATUS.FAILED ? responseHash : ''
+          });
+          
+          // Out of retries: keep the response and its error for manual replay
+          if (saved && saved.status === FormResponseLedger.STATUS.DEAD_LETTER) {
+            DeadLetterService.addResponse(saved);
+          }
+        }
+        
+        // Log the processing
+        const success = result.status === FormResponseLedger.STATUS.PROCESSED;
+        this.logFormProcessing(formResponse, result.clientId, result.sessionId, success, result.error);
+        
+        return success;
+      } finally {
+        lock.releaseLock();
+      }
+    } catch (error) {
+      Logger.log('Error processing form response: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Check whether a processed or skipped response's answers differ from those last seen
+   * Entries recorded before response hashes were kept cannot be compared and count as unchanged
+   * @param {Object} entry - Ledger entry
+   * @param {Object} formResponse - Form response object
+   * @returns {boolean} True if the response was edited after it was handled
+   */
+  isEditedResponse(entry, formResponse) {
+    const handled = [FormResponseLedger.STATUS.PROCESSED, FormResponseLedger.STATUS.SKIPPED];
+    
+    return !!entry &&
+      handled.includes(entry.status) &&
+      !!entry.responseHash &&
+      entry.responseHash !== this.computeResponseHash(formResponse);
+  },
+  
+  /**
+   * Hash a response's answers so later edits can be detected
+   * @param {Object} formResponse - Form response object
+   * @returns {string} Hex hash of the entry answers
+   */
+  computeResponseHash(formResponse) {
+    const answers = Object.keys(formResponse)
+      .filter(key => key.startsWith('entry.'))
+      .sort()
+      .map(key => [key, formResponse[key]]);
+    
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(answers));
+    
+    return digest
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('');
+  },
+  
+  /**
+   * Apply a form response to client and session data
+   * The changes are worked out by planFormResponse and then written. When the
+   * response was applied before, only the differences are written; see
+   * planUpdateStrategies for how each strategy handles a correction.
+   * @param {Object} formResponse - Form response object
+   * @param {Object} previous - Data applied for an earlier version of the response, if any
+   * @returns {Object} Result with ledger status, clientId, sessionId, appliedData and error message
+   */
+  applyFormResponse(formResponse, previous = null) {
+    const plan = this.planFormResponse(formResponse, previous);
+    
+    if (plan.status !== FormResponseLedger.STATUS.PROCESSED) {
+      return {
+        status: plan.status,
+        clientId: plan.clientId,
+        sessionId: plan.sessionId,
+        error: plan.error
+      };
+    }
+    
+    try {
+      this.commitPlan(plan);
+      
+      return {
+        status: FormResponseLedger.STATUS.PROCESSED,
+        clientId: plan.clientId,
+        sessionId: plan.sessionId,
+        appliedData: plan.appliedData,
+        error: ''
+      };
+    } catch (error) {
+      Logger.log('Error applying form response: ' + error.toString());
+      return {
+        status: FormResponseLedger.STATUS.FAILED,
+        clientId: plan.clientId,
+        sessionId: plan.sessionId,
+        appliedData: this.getCommittedData(plan, previous),
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Get the applied data to record for a plan that failed part way through
+   * Proposals, history entries and goals written before the failure are kept, so
+   * the retry updates them rather than adding them again; client cells were not
+   * written, so their buckets stay as previously applied. A correction that moved
+   * the response to another client keeps the previous data, whose revert is retried.
+   * @param {Object} plan - Plan from planFormResponse
+   * @param {Object} previous - Data applied for an earlier version of the response, if any
+   * @returns {Object|null} Applied data, or null to keep what the ledger has
+   */
+  getCommittedData(plan, previous) {
+    if (previous && previous.clientId && String(previous.clientId) !== String(plan.clientId)) {
+      return null;
+    }
+    
+    return {
+      replace: {},
+      append: {},
+      merge: {},
+      accumulate: {},
+      ...(previous || {}),
+      clientId: plan.clientId,
+      proposals: plan.appliedData.proposals,
+      history: plan.appliedData.history,
+      goals: plan.appliedData.goals
+    };
+  },
+  
+  /**
+   * Work out every change a form response would make, without writing anything
+   * @param {Object} formResponse - Form response object
+   * @param {Object} previous - Data applied for an earlier version of the response, if any
+   * @param {Object} clients - Client rows by ID, shared between plans so each one
+   *   sees the values the plans before it would leave; updated when planning succeeds
+   * @returns {Object} Plan with status, clientId, sessionId, notes, clientChanges
+   *   ({clientId, column, oldValue, newValue}), proposals, withdrawals, historyEntries,
+   *   historyRemovals, goalEntries, goalRemovals, appliedData and error
+   */
+  planFormResponse(formResponse, previous = null, clients = {}) {
+    let clientId = null;
+    let sessionId = null;
+    
+    try {
       const persistentFields = ConfigurationService.getPersistentFields();
       const fieldMappings = ConfigurationService.getFieldMappings();
       
       // Extract client ID from form response
-      const clientId = this.extractClientId(formResponse, fieldMappings);
+      clientId = this.extractClientId(formResponse, fieldMappings);
       if (!clientId) {
         Logger.log('Warning: Could not extract client ID from form response');
-        return false;
+        return {
+          status: FormResponseLedger.STATUS.SKIPPED,
+          clientId: null,
+          sessionId: null,
+          error: 'Could not extract client ID from form response'
+        };
       }
       
       // Extract session ID if available
-      const sessionId = this.extractSessionId(formResponse, fieldMappings);
+      sessionId = this.extractSessionId(formResponse, fieldMappings);
       
-      // Process each persistent field
-      const updateData = {};
-      const appendData = {};
+      // Collect the answer for each persistent field
+      const fieldUpdates = [];
       
       for (const [fieldKey, config] of Object.entries(persistentFields)) {
-        const value = this.extractFieldValue(formResponse, fieldKey, fieldMappings);
+        const answer = this.extractFieldValue(formResponse, fieldKey, fieldMappings);
+        const value = this.transformFieldValue(answer, config.transforms, fieldKey);
         
         if (value !== null && value !== undefined && value !== '') {
-          if (config.updateType === 'replace') {
-            updateData[config.column] = value;
-          } else if (config.updateType === 'append') {
-            appendData[config.column] = value;
-          }
+          fieldUpdates.push({ fieldKey: fieldKey, config: config, value: value });
         }
       }
       
-      // Update client record
-      let updateSuccess = true;
+      const plan = {
+        status: FormResponseLedger.STATUS.PROCESSED,
+        responseId: formResponse.id || '',
+        clientId: clientId,
+        sessionId: sessionId,
+        notes: this.extractSessionNotes(formResponse, fieldMappings),
+        timestamp: formResponse.timestamp || new Date(),
+        author: this.extractAuthor(formResponse, fieldMappings),
+        clientChanges: [],
+        proposals: [],
+        withdrawals: [],
+        historyEntries: [],
+        historyRemovals: [],
+        goalEntries: [],
+        goalRemovals: [],
+        appliedData: null,
+        error: ''
+      };
+      
+      let previousApplied = previous || {};
       
-      if (Object.keys(updateData).length > 0) {
-        updateSuccess = ClientService.updateClient(clientId, updateData);
+      // A correction that moves the response to another client takes its changes with it
+      if (previous && previous.clientId && String(previous.clientId) !== String(clientId)) {
+        Logger.log(`Form response ${formResponse.id} moved from client ${previous.clientId} to ${clientId}`);
+        this.planRevert(previous.clientId, previous, plan, clients);
+        previousApplied = {};
       }
       
-      // Handle append operations
-      if (updateSuccess && Object.keys(appendData).length > 0) {
-        updateSuccess = this.appendToClientData(clientId, appendData);
+      plan.appliedData = this.planUpdateStrategies(clientId, fieldUpdates, previousApplied, plan, clients);
+      
+      // Later plans build on this one
+      plan.clientChanges.forEach(change => {
+        clients[change.clientId][change.column] = change.newValue;
+      });
+      
+      return plan;
+    } catch (error) {
+      Logger.log('Error planning form response: ' + error.toString());
+      return {
+        status: FormResponseLedger.STATUS.FAILED,
+        clientId: clientId,
+        sessionId: sessionId,
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Write a planned form response: stage and withdraw proposals, record client
+   * history and goals, update the client rows and complete the session
+   * @param {Object} plan - Plan from planFormResponse; its appliedData receives the
+   *   staged proposal, history entry and goal IDs
+   */
+  commitPlan(plan) {
+    plan.proposals.forEach(({ column, proposal, proposalId }) => {
+      const stagedId = ProposedUpdateService.propose(proposal, proposalId);
+      
+      if (!stagedId) {
+        throw new Error(`Could not stage proposed update for ${column}`);
       }
+      plan.appliedData.proposals[column] = stagedId;
+    });
+    
+    plan.withdrawals.forEach(proposalId => ProposedUpdateService.withdraw(proposalId));
+    
+    // A correction rewrites its earlier entry, which keeps its original timestamp
+    plan.historyEntries.forEach(({ column, entry, entryId }) => {
+      const updated = entryId && ClientHistoryService.updateEntry(entryId, { value: entry.value, author: entry.author });
+      const recordedId = updated ? entryId : ClientHistoryService.addEntry(entry);
       
-      // Update session status
-      if (updateSuccess && sessionId) {
-        SessionTrackingService.updateSessionStatus(sessionId, 'completed', {
-          Form_Response_ID: formResponse.id || '',
-          Notes: this.extractSessionNotes(formResponse, fieldMappings)
-        });
+      if (!recordedId) {
+        throw new Error(`Could not record ${column} history`);
+      }
+      plan.appliedData.history[column] = recordedId;
+    });
+    
+    plan.historyRemovals.forEach(entryId => ClientHistoryService.removeEntry(entryId));
+    
+    // GoalManagementService rewrites the Goals column from the structured goals
+    plan.goalEntries.forEach(({ column, clientId, text }) => {
+      const goal = GoalModel.find(GoalManagementService.addGoal(clientId, text), text);
+      
+      if (!goal) {
+        throw new Error(`Could not add goal "${text}"`);
+      }
+      plan.appliedData.goals[column] = [...(plan.appliedData.goals[column] || []), goal.id];
+    });
+    
+    plan.goalRemovals.forEach(({ clientId, goalId }) => {
+      if (GoalModel.find(GoalManagementService.readClientGoals(clientId), goalId)) {
+        GoalManagementService.removeGoal(clientId, goalId);
       }
+    });
+    
+    // One update per client row
+    const updates = {};
+    plan.clientChanges.forEach(change => {
+      updates[change.clientId] = updates[change.clientId] || {};
+      updates[change.clientId][change.column] = change.newValue;
+    });
+    
+    for (const [clientId, updateData] of Object.entries(updates)) {
+      if (!ClientService.updateClient(clientId, updateData)) {
+        throw new Error(`Could not update client ${clientId}`);
+      }
+    }
+    
+    // Update session status; its goal ratings count from now on
+    if (plan.sessionId) {
+      SessionTrackingService.updateSessionStatus(plan.sessionId, 'completed', {
+        Form_Response_ID: plan.responseId,
+        Notes: plan.notes
+      });
+      GoalManagementService.confirmGoalProgress(plan.sessionId);
+    }
+  },
+  
+  /**
+   * Re-run only the responses the ledger records as failed
+   * @param {string} formId - Optional form ID; defaults to every form in the ledger
+   * @param {Object} options - dueOnly: only retry responses whose backoff has elapsed
+   * @returns {Object} Counts of retried, succeeded and still failing responses
+   */
+  retryFailedResponses(formId = null, options = {}) {
+    const summary = { retried: 0, succeeded: 0, failed: 0 };
+    
+    try {
+      const failures = options.dueOnly ?
+        FormResponseLedger.getDueRetries(formId) :
+        FormResponseLedger.getEntries({ status: FormResponseLedger.STATUS.FAILED, formId: formId });
+      const forms = {};
+      const entryIds = {};
       
-      // Log the processing
-      this.logFormProcessing(formResponse, clientId, sessionId, updateSuccess);
+      failures.forEach(entry => {
+        const entryFormId = entry.formId || formId || ConfigurationService.getFormId();
+        
+        try {
+          if (!forms[entryFormId]) {
+            forms[entryFormId] = FormApp.openById(entryFormId);
+            entryIds[entryFormId] = FormMappingService.getCachedEntryIds(forms[entryFormId]);
+          }
+          
+          const formResponseData = this.convertFormResponseToObject(
+            forms[entryFormId].getResponse(entry.responseId),
+            entryIds[entryFormId]
+          );
+          formResponseData.formId = entryFormId;
+          
+          summary.retried++;
+          if (this.processFormResponse(formResponseData)) {
+            summary.succeeded++;
+          } else {
+            summary.failed++;
+          }
+        } catch (error) {
+          Logger.log(`Error retrying form response ${entry.responseId}: ${error.toString()}`);
+          const saved = FormResponseLedger.recordResult(entry.responseId, {
+            status: FormResponseLedger.STATUS.FAILED,
+            formId: entryFormId,
+            error: error.message
+          });
+          
+          if (saved && saved.status === FormResponseLedger.STATUS.DEAD_LETTER) {
+            DeadLetterService.addResponse(saved);
+          }
+          summary.failed++;
+        }
+      });
       
-      return updateSuccess;
+      Logger.log(`Retried ${summary.retried} failed form responses: ${summary.succeeded} succeeded`);
+      
+      return summary;
     } catch (error) {
-      Logger.log('Error processing form response: ' + error.toString());
-      return false;
+      Logger.log('Error retrying failed form responses: ' + error.toString());
+      return { ...summary, error: error.message };
     }
   },
   
@@ -84,8 +426,8 @@ const FormDataPersistence = {
    */
   extractClientId(formResponse, fieldMappings) {
     try {
-      // Try multiple possible field mappings for client ID
-      const possibleFields = ['Client_ID', 'CLIENT_ID', 'Client_Name', 'CLIENT_NAME'];
+      // Prefer the client ID field, falling back to a lookup by client name
+      const possibleFields = ['CLIENT_ID', 'CLIENT_NAME'];
       
       for (const field of possibleFields) {
         const entryId = fieldMappings[field];
@@ -93,7 +435,7 @@ const FormDataPersistence = {
           const value = formResponse[entryId];
           
           // If this is a name field, try to find the client by name
-          if (field.includes('Name')) {
+          if (field === 'CLIENT_NAME') {
             const client = ClientService.getClientByName(value);
             if (client) {
               const config = ConfigurationService.getSpreadsheetConfig();
@@ -121,13 +463,14 @@ const FormDataPersistence = {
    */
   extractSessionId(formResponse, fieldMappings) {
     try {
-      const sessionIdField = fieldMappings['Session_ID'] || fieldMappings['SESSION_ID'];
+      const sessionIdField = fieldMappings['SESSION_ID'];
       
       if (sessionIdField && formResponse[sessionIdField]) {
         return formResponse[sessionIdField];
       }
       
-      return null;
+      // Set when a historical response is matched to a session during backfill
+      return formResponse.sessionId || null;
     } catch (error) {
       Logger.log('Error extracting session ID: ' + error.toString());
       return null;
@@ -156,6 +499,152 @@ const FormDataPersistence = {
     }
   },
   
+  /**
+   * Run a persistent field's configured transforms on its answer
+   * Transforms run in the order they are listed. Text transforms apply to each
+   * choice of a checkbox or grid answer until a join turns it into text.
+   * @param {any} value - Answer value
+   * @param {Array<Object>} transforms - Transforms ({type, ...options}), see ConfigurationService.TRANSFORM_TYPES
+   * @param {string} fieldKey - Field key, for error messages
+   * @returns {any} Transformed value
+   */
+  transformFieldValue(value, transforms, fieldKey) {
+    if (value === null || value === undefined || !Array.isArray(transforms)) {
+      return value;
+    }
+    
+    return transforms.reduce((current, transform) => {
+      try {
+        switch (transform.type) {
+          case 'trim':
+            return this.mapAnswer(current, item => String(item).trim());
+          
+          case 'case':
+            return this.mapAnswer(current, item => this.changeCase(String(item), transform.mode));
+          
+          case 'map': {
+            // Choice labels without a code are kept as they are
+            const values = transform.values || {};
+            return this.mapAnswer(current, item => (item in values ? values[item] : item));
+          }
+          
+          case 'join': {
+            if (!Array.isArray(current)) {
+              return current;
+            }
+            
+            // Checkbox grid rows hold several choices each
+            const items = current.map(item => (Array.isArray(item) ? item.join(', ') : String(item)));
+            const separator = transform.separator || '|';
+            
+            return separator === '|' ?
+              PipeDelimitedHelpers.stringify(items) :
+              items.map(item => item.trim()).filter(item => item).join(separator);
+          }
+          
+          case 'phone_e164':
+            return this.mapAnswer(current, item => this.normalizePhoneNumber(item, transform.countryCode));
+          
+          case 'date':
+            return this.mapAnswer(current, item => this.formatDateValue(item, transform.format));
+          
+          default:
+            throw new Error(`unknown transform "${transform.type}"`);
+        }
+      } catch (error) {
+        throw new Error(`${fieldKey} ${transform.type} transform failed: ${error.message}`);
+      }
+    }, value);
+  },
+  
+  /**
+   * Apply a function to an answer, or to each choice of a checkbox or grid answer
+   * @param {any} value - Answer value
+   * @param {Function} fn - Function applied to each single value
+   * @returns {any} Mapped answer with the same shape
+   */
+  mapAnswer(value, fn) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.mapAnswer(item, fn));
+    }
+    
+    return fn(value);
+  },
+  
+  /**
+   * Change the case of text
+   * @param {string} text - Text
+   * @param {string} mode - lower, upper or title
+   * @returns {string} Converted text
+   */
+  changeCase(text, mode) {
+    switch (mode) {
+      case 'upper':
+        return text.toUpperCase();
+      case 'title':
+        return text.toLowerCase().replace(/(^|[\s-])(\S)/g, (match, start, letter) => start + letter.toUpperCase());
+      default:
+        return text.toLowerCase();
+    }
+  },
+  
+  /**
+   * Convert a phone number to E.164 format (+ country code and number, digits only)
+   * @param {string} phone - Phone number as entered
+   * @param {string} countryCode - Calling code for numbers entered without one; defaults to 1
+   * @returns {string} E.164 phone number
+   */
+  normalizePhoneNumber(phone, countryCode = '1') {
+    const text = String(phone).trim();
+    const digits = text.replace(/\D/g, '');
+    const code = String(countryCode || '1');
+    
+    let normalized;
+    if (text.startsWith('+')) {
+      normalized = '+' + digits;
+    } else if (text.startsWith('00')) {
+      normalized = '+' + digits.slice(2);
+    } else if (digits.length > 10 && digits.startsWith(code)) {
+      normalized = '+' + digits;
+    } else {
+      // Drop the trunk prefix used when dialling nationally
+      normalized = '+' + code + digits.replace(/^0/, '');
+    }
+    
+    if (!/^\+[1-9]\d{7,14}$/.test(normalized)) {
+      throw new Error(`"${phone}" is not a valid phone number`);
+    }
+    
+    return normalized;
+  },
+  
+  /**
+   * Parse a date answer and format it for the client sheet
+   * Form date answers arrive as yyyy-MM-dd, optionally followed by a time
+   * @param {any} value - Date answer
+   * @param {string} format - Utilities.formatDate pattern; defaults to yyyy-MM-dd
+   * @returns {string} Formatted date
+   */
+  formatDateValue(value, format = 'yyyy-MM-dd') {
+    let date = value instanceof Date ? value : null;
+    
+    const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (!date && match) {
+      // Read as a local date rather than UTC midnight
+      date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+    }
+    
+    if (!date) {
+      date = new Date(String(value).trim());
+    }
+    
+    if (isNaN(date.getTime())) {
+      throw new Error(`"${value}" is not a date`);
+    }
+    
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), format || 'yyyy-MM-dd');
+  },
+  
   /**
    * Extract session notes from form response
    * @param {Object} formResponse - Form response
@@ -164,13 +653,10 @@ const FormDataPersistence = {
    */
   extractSessionNotes(formResponse, fieldMappings) {
     try {
-      const notesFields = ['Session_Notes', 'SESSION_NOTES', 'Notes', 'NOTES'];
+      const entryId = fieldMappings['SESSION_NOTES'];
       
-      for (const field of notesFields) {
-        const entryId = fieldMappings[field];
-        if (entryId && formResponse[entryId]) {
-          return formResponse[entryId];
-        }
+      if (entryId && formResponse[entryId]) {
+        return formResponse[entryId];
       }
       
       return '';
@@ -181,46 +667,392 @@ const FormDataPersistence = {
   },
   
   /**
-   * Append data to client fields (for fields that accumulate data)
+   * Extract who wrote a response, for client history
+   * @param {Object} formResponse - Form response object
+   * @param {Object} fieldMappings - Field mappings
+   * @returns {string} Therapist name from the form, or the current user's email
+   */
+  extractAuthor(formResponse, fieldMappings) {
+    const therapist = this.extractFieldValue(formResponse, 'THERAPIST_NAME', fieldMappings);
+    
+    return therapist ? String(therapist) : Session.getActiveUser().getEmail();
+  },
+  
+  /**
+   * Plan the client changes for persistent field answers using each field's update strategy
+   * When `previous` holds what an earlier version of the same response applied,
+   * each strategy corrects its own earlier change instead of adding another:
+   * entries are replaced in place, merged items and accumulated amounts are
+   * swapped, and pending proposals and history entries are updated. Changes for
+   * answers that were removed from the response are undone, except plain replacements.
    * @param {string} clientId - Client ID
-   * @param {Object} appendData - Data to append
-   * @returns {boolean} Success status
+   * @param {Array<Object>} fieldUpdates - fieldKey, config ({column, updateType, maxEntries}) and value
+   * @param {Object} previous - Data applied for an earlier version of the response
+   * @param {Object} plan - Plan receiving the client changes, proposals, withdrawals and history
+   * @param {Object} clients - Client rows by ID, see planFormResponse
+   * @returns {Object} Applied data, recorded in the ledger for later corrections
    */
-  appendToClientData(clientId, appendData) {
-    try {
-      if (!clientId || !appendData || Object.keys(appendData).length === 0) {
-        return true;
-      }
-      
-      const client = ClientService.getClientById(clientId);
-      if (!client) {
-        throw new Error('Client not found');
-      }
-      
-      const updateData = {};
-      const timestamp = new Date().toLocaleDateString();
+  planUpdateStrategies(clientId, fieldUpdates, previous, plan, clients) {
+    const applied = { clientId: clientId, replace: {}, append: {}, merge: {}, accumulate: {}, proposals: {}, history: {}, goals: {} };
+    if (fieldUpdates.length === 0 && !(previous && previous.clientId)) {
+      return applied;
+    }
+    
+    const client = this.getPlanningClient(clientId, clients);
+    if (!client) {
+      throw new Error(`Client ${clientId} not found`);
+    }
+    
+    const previousBucket = bucket => (previous && previous[bucket]) || {};
+    const updateData = {};
+    
+    // Later rules for the same column build on earlier ones
+    const currentValue = column => (column in updateData ? updateData[column] : client[column]);
+    
+    fieldUpdates.forEach(({ fieldKey, config, value }) => {
+      const column = config.column;
+      const current = currentValue(column);
       
-      for (const [column, newValue] of Object.entries(appendData)) {
-        const currentValue = client[column] || '';
+      switch (config.updateType) {
+        case 'replace': {
+          if (JSON.stringify(previousBucket('replace')[column]) !== JSON.stringify(value)) {
+            updateData[column] = value;
+          }
+          applied.replace[column] = value;
+          break;
+        }
+        
+        case 'set_if_empty': {
+          // A correction may overwrite the value this response set, but nothing else
+          const ownValue = previousBucket('replace')[column];
+          const isOwnValue = ownValue !== undefined && String(current) === String(ProposedUpdateService.toCellValue(ownValue));
+          
+          if (this.isEmptyValue(current) || isOwnValue) {
+            updateData[column] = value;
+            applied.replace[column] = value;
+          }
+          break;
+        }
+        
+        case 'append':
+        case 'append_capped':
+        case 'prepend': {
+          const previousEntry = previousBucket('append')[column];
+          const entry = this.formatEntry(value, previousEntry, plan.author, column);
+          const maxEntries = config.updateType === 'append_capped' ?
+            (config.maxEntries || this.DEFAULT_MAX_ENTRIES) :
+            null;
+          
+          updateData[column] = this.placeEntry(current, previousEntry, entry, config.updateType === 'prepend', maxEntries);
+          applied.append[column] = entry;
+          break;
+        }
+        
+        case 'merge_unique': {
+          const answers = Array.isArray(value) ? value.map(String) : PipeDelimitedHelpers.parse(String(value));
+          const ownItems = previousBucket('merge')[column] || [];
+          
+          // Drop items this response added that are no longer selected
+          let items = PipeDelimitedHelpers.parse(String(current || ''))
+            .filter(item => answers.includes(item) || !ownItems.includes(item));
+          
+          const added = answers.filter(answer => !items.includes(answer) || ownItems.includes(answer));
+          items = [...items, ...answers.filter(answer => !items.includes(answer))];
+          
+          updateData[column] = PipeDelimitedHelpers.stringify(items);
+          applied.merge[column] = [...new Set(added)];
+          break;
+        }
         
-        // Format new entry with timestamp
-        const newEntry = `[${timestamp}] ${newValue}`;
+        case 'accumulate': {
+          const amount = Number(value);
+          const total = this.isEmptyValue(current) ? 0 : Number(current);
+          
+          if (isNaN(amount)) {
+            throw new Error(`${fieldKey} answer "${value}" is not a number`);
+          }
+          if (isNaN(total)) {
+            throw new Error(`Client column ${column} value "${current}" is not a number`);
+          }
+          
+          updateData[column] = total - (Number(previousBucket('accumulate')[column]) || 0) + amount;
+          applied.accumulate[column] = amount;
+          break;
+        }
         
-        // Append using pipe-delimited format
-        const updatedValue = PipeDelimitedHelpers.addItem(currentValue, newEntry, true);
+        case 'propose': {
+          // Staged when the plan is written, which records the proposal ID
+          const proposalId = previousBucket('proposals')[column] || null;
+          
+          plan.proposals.push({
+            column: column,
+            proposalId: proposalId,
+            proposal: {
+              clientId: clientId,
+              fieldKey: fieldKey,
+              column: column,
+              currentValue: current,
+              proposedValue: value,
+              responseId: plan.responseId
+            }
+          });
+          applied.proposals[column] = proposalId;
+          break;
+        }
         
-        updateData[column] = updatedValue;
+        case 'history': {
+          // Recorded when the plan is written, which records the entry ID. A response
+          // appended to the cell before the switch to history may have been migrated
+          const migrated = previousBucket('append')[column] ?
+            ClientHistoryService.findResponseEntry(plan.responseId, column) :
+            null;
+          const entryId = previousBucket('history')[column] || (migrated ? migrated.entryId : null);
+          
+          plan.historyEntries.push({
+            column: column,
+            entryId: entryId,
+            entry: {
+              clientId: clientId,
+              field: column,
+              timestamp: plan.timestamp,
+              value: ProposedUpdateService.toCellValue(value),
+              responseId: plan.responseId,
+              author: plan.author
+            }
+          });
+          applied.history[column] = entryId;
+          break;
+        }
+        
+        case 'goal': {
+          // One goal per answer line, added when the plan is written. A correction keeps
+          // the goals this response added that are still answered and removes the rest
+          const texts = (Array.isArray(value) ? value.map(String) : String(value).split(/\r?\n/))
+            .map(text => text.trim())
+            .filter(text => text);
+          const ownIds = previousBucket('goals')[column] || [];
+          const openGoals = GoalManagementService.readOpenGoals(clientId, client);
+          const isAnswered = goal => texts.some(text => text.toLowerCase() === goal.text.toLowerCase());
+          const ownGoals = openGoals.filter(goal => ownIds.includes(goal.id));
+          
+          ownGoals.filter(goal => !isAnswered(goal)).forEach(goal => {
+            plan.goalRemovals.push({ clientId: clientId, goalId: goal.id });
+          });
+          
+          texts
+            .filter((text, index) => texts.findIndex(other => other.toLowerCase() === text.toLowerCase()) === index)
+            .filter(text => !openGoals.some(goal => goal.text.toLowerCase() === text.toLowerCase()))
+            .forEach(text => plan.goalEntries.push({ column: column, clientId: clientId, text: text }));
+          
+          applied.goals[column] = ownGoals.filter(isAnswered).map(goal => goal.id);
+          break;
+        }
+        
+        default:
+          throw new Error(`Unsupported update type "${config.updateType}" for ${fieldKey}`);
+      }
+    });
+    
+    // Undo changes for answers a correction removed
+    this.revertContributions(previous, applied, currentValue, updateData, plan);
+    this.addClientChanges(clientId, client, updateData, plan);
+    
+    return applied;
+  },
+  
+  /**
+   * Undo the changes a response made that are not part of its current applied data
+   * Plain replacements cannot be undone because the earlier value is not kept
+   * @param {Object} previous - Data applied for an earlier version of the response
+   * @param {Object} applied - Data applied for the current version
+   * @param {Function} currentValue - Returns a column's value including pending updates
+   * @param {Object} updateData - Pending client updates, modified in place
+   * @param {Object} plan - Receives the proposals to withdraw and history entries and goals to remove
+   */
+  revertContributions(previous, applied, currentValue, updateData, plan) {
+    if (!previous) {
+      return;
+    }
+    
+    // A column switched from append to goal is left to GoalManagementService
+    for (const [column, entry] of Object.entries(previous.append || {})) {
+      if (!(column in applied.append) && !(column in applied.goals)) {
+        updateData[column] = PipeDelimitedHelpers.removeItem(String(currentValue(column) || ''), entry);
+      }
+    }
+    
+    for (const [column, items] of Object.entries(previous.merge || {})) {
+      if (!(column in applied.merge)) {
+        updateData[column] = PipeDelimitedHelpers.stringify(
+          PipeDelimitedHelpers.parse(String(currentValue(column) || '')).filter(item => !items.includes(item))
+        );
+      }
+    }
+    
+    for (const [column, amount] of Object.entries(previous.accumulate || {})) {
+      if (!(column in applied.accumulate)) {
+        updateData[column] = (Number(currentValue(column)) || 0) - (Number(amount) || 0);
+      }
+    }
+    
+    for (const [column, proposalId] of Object.entries(previous.proposals || {})) {
+      if (!(column in applied.proposals)) {
+        plan.withdrawals.push(proposalId);
+      }
+    }
+    
+    for (const [column, entryId] of Object.entries(previous.history || {})) {
+      if (!(column in applied.history) && entryId) {
+        plan.historyRemovals.push(entryId);
+      }
+    }
+    
+    for (const [column, goalIds] of Object.entries(previous.goals || {})) {
+      if (!(column in applied.goals)) {
+        goalIds.forEach(goalId => plan.goalRemovals.push({ clientId: previous.clientId, goalId: goalId }));
+      }
+    }
+  },
+  
+  /**
+   * Plan undoing everything a response applied to a client, e.g. when a
+   * correction moves the response to a different client
+   * @param {string} clientId - Client the response was applied to
+   * @param {Object} previous - Data applied for the response
+   * @param {Object} plan - Plan receiving the client changes, withdrawals and history and goal removals
+   * @param {Object} clients - Client rows by ID, see planFormResponse
+   */
+  planRevert(clientId, previous, plan, clients) {
+    const client = this.getPlanningClient(clientId, clients);
+    const updateData = {};
+    const none = { replace: {}, append: {}, merge: {}, accumulate: {}, proposals: {}, history: {}, goals: {} };
+    
+    if (!client) {
+      // Nothing left to clean up on the client, but staged proposals and history entries still go
+      const staged = { proposals: previous.proposals, history: previous.history };
+      this.revertContributions(staged, none, () => '', updateData, plan);
+      return;
+    }
+    
+    const currentValue = column => (column in updateData ? updateData[column] : client[column]);
+    this.revertContributions(previous, none, currentValue, updateData, plan);
+    this.addClientChanges(clientId, client, updateData, plan);
+  },
+  
+  /**
+   * Get a client row for planning, reading it from the sheet the first time
+   * @param {string} clientId - Client ID
+   * @param {Object} clients - Client rows by ID, see planFormResponse
+   * @returns {Object|null} Client row or null if not found
+   */
+  getPlanningClient(clientId, clients) {
+    const key = String(clientId);
+    
+    if (!(key in clients)) {
+      const client = ClientService.getClientById(clientId);
+      clients[key] = client ? { ...client } : null;
+    }
+    
+    return clients[key];
+  },
+  
+  /**
+   * Add the columns whose value would actually change to a plan
+   * @param {string} clientId - Client ID
+   * @param {Object} client - Client row before the change
+   * @param {Object} updateData - New values by column
+   * @param {Object} plan - Plan receiving the client changes
+   */
+  addClientChanges(clientId, client, updateData, plan) {
+    for (const [column, newValue] of Object.entries(updateData)) {
+      if (newValue !== client[column]) {
+        plan.clientChanges.push({
+          clientId: String(clientId),
+          column: column,
+          oldValue: client[column] === undefined ? '' : client[column],
+          newValue: newValue
+        });
       }
+    }
+  },
+  
+  /**
+   * Format an appended entry, keeping the date of the entry it corrects
+   * Only history cells hold DATED_ENTRY records with the author. Goals cells hold
+   * plain goal texts, which GoalModel.fromLegacyString reads back as goals, and
+   * other cells keep "[date] text" entries so no staff emails reach client-facing cells.
+   * @param {any} value - Answer value
+   * @param {string} previousEntry - Entry previously written for this response, if any
+   * @param {string} author - Who wrote the response
+   * @param {string} column - Client column the entry is written to
+   * @returns {string} Formatted entry
+   */
+  formatEntry(value, previousEntry, author, column) {
+    if (ClientHistoryService.LEGACY_HISTORY_COLUMNS.includes(column)) {
+      const schema = PipeDelimitedHelpers.RECORD_SCHEMAS.DATED_ENTRY;
+      const previous = previousEntry ? PipeDelimitedHelpers.parseRecord(previousEntry, schema) : null;
       
-      return ClientService.updateClient(clientId, updateData);
-    } catch (error) {
-      Logger.log('Error appending to client data: ' + error.toString());
-      return false;
+      return PipeDelimitedHelpers.formatRecord({
+        date: previous ? previous.date : new Date(),
+        text: String(value),
+        author: author
+      }, schema);
+    }
+    
+    if (column === ConfigurationService.getSpreadsheetConfig().CLIENT_GOALS_COLUMN) {
+      return String(value);
     }
+    
+    const dateMatch = previousEntry ? String(previousEntry).match(/^\[([^\]]*)\]/) : null;
+    const date = dateMatch ? dateMatch[1] : new Date().toLocaleDateString();
+    
+    return `[${date}] ${value}`;
+  },
+  
+  /**
+   * Put an entry into a pipe-delimited cell
+   * Replaces the entry it corrects in place; otherwise adds it at the end, or the start when prepending
+   * @param {string} cellValue - Current cell value
+   * @param {string} previousEntry - Entry previously written for this response, if any
+   * @param {string} entry - New entry
+   * @param {boolean} prepend - Add new entries at the start
+   * @param {number|null} maxEntries - Keep only this many most recent entries
+   * @returns {string} Updated cell value
+   */
+  placeEntry(cellValue, previousEntry, entry, prepend, maxEntries) {
+    let items = PipeDelimitedHelpers.parse(String(cellValue || ''));
+    const previousIndex = previousEntry ? items.indexOf(String(previousEntry).trim()) : -1;
+    
+    if (previousIndex > -1) {
+      items[previousIndex] = entry;
+    } else if (!previousEntry || !items.includes(entry)) {
+      if (prepend) {
+        items.unshift(entry);
+      } else {
+        items.push(entry);
+      }
+    }
+    
+    if (maxEntries) {
+      items = prepend ? items.slice(0, maxEntries) : items.slice(-maxEntries);
+    }
+    
+    return PipeDelimitedHelpers.stringify(items);
+  },
+  
+  /**
+   * Check whether a client cell has no value
+   * @param {any} value - Cell value
+   * @returns {boolean} True if empty
+   */
+  isEmptyValue(value) {
+    return value === null || value === undefined || String(value).trim() === '';
   },
   
   /**
    * Set up form submission trigger
+   * Installs a form-submit trigger that processes each response as it arrives,
+   * plus an hourly reconciliation sweep that catches responses the trigger missed
    * @param {string} formId - Google Form ID
    * @returns {boolean} Success status
    */
@@ -235,15 +1067,21 @@ const FormDataPersistence = {
       // Delete existing triggers for this form
       this.removeFormSubmissionTriggers(formId);
       
-      // Create new trigger
-      const trigger = ScriptApp.newTrigger('onFormSubmit')
+      // Create new triggers
+      const submitTrigger = ScriptApp.newTrigger(this.SUBMIT_HANDLER)
+        .forForm(form)
+        .onFormSubmit()
+        .create();
+      
+      const reconcileTrigger = ScriptApp.newTrigger(this.RECONCILE_HANDLER)
         .timeBased()
-        .everyMinutes(1) // Check for new responses every minute
+        .everyHours(this.RECONCILE_INTERVAL_HOURS)
         .create();
       
       // Store trigger info in script properties
       const triggerInfo = {
-        triggerId: trigger.getUniqueId(),
+        triggerId: submitTrigger.getUniqueId(),
+        reconcileTriggerId: reconcileTrigger.getUniqueId(),
         formId: formId,
         created: new Date().toISOString()
       };
@@ -269,33 +1107,44 @@ const FormDataPersistence = {
    */
   removeFormSubmissionTriggers(formId = null) {
     try {
-      const triggers = ScriptApp.getProjectTriggers();
+      const properties = PropertiesService.getScriptProperties();
+      const handlers = [this.SUBMIT_HANDLER, this.RECONCILE_HANDLER];
+      let triggerIds = null;
+      
+      if (formId) {
+        // Only remove the triggers recorded for this form
+        const triggerInfo = properties.getProperty(`FORM_TRIGGER_${formId}`);
+        const info = triggerInfo ? JSON.parse(triggerInfo) : {};
+        triggerIds = [info.triggerId, info.reconcileTriggerId].filter(Boolean);
+      }
+      
       let removedCount = 0;
       
-      triggers.forEach(trigger => {
-        if (trigger.getHandlerFunction() === 'onFormSubmit') {
-          if (!formId) {
-            // Remove all form submission triggers
-            ScriptApp.deleteTrigger(trigger);
-            removedCount++;
-          } else {
-            // Check if this trigger is for the specific form
-            const triggerInfo = PropertiesService.getScriptProperties()
-              .getProperty(`FORM_TRIGGER_${formId}`);
-            
-            if (triggerInfo) {
-              const info = JSON.parse(triggerInfo);
-              if (info.triggerId === trigger.getUniqueId()) {
-                ScriptApp.deleteTrigger(trigger);
-                PropertiesService.getScriptProperties()
-                  .deleteProperty(`FORM_TRIGGER_${formId}`);
-                removedCount++;
-              }
-            }
-          }
+      ScriptApp.getProjectTriggers().forEach(trigger => {
+        if (!handlers.includes(trigger.getHandlerFunction())) {
+          return;
+        }
+        
+        // Form-submit triggers record their form as the trigger source
+        const isForForm = triggerIds
+          ? triggerIds.includes(trigger.getUniqueId()) ||
+            (trigger.getTriggerSource() === ScriptApp.TriggerSource.FORMS && trigger.getTriggerSourceId() === formId)
+          : true;
+        
+        if (isForForm) {
+          ScriptApp.deleteTrigger(trigger);
+          removedCount++;
         }
       });
       
+      if (formId) {
+        properties.deleteProperty(`FORM_TRIGGER_${formId}`);
+      } else {
+        Object.keys(properties.getProperties())
+          .filter(key => key.startsWith('FORM_TRIGGER_'))
+          .forEach(key => properties.deleteProperty(key));
+      }
+      
       Logger.log(`Removed ${removedCount} form submission triggers`);
       
       return true;
@@ -306,19 +1155,81 @@ const FormDataPersistence = {
   },
   
   /**
-   * Handle form submission trigger event
-   * @param {Object} e - Trigger event object (not used in time-based triggers)
+   * Move submission triggers from a form that is no longer configured to its replacement
+   * Triggers are only installed for the new form if the previous one had them.
+   * @param {string} previousFormId - Form ID that was configured before
+   * @param {string} formId - Newly configured form ID; empty if no form is configured
+   * @returns {boolean} Success status
+   */
+  moveFormSubmissionTriggers(previousFormId, formId) {
+    if (!previousFormId || previousFormId === formId) {
+      return true;
+    }
+    
+    const hadTriggers = this.getActiveFormTriggers().some(triggerInfo => triggerInfo.formId === previousFormId);
+    if (!hadTriggers) {
+      return true;
+    }
+    
+    Logger.log(`Form changed from ${previousFormId} to ${formId || 'none'}; moving submission triggers`);
+    
+    const removed = this.removeFormSubmissionTriggers(previousFormId);
+    return formId ? this.setupFormSubmissionTrigger(formId) && removed : removed;
+  },
+  
+  /**
+   * Handle a form submission trigger event
+   * Processes exactly the submitted response
+   * @param {Object} e - Form submit event with response and source
+   * @returns {boolean} Success status
    */
-  onFormSubmit(e) {
+  handleFormSubmit(e) {
     try {
-      // Get all configured forms and check for new responses
-      const formTriggers = this.getActiveFormTriggers();
+      if (!e || !e.response) {
+        // Spreadsheet-bound submit events carry values rather than the response
+        Logger.log('Form submit event has no response; running reconciliation sweep instead');
+        this.reconcileFormResponses();
+        return false;
+      }
       
-      formTriggers.forEach(triggerInfo => {
-        this.processNewFormResponses(triggerInfo.formId);
-      });
+      // Installable form triggers pass the form itself as the event source
+      const entryIds = e.source && typeof e.source.getItems === 'function' ?
+        FormMappingService.getCachedEntryIds(e.source) :
+        {};
+      const formResponseData = this.convertFormResponseToObject(e.response, entryIds);
+      
+      if (e.source && typeof e.source.getId === 'function') {
+        formResponseData.formId = e.source.getId();
+      }
+      
+      return this.processFormResponse(formResponseData);
     } catch (error) {
       Logger.log('Error in form submission handler: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Sweep every form with an installed trigger for responses the submit trigger missed,
+   * then retry failed responses whose backoff has elapsed
+   * Falls back to the configured form when no trigger has been installed
+   * @returns {number} Number of responses processed
+   */
+  reconcileFormResponses() {
+    try {
+      const formIds = this.getActiveFormTriggers().map(triggerInfo => triggerInfo.formId);
+      
+      if (formIds.length === 0 && ConfigurationService.getFormId()) {
+        formIds.push(ConfigurationService.getFormId());
+      }
+      
+      const processedCount = formIds.reduce((total, formId) => total + this.processNewFormResponses(formId), 0);
+      const retries = this.retryFailedResponses(null, { dueOnly: true });
+      
+      return processedCount + retries.succeeded;
+    } catch (error) {
+      Logger.log('Error reconciling form responses: ' + error.toString());
+      return 0;
     }
   },
   
@@ -350,7 +1261,8 @@ const FormDataPersistence = {
   },
   
   /**
-   * Process new form responses for a specific form
+   * Process form responses submitted or edited since the last sweep that are
+   * not yet recorded in the ledger, or whose answers changed after they were applied
    * @param {string} formId - Google Form ID
    * @returns {number} Number of responses processed
    */
@@ -361,9 +1273,21 @@ const FormDataPersistence = {
       }
       
       const form = FormApp.openById(formId);
-      const responses = form.getResponses();
+      const fingerprint = FormMappingService.computeFingerprint(form);
       
-      // Get timestamp of last processed response
+      // Mappings are only re-checked when the form differs from the one they were confirmed against;
+      // responses are still processed, unmapped fields are simply not extracted
+      if (fingerprint !== ConfigurationService.getFormFingerprint()) {
+        const mappingHealth = FormMappingService.checkMappingHealth(formId);
+        if (mappingHealth.status === 'broken' || mappingHealth.status === 'changed') {
+          Logger.log(`Warning: form ${formId} mappings need review ` +
+            `(missing: ${mappingHealth.brokenFields.join(', ') || 'none'}, ` +
+            `changed: ${mappingHealth.suspectFields.join(', ') || 'none'}). ` +
+            'Run "Repair Form Mappings" from the Therapy Tools menu.');
+        }
+      }
+      
+      // Get timestamp of last sweep
       const lastProcessedKey = `LAST_PROCESSED_${formId}`;
       const lastProcessedTimestamp = PropertiesService.getScriptProperties()
         .getProperty(lastProcessedKey);
@@ -372,22 +1296,31 @@ const FormDataPersistence = {
         new Date(lastProcessedTimestamp) : 
         new Date(0);
       
+      // Re-read a window before the last sweep; the ledger keeps this from reapplying anything
+      const since = new Date(Math.max(0, lastProcessed.getTime() - this.RECONCILE_OVERLAP_MINUTES * 60 * 1000));
+      const responses = form.getResponses(since);
+      const ledgerEntries = FormResponseLedger.getEntryMap();
+      const entryIds = FormMappingService.getCachedEntryIds(form, fingerprint);
+      
       let processedCount = 0;
       let latestTimestamp = lastProcessed;
       
       responses.forEach(response => {
         const responseTimestamp = response.getTimestamp();
         
-        if (responseTimestamp > lastProcessed) {
-          const formResponseData = this.convertFormResponseToObject(response);
-          
-          if (this.processFormResponse(formResponseData)) {
-            processedCount++;
-          }
-          
-          if (responseTimestamp > latestTimestamp) {
-            latestTimestamp = responseTimestamp;
-          }
+        if (responseTimestamp > latestTimestamp) {
+          latestTimestamp = responseTimestamp;
+        }
+        
+        const formResponseData = this.convertFormResponseToObject(response, entryIds);
+        formResponseData.formId = formId;
+        
+        if (!this.isPendingResponse(ledgerEntries[response.getId()], formResponseData)) {
+          return;
+        }
+        
+        if (this.processFormResponse(formResponseData)) {
+          processedCount++;
         }
       });
       
@@ -400,7 +1333,7 @@ const FormDataPersistence = {
       }
       
       if (processedCount > 0) {
-        Logger.log(`Processed ${processedCount} new form responses for form: ${formId}`);
+        Logger.log(`Reconciliation processed ${processedCount} missed form responses for form: ${formId}`);
       }
       
       return processedCount;
@@ -410,12 +1343,156 @@ const FormDataPersistence = {
     }
   },
   
+  /**
+   * Check whether a response still needs to be applied
+   * Failed responses are re-run with retryFailedResponses, not by syncing;
+   * processed responses are only picked up again when they have been edited
+   * @param {Object} entry - Ledger entry for the response, if any
+   * @param {Object} formResponse - Form response object
+   * @returns {boolean} True if the response is new or edited
+   */
+  isPendingResponse(entry, formResponse) {
+    return !entry || this.isEditedResponse(entry, formResponse);
+  },
+  
+  /**
+   * Get a form's responses that still need to be applied, oldest first
+   * @param {string} formId - Google Form ID
+   * @param {number} days - Only responses submitted in the last this many days; all when null
+   * @returns {Array<Object>} formResponse data with its ledger entry, if any
+   */
+  getPendingResponses(formId, days = null) {
+    const form = FormApp.openById(formId);
+    const responses = days ?
+      form.getResponses(new Date(Date.now() - days * 24 * 60 * 60 * 1000)) :
+      form.getResponses();
+    const ledgerEntries = FormResponseLedger.getEntryMap();
+    const entryIds = FormMappingService.getCachedEntryIds(form);
+    
+    return responses
+      .map(response => {
+        const formResponse = this.convertFormResponseToObject(response, entryIds);
+        formResponse.formId = formId;
+        
+        return { formResponse: formResponse, entry: ledgerEntries[response.getId()] || null };
+      })
+      .filter(({ formResponse, entry }) => formResponse.id && this.isPendingResponse(entry, formResponse));
+  },
+  
+  /**
+   * Dry run: work out what syncing a form's pending responses would change, without writing anything
+   * Responses are planned oldest first against the client values the earlier
+   * ones would leave, so the preview matches applying them all.
+   * @param {string} formId - Google Form ID
+   * @param {number} days - Only responses submitted in the last this many days; all when null
+   * @returns {Array<Object>} Per response: responseId, timestamp, responseHash, correction, status,
+   *   clientId, error, clientChanges, proposals, historyEntries, goalEntries and sessionChange
+   *   ({sessionId, from, to})
+   */
+  previewPendingResponses(formId, days = null) {
+    const pending = this.getPendingResponses(formId, days);
+    const clients = {};
+    
+    const plans = pending.map(({ formResponse, entry }) => ({
+      formResponse: formResponse,
+      entry: entry,
+      plan: this.planFormResponse(formResponse, entry ? entry.appliedData : null, clients)
+    }));
+    
+    const sessions = SessionTrackingService.getSessionsById(
+      plans.map(({ plan }) => plan.sessionId).filter(sessionId => sessionId)
+    );
+    
+    return plans.map(({ formResponse, entry, plan }) => {
+      const session = plan.sessionId ? sessions[plan.sessionId] : null;
+      
+      return {
+        responseId: String(formResponse.id),
+        timestamp: formResponse.timestamp,
+        responseHash: this.computeResponseHash(formResponse),
+        correction: !!(entry && entry.appliedData),
+        status: plan.status,
+        clientId: plan.clientId,
+        error: plan.error,
+        clientChanges: plan.clientChanges || [],
+        proposals: (plan.proposals || []).map(({ proposal }) => ({
+          clientId: proposal.clientId,
+          column: proposal.column,
+          currentValue: proposal.currentValue,
+          proposedValue: proposal.proposedValue
+        })),
+        historyEntries: (plan.historyEntries || []).map(({ entry, entryId }) => ({
+          clientId: entry.clientId,
+          field: entry.field,
+          value: entry.value,
+          correction: !!entryId
+        })),
+        goalEntries: (plan.goalEntries || []).map(({ column, clientId, text }) => ({
+          clientId: clientId,
+          column: column,
+          text: text
+        })),
+        sessionChange: plan.sessionId && plan.status === FormResponseLedger.STATUS.PROCESSED ? {
+          sessionId: plan.sessionId,
+          from: session ? session.status : null,
+          to: 'completed'
+        } : null
+      };
+    });
+  },
+  
+  /**
+   * Apply responses chosen from a preview
+   * A response edited since it was previewed is left alone, so nothing is
+   * written that the reviewer has not seen; it shows up in the next preview
+   * @param {string} formId - Google Form ID
+   * @param {Array<Object>} selections - responseId and responseHash from the preview, oldest first
+   * @returns {Object} Counts of applied, failed and changed responses
+   */
+  applyPreviewedResponses(formId, selections) {
+    const summary = { applied: 0, failed: 0, changed: 0 };
+    
+    try {
+      const form = FormApp.openById(formId);
+      const entryIds = FormMappingService.getCachedEntryIds(form);
+      
+      selections.forEach(({ responseId, responseHash }) => {
+        try {
+          const formResponseData = this.convertFormResponseToObject(form.getResponse(responseId), entryIds);
+          formResponseData.formId = formId;
+          
+          if (this.computeResponseHash(formResponseData) !== responseHash) {
+            summary.changed++;
+            return;
+          }
+          
+          if (this.processFormResponse(formResponseData)) {
+            summary.applied++;
+          } else {
+            summary.failed++;
+          }
+        } catch (error) {
+          Logger.log(`Error applying previewed form response ${responseId}: ${error.toString()}`);
+          summary.failed++;
+        }
+      });
+      
+      Logger.log(`Applied ${summary.applied} previewed form responses for form: ${formId}`);
+      
+      return summary;
+    } catch (error) {
+      Logger.log('Error applying previewed form responses: ' + error.toString());
+      return { ...summary, error: error.message };
+    }
+  },
+  
   /**
    * Convert Google Forms response to object
    * @param {GoogleAppsScript.Forms.FormResponse} response - Form response
+   * @param {Object} entryIds - The form's entry IDs keyed by item ID (see FormMappingService.getCachedEntryIds)
    * @returns {Object} Response data object
    */
-  convertFormResponseToObject(response) {
+  convertFormResponseToObject(response, entryIds = {}) {
     try {
       const responseData = {
         id: response.getId(),
@@ -423,11 +1500,12 @@ const FormDataPersistence = {
         editResponseUrl: response.getEditResponseUrl()
       };
       
+      // Prefill entry IDs differ from item IDs; fall back to the item ID for unmapped items
       const itemResponses = response.getItemResponses();
       
       itemResponses.forEach(itemResponse => {
         const item = itemResponse.getItem();
-        const entryId = `entry.${item.getId()}`;
+        const entryId = entryIds[String(item.getId())] || `entry.${item.getId()}`;
         const responseValue = itemResponse.getResponse();
         
         responseData[entryId] = responseValue;
@@ -446,8 +1524,9 @@ const FormDataPersistence = {
    * @param {string} clientId - Client ID
    * @param {string} sessionId - Session ID
    * @param {boolean} success - Processing success status
+   * @param {string} errorMessage - Optional reason the response was not applied
    */
-  logFormProcessing(formResponse, clientId, sessionId, success) {
+  logFormProcessing(formResponse, clientId, sessionId, success, errorMessage = '') {
     try {
       const logEntry = {
         timestamp: new Date().toISOString(),
@@ -455,7 +1534,8 @@ const FormDataPersistence = {
         clientId: clientId || 'unknown',
         sessionId: sessionId || 'none',
         success: success,
-        processedBy: Session.getActiveUser().getEmail()
+        processedBy: Session.getActiveUser().getEmail(),
+        errorMessage: errorMessage || ''
       };
       
       // Log to console
@@ -574,4 +1654,25 @@ const FormDataPersistence = {
       };
     }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Form submission trigger entry points
+ * Installable triggers can only call global functions, so these delegate
+ * to FormDataPersistence
+ */
+
+/**
+ * Installable form-submit trigger handler
+ * @param {Object} e - Form submit event
+ */
+function onFormSubmit(e) {
+  FormDataPersistence.handleFormSubmit(e);
+}
+
+/**
+ * Time-based trigger handler that processes responses the submit trigger missed
+ */
+function reconcileFormResponses() {
+  FormDataPersistence.reconcileFormResponses();
+}
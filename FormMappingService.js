@@ -0,0 +1,458 @@
+/**
+ * FormMappingService.gs
+ * Discovers and repairs form entry ID mappings from the live Google Form
+ * Matches form items to logical fields by title, help text and aliases
+ */
+
+const FormMappingService = {
+  
+  // Proposals below this confidence are reported as unmatched
+  MIN_CONFIDENCE: 0.5,
+  
+  // Item types that never collect an answer
+  NON_INPUT_ITEM_TYPES: ['SECTION_HEADER', 'PAGE_BREAK', 'IMAGE', 'VIDEO'],
+  
+  // Script property prefix for each form's cached entry IDs
+  ENTRY_ID_CACHE_PREFIX: 'FORM_ENTRY_IDS_',
+  
+  /**
+   * Read the live form and propose a mapping for every logical field
+   * @param {string} formId - Google Form ID
+   * @returns {Object|null} Discovery result with proposals, unmatched items and fingerprint
+   */
+  discoverMappings(formId) {
+    try {
+      if (!formId) {
+        throw new Error('Form ID is required');
+      }
+      
+      const form = FormApp.openById(formId);
+      const entryIds = this.getCachedEntryIds(form);
+      const items = this.getInputItems(form).filter(item => entryIds[String(item.getId())]);
+      const currentMappings = ConfigurationService.getFieldMappings() || {};
+      const fields = FormBuilderService.FIELD_SCHEMA;
+      
+      const itemsByEntryId = {};
+      items.forEach(item => {
+        itemsByEntryId[entryIds[String(item.getId())]] = item;
+      });
+      
+      const assignments = {};
+      const claimedEntryIds = new Set();
+      
+      // Keep current mappings that still point at a plausible item
+      fields.forEach(field => {
+        const currentEntryId = currentMappings[field.key];
+        const currentItem = itemsByEntryId[currentEntryId];
+        
+        if (currentItem) {
+          const match = this.scoreItem(field, currentItem);
+          if (match.confidence >= this.MIN_CONFIDENCE) {
+            assignments[field.key] = { item: currentItem, entryId: currentEntryId, ...match };
+            claimedEntryIds.add(currentEntryId);
+          }
+        }
+      });
+      
+      // Assign remaining fields greedily, best candidates first
+      const candidates = [];
+      fields.forEach(field => {
+        if (assignments[field.key]) {
+          return;
+        }
+        
+        items.forEach(item => {
+          const entryId = entryIds[String(item.getId())];
+          if (claimedEntryIds.has(entryId)) {
+            return;
+          }
+          
+          const match = this.scoreItem(field, item);
+          if (match.confidence >= this.MIN_CONFIDENCE) {
+            candidates.push({ field: field, item: item, entryId: entryId, ...match });
+          }
+        });
+      });
+      
+      candidates
+        .sort((a, b) => b.confidence - a.confidence)
+        .forEach(candidate => {
+          if (assignments[candidate.field.key] || claimedEntryIds.has(candidate.entryId)) {
+            return;
+          }
+          
+          assignments[candidate.field.key] = {
+            item: candidate.item,
+            entryId: candidate.entryId,
+            confidence: candidate.confidence,
+            reason: candidate.reason
+          };
+          claimedEntryIds.add(candidate.entryId);
+        });
+      
+      const proposals = fields.map(field =>
+        this.buildProposal(field, assignments[field.key], currentMappings[field.key], itemsByEntryId)
+      );
+      
+      const unmatchedItems = items
+        .filter(item => !claimedEntryIds.has(entryIds[String(item.getId())]))
+        .map(item => ({
+          entryId: entryIds[String(item.getId())],
+          title: item.getTitle(),
+          type: String(item.getType())
+        }));
+      
+      return {
+        formId: formId,
+        proposals: proposals,
+        unmatchedItems: unmatchedItems,
+        fingerprint: this.computeFingerprint(form)
+      };
+    } catch (error) {
+      Logger.log('Error discovering form mappings: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Compare a field's proposed mapping with its current mapping
+   * @param {Object} field - Schema field
+   * @param {Object} assignment - Matched item with its entry ID, confidence and reason
+   * @param {string} currentEntryId - Currently configured entry ID
+   * @param {Object} itemsByEntryId - Form items keyed by entry ID
+   * @returns {Object} Proposal with status unchanged, new, changed, suspect, broken or unmatched
+   */
+  buildProposal(field, assignment, currentEntryId, itemsByEntryId) {
+    const proposedEntryId = assignment ? assignment.entryId : null;
+    const currentValid = !!(currentEntryId && itemsByEntryId[currentEntryId]);
+    
+    let status;
+    if (proposedEntryId && proposedEntryId === currentEntryId) {
+      status = 'unchanged';
+    } else if (proposedEntryId) {
+      status = currentEntryId ? 'changed' : 'new';
+    } else {
+      status = !currentEntryId ? 'unmatched' : (currentValid ? 'suspect' : 'broken');
+    }
+    
+    return {
+      key: field.key,
+      fieldTitle: field.title,
+      currentEntryId: currentEntryId || null,
+      currentValid: currentValid,
+      proposedEntryId: proposedEntryId,
+      itemTitle: assignment ? assignment.item.getTitle() : null,
+      confidence: assignment ? assignment.confidence : 0,
+      reason: assignment ? assignment.reason : 'No matching question found',
+      status: status
+    };
+  },
+  
+  /**
+   * Score how well a form item matches a logical field
+   * @param {Object} field - Schema field
+   * @param {GoogleAppsScript.Forms.Item} item - Form item
+   * @returns {Object} Confidence between 0 and 1 and the reason for it
+   */
+  scoreItem(field, item) {
+    const title = FormBuilderService.normalizeTitle(item.getTitle());
+    const helpText = FormBuilderService.normalizeTitle(item.getHelpText());
+    const fieldTitle = FormBuilderService.normalizeTitle(field.title);
+    const aliases = (field.aliases || []).map(alias => FormBuilderService.normalizeTitle(alias));
+    const keyTitle = FormBuilderService.normalizeTitle(field.key.replace(/_/g, ' '));
+    
+    let confidence = 0;
+    let reason = '';
+    
+    if (title === fieldTitle) {
+      confidence = 1;
+      reason = 'Title matches';
+    } else if (aliases.includes(title)) {
+      confidence = 0.9;
+      reason = `Title matches alias "${item.getTitle()}"`;
+    } else if (title === keyTitle) {
+      confidence = 0.9;
+      reason = 'Title matches field name';
+    } else {
+      const names = [fieldTitle, keyTitle, ...aliases];
+      const containedName = names.find(name => ` ${title} `.includes(` ${name} `));
+      const similarity = Math.max(...names.map(name => this.tokenSimilarity(title, name)));
+      
+      if (containedName) {
+        confidence = 0.8;
+        reason = `Title contains "${containedName}"`;
+      } else if (similarity > 0) {
+        confidence = 0.75 * similarity;
+        reason = `Title similar to "${field.title}"`;
+      }
+      
+      if (helpText && (helpText.includes(fieldTitle) || helpText.includes(keyTitle)) && confidence < 0.6) {
+        confidence = 0.6;
+        reason = `Help text mentions "${field.title}"`;
+      }
+    }
+    
+    // Penalize items whose question type cannot hold this field's answers
+    const expectedType = FormBuilderService.getItemType(field.type);
+    const itemType = item.getType();
+    if (confidence > 0 && itemType !== expectedType) {
+      const textTypes = [FormApp.ItemType.TEXT, FormApp.ItemType.PARAGRAPH_TEXT];
+      const bothText = textTypes.includes(itemType) && textTypes.includes(expectedType);
+      
+      confidence *= bothText ? 0.9 : 0.6;
+      reason += ' (different question type)';
+    }
+    
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      reason: reason
+    };
+  },
+  
+  /**
+   * Word overlap between two normalized titles
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Jaccard similarity of the word sets
+   */
+  tokenSimilarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    
+    if (wordsA.size === 0 || wordsB.size === 0) {
+      return 0;
+    }
+    
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+  },
+  
+  /**
+   * Apply proposed mappings and remember the form's current shape
+   * @param {Object} discovery - Result of discoverMappings
+   * @param {Array<string>} keys - Field keys to apply; defaults to all new and changed fields
+   * @returns {boolean} Success status
+   */
+  applyMappings(discovery, keys = null) {
+    try {
+      if (!discovery || !Array.isArray(discovery.proposals)) {
+        throw new Error('Invalid mapping discovery result');
+      }
+      
+      const updates = {};
+      discovery.proposals.forEach(proposal => {
+        const selected = keys ? keys.includes(proposal.key) : ['new', 'changed'].includes(proposal.status);
+        
+        if (selected && proposal.proposedEntryId) {
+          updates[proposal.key] = proposal.proposedEntryId;
+        }
+      });
+      
+      if (Object.keys(updates).length > 0 && !ConfigurationService.updateFieldMappings(updates)) {
+        return false;
+      }
+      
+      Logger.log(`Applied ${Object.keys(updates).length} form mapping updates`);
+      
+      return ConfigurationService.updateFormFingerprint(discovery.fingerprint);
+    } catch (error) {
+      Logger.log('Error applying form mappings: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Check whether the form has changed since mappings were last confirmed
+   * and whether any mapped entry ID no longer exists or no longer fits its field
+   * @param {string} formId - Google Form ID
+   * @returns {Object} Health report with status ok, changed, broken or unknown
+   */
+  checkMappingHealth(formId) {
+    try {
+      if (!formId) {
+        return { status: 'unknown', formChanged: false, brokenFields: [], suspectFields: [] };
+      }
+      
+      const form = FormApp.openById(formId);
+      const fingerprint = this.computeFingerprint(form);
+      const storedFingerprint = ConfigurationService.getFormFingerprint();
+      const formChanged = !!storedFingerprint && storedFingerprint !== fingerprint;
+      
+      const entryIds = this.getCachedEntryIds(form, fingerprint);
+      
+      const itemsByEntryId = {};
+      this.getInputItems(form).forEach(item => {
+        const entryId = entryIds[String(item.getId())];
+        if (entryId) {
+          itemsByEntryId[entryId] = item;
+        }
+      });
+      
+      const currentMappings = ConfigurationService.getFieldMappings() || {};
+      const brokenFields = [];
+      const suspectFields = [];
+      
+      FormBuilderService.FIELD_SCHEMA.forEach(field => {
+        const entryId = currentMappings[field.key];
+        if (!entryId) {
+          return;
+        }
+        
+        const item = itemsByEntryId[entryId];
+        if (!item) {
+          brokenFields.push(field.key);
+        } else if (this.scoreItem(field, item).confidence < this.MIN_CONFIDENCE) {
+          suspectFields.push(field.key);
+        }
+      });
+      
+      let status = 'ok';
+      if (brokenFields.length > 0) {
+        status = 'broken';
+      } else if (formChanged || suspectFields.length > 0) {
+        status = 'changed';
+      }
+      
+      return {
+        status: status,
+        formChanged: formChanged,
+        brokenFields: brokenFields,
+        suspectFields: suspectFields
+      };
+    } catch (error) {
+      Logger.log('Error checking form mapping health: ' + error.toString());
+      return {
+        status: 'unknown',
+        formChanged: false,
+        brokenFields: [],
+        suspectFields: [],
+        error: error.message
+      };
+    }
+  },
+  
+  /**
+   * Get the form items that collect answers
+   * @param {GoogleAppsScript.Forms.Form} form - Form
+   * @returns {Array<GoogleAppsScript.Forms.Item>} Input items
+   */
+  getInputItems(form) {
+    return form.getItems().filter(item => !this.NON_INPUT_ITEM_TYPES.includes(String(item.getType())));
+  },
+  
+  /**
+   * Get a form's entry IDs, deriving them again only when its questions have changed
+   * The cache is kept per form, so switching or importing a form ID never reuses another form's IDs.
+   * @param {GoogleAppsScript.Forms.Form} form - Form
+   * @param {string} fingerprint - The form's current fingerprint, if already computed
+   * @returns {Object} Entry IDs like entry.123456789 keyed by item ID
+   */
+  getCachedEntryIds(form, fingerprint = null) {
+    const currentFingerprint = fingerprint || this.computeFingerprint(form);
+    const key = this.ENTRY_ID_CACHE_PREFIX + form.getId();
+    const properties = PropertiesService.getScriptProperties();
+    
+    try {
+      const cached = JSON.parse(properties.getProperty(key) || 'null');
+      if (cached && cached.fingerprint === currentFingerprint) {
+        return cached.entryIds;
+      }
+    } catch (error) {
+      Logger.log('Ignoring unreadable entry ID cache: ' + error.toString());
+    }
+    
+    const entryIds = this.getEntryIds(form);
+    properties.setProperty(key, JSON.stringify({ fingerprint: currentFingerprint, entryIds: entryIds }));
+    
+    return entryIds;
+  },
+  
+  /**
+   * Derive each input item's prefill entry ID from a prefilled response URL
+   * Item IDs and entry IDs differ, so the URL is the only reliable source.
+   * @param {GoogleAppsScript.Forms.Form} form - Form
+   * @returns {Object} Entry IDs like entry.123456789 keyed by item ID
+   */
+  getEntryIds(form) {
+    const entryIds = {};
+    
+    this.getInputItems(form).forEach(item => {
+      try {
+        const itemResponse = this.createSampleResponse(item);
+        if (!itemResponse) {
+          return;
+        }
+        
+        const url = form.createResponse().withItemResponse(itemResponse).toPrefilledUrl();
+        const match = url.match(/[?&](entry\.\d+)(?:_[a-z]+)?=/);
+        if (match) {
+          entryIds[String(item.getId())] = match[1];
+        }
+      } catch (error) {
+        Logger.log(`Unable to derive entry ID for "${item.getTitle()}": ${error.toString()}`);
+      }
+    });
+    
+    return entryIds;
+  },
+  
+  /**
+   * Build a throwaway answer for an item so it shows up in a prefilled URL
+   * @param {GoogleAppsScript.Forms.Item} item - Form item
+   * @returns {GoogleAppsScript.Forms.ItemResponse|null} Item response, or null if the item cannot be prefilled
+   */
+  createSampleResponse(item) {
+    const firstChoice = typedItem => {
+      const choices = typedItem.getChoices();
+      return choices.length > 0 ? choices[0].getValue() : null;
+    };
+    
+    switch (String(item.getType())) {
+      case 'TEXT':
+        return item.asTextItem().createResponse('x');
+      case 'PARAGRAPH_TEXT':
+        return item.asParagraphTextItem().createResponse('x');
+      case 'MULTIPLE_CHOICE': {
+        const choice = firstChoice(item.asMultipleChoiceItem());
+        return choice === null ? null : item.asMultipleChoiceItem().createResponse(choice);
+      }
+      case 'CHECKBOX': {
+        const choice = firstChoice(item.asCheckboxItem());
+        return choice === null ? null : item.asCheckboxItem().createResponse([choice]);
+      }
+      case 'LIST': {
+        const choice = firstChoice(item.asListItem());
+        return choice === null ? null : item.asListItem().createResponse(choice);
+      }
+      case 'SCALE':
+        return item.asScaleItem().createResponse(item.asScaleItem().getLowerBound());
+      case 'DATE':
+        return item.asDateItem().createResponse(new Date());
+      case 'DATETIME':
+        return item.asDateTimeItem().createResponse(new Date());
+      case 'TIME':
+        return item.asTimeItem().createResponse(12, 0);
+      default:
+        // Grids and other multi-entry items have no single entry ID
+        return null;
+    }
+  },
+  
+  /**
+   * Hash the form's question IDs, types and titles
+   * @param {GoogleAppsScript.Forms.Form} form - Form
+   * @returns {string} Hex fingerprint
+   */
+  computeFingerprint(form) {
+    const signature = this.getInputItems(form)
+      .map(item => `${item.getId()}:${item.getType()}:${item.getTitle()}`)
+      .sort()
+      .join('\n');
+    
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, signature);
+    
+    return digest
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('');
+  }
+};
@@ -0,0 +1,372 @@
+/**
+ * FormResponseLedger.gs
+ * Per-response ledger for form response processing
+ * Records whether each response was processed, failed or skipped so it is applied exactly once
+ * Failed responses are retried with exponential backoff and dead-lettered after MAX_ATTEMPTS
+ */
+
+const FormResponseLedger = {
+  
+  SHEET_NAME: 'Form_Response_Ledger',
+  
+  // Ledger columns, in sheet order
+  HEADERS: [
+    'Response_ID',
+    'Form_ID',
+    'Status',
+    'Client_ID',
+    'Session_ID',
+    'Attempts',
+    'Response_Timestamp',
+    'First_Attempt',
+    'Last_Attempt',
+    'Error_Message',
+    'Next_Retry',
+    'Response_Hash',
+    'Applied_Data'
+  ],
+  
+  STATUS: {
+    PROCESSED: 'processed',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    DEAD_LETTER: 'dead_letter'
+  },
+  
+  // Attempts before a failing response is moved to the dead-letter sheet
+  MAX_ATTEMPTS: 5,
+  
+  // Retry delay doubles after each failed attempt, up to the maximum
+  RETRY_BASE_MINUTES: 15,
+  RETRY_MAX_MINUTES: 24 * 60,
+  
+  /**
+   * Get or create the ledger sheet
+   * A new ledger is seeded from the processing log so responses handled
+   * before the ledger existed are not applied a second time
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} Ledger sheet
+   */
+  getLedgerSheet() {
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        
+        // Set up headers
+        const headers = this.HEADERS;
+        
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+        
+        this.seedFromProcessingLog(sheet);
+      } else {
+        this.ensureLedgerHeaders(sheet);
+      }
+      
+      return sheet;
+    } catch (error) {
+      Logger.log('Error getting form response ledger sheet: ' + error.toString());
+      throw new Error('Unable to access form response ledger');
+    }
+  },
+  
+  /**
+   * Add any missing ledger columns to an existing sheet
+   * Ledgers created before retry scheduling and edit tracking lack the newer columns
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Ledger sheet
+   */
+  ensureLedgerHeaders(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = lastColumn > 0 ?
+      sheet.getRange(1, 1, 1, lastColumn).getValues()[0] :
+      [];
+    
+    const missing = this.HEADERS.filter(header => !headers.includes(header));
+    if (missing.length === 0) {
+      return;
+    }
+    
+    const range = sheet.getRange(1, lastColumn + 1, 1, missing.length);
+    range.setValues([missing]);
+    range.setFontWeight('bold');
+    Logger.log(`Added ledger columns: ${missing.join(', ')}`);
+  },
+  
+  /**
+   * Mark responses logged as successful in Form_Processing_Log as processed
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - New ledger sheet
+   */
+  seedFromProcessingLog(sheet) {
+    const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Form_Processing_Log');
+    if (!logSheet) {
+      return;
+    }
+    
+    const data = logSheet.getDataRange().getValues();
+    if (data.length <= 1) {
+      return;
+    }
+    
+    const headers = data[0];
+    const responseIdColumn = headers.indexOf('Form_Response_ID');
+    const successColumn = headers.indexOf('Success');
+    const clientIdColumn = headers.indexOf('Client_ID');
+    const timestampColumn = headers.indexOf('Timestamp');
+    
+    const seeded = {};
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const responseId = String(row[responseIdColumn] || '');
+      const success = row[successColumn] === true || row[successColumn] === 'true';
+      
+      if (success && responseId && responseId !== 'unknown' && !seeded[responseId]) {
+        seeded[responseId] = [
+          responseId,
+          '',
+          this.STATUS.PROCESSED,
+          row[clientIdColumn] || '',
+          '',
+          1,
+          '',
+          row[timestampColumn] || '',
+          row[timestampColumn] || '',
+          '',
+          '',
+          '',
+          ''
+        ];
+      }
+    }
+    
+    const rows = Object.values(seeded);
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, this.HEADERS.length).setValues(rows);
+      Logger.log(`Seeded form response ledger with ${rows.length} previously processed responses`);
+    }
+  },
+  
+  /**
+   * Get the ledger entry for a response
+   * @param {string} responseId - Form response ID
+   * @returns {Object|null} Ledger entry or null if the response has not been seen
+   */
+  getEntry(responseId) {
+    try {
+      if (!responseId) {
+        return null;
+      }
+      
+      return this.getEntries().find(entry => entry.responseId === String(responseId)) || null;
+    } catch (error) {
+      Logger.log('Error getting ledger entry: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Get ledger entries, optionally filtered by status and form
+   * @param {Object} options - Optional filters: status, formId
+   * @returns {Array<Object>} Ledger entries
+   */
+  getEntries(options = {}) {
+    try {
+      const data = this.getLedgerSheet().getDataRange().getValues();
+      
+      if (data.length <= 1) {
+        return [];
+      }
+      
+      const headers = data[0];
+      
+      return data.slice(1)
+        .map(row => this.toEntry(headers, row))
+        .filter(entry => entry.responseId)
+        .filter(entry => !options.status || entry.status === options.status)
+        .filter(entry => !options.formId || !entry.formId || entry.formId === options.formId);
+    } catch (error) {
+      Logger.log('Error getting ledger entries: ' + error.toString());
+      return [];
+    }
+  },
+  
+  /**
+   * Get failed responses whose retry time has arrived
+   * @param {string} formId - Optional form ID filter
+   * @returns {Array<Object>} Ledger entries due for another attempt
+   */
+  getDueRetries(formId = null) {
+    const now = new Date();
+    
+    return this.getEntries({ status: this.STATUS.FAILED, formId: formId })
+      .filter(entry => !entry.nextRetry || new Date(entry.nextRetry) <= now);
+  },
+  
+  /**
+   * Work out when a response that has failed a number of times should be retried
+   * @param {number} attempts - Failed attempts so far
+   * @returns {Date} Next retry time
+   */
+  getNextRetryTime(attempts) {
+    const delayMinutes = Math.min(
+      this.RETRY_BASE_MINUTES * Math.pow(2, Math.max(0, attempts - 1)),
+      this.RETRY_MAX_MINUTES
+    );
+    
+    return new Date(Date.now() + delayMinutes * 60 * 1000);
+  },
+  
+  /**
+   * Get every ledger entry keyed by response ID
+   * @returns {Object} Map of response ID to ledger entry
+   */
+  getEntryMap() {
+    const entries = {};
+    
+    this.getEntries().forEach(entry => {
+      entries[entry.responseId] = entry;
+    });
+    
+    return entries;
+  },
+  
+  /**
+   * Record the outcome of a processing attempt, creating or updating the response's entry
+   * A failure schedules the next retry, or becomes dead_letter once MAX_ATTEMPTS is reached
+   * @param {string} responseId - Form response ID
+   * @param {Object} result - status, formId, clientId, sessionId, error, responseTimestamp,
+   *   responseHash and appliedData
+   * @returns {Object|null} Saved ledger entry or null on error
+   */
+  recordResult(responseId, result) {
+    try {
+      if (!responseId || !Object.values(this.STATUS).includes(result.status)) {
+        throw new Error('Response ID and a valid status are required');
+      }
+      
+      const sheet = this.getLedgerSheet();
+      const data = sheet.getDataRange().getValues();
+      const headers = data[0];
+      const now = new Date();
+      
+      let rowIndex = -1;
+      for (let i = 1; i < data.length; i++) {
+        if (String(data[i][headers.indexOf('Response_ID')]) === String(responseId)) {
+          rowIndex = i;
+          break;
+        }
+      }
+      
+      const existing = rowIndex > -1 ? this.toEntry(headers, data[rowIndex]) : null;
+      
+      // Count attempts since the response was last handled, so a correction that
+      // fails gets the full set of retries
+      const retrying = existing && [this.STATUS.FAILED, this.STATUS.DEAD_LETTER].includes(existing.status);
+      const attempts = (retrying ? existing.attempts : 0) + 1;
+      
+      let status = result.status;
+      if (status === this.STATUS.FAILED && attempts >= this.MAX_ATTEMPTS) {
+        status = this.STATUS.DEAD_LETTER;
+      }
+      
+      const entry = {
+        Response_ID: String(responseId),
+        Form_ID: result.formId || (existing && existing.formId) || '',
+        Status: status,
+        Client_ID: result.clientId || (existing && existing.clientId) || '',
+        Session_ID: result.sessionId || (existing && existing.sessionId) || '',
+        Attempts: attempts,
+        Response_Timestamp: result.responseTimestamp || (existing && existing.responseTimestamp) || '',
+        First_Attempt: existing && existing.firstAttempt ? existing.firstAttempt : now,
+        Last_Attempt: now,
+        Error_Message: result.error || '',
+        Next_Retry: status === this.STATUS.FAILED ? this.getNextRetryTime(attempts) : '',
+        // A failed correction keeps what was last applied so the next attempt diffs against it
+        Response_Hash: result.responseHash || (existing && existing.responseHash) || '',
+        Applied_Data: result.appliedData ?
+          JSON.stringify(result.appliedData) :
+          (existing && existing.appliedData ? JSON.stringify(existing.appliedData) : '')
+      };
+      
+      const rowData = headers.map(header => (header in entry ? entry[header] : ''));
+      
+      if (rowIndex > -1) {
+        sheet.getRange(rowIndex + 1, 1, 1, rowData.length).setValues([rowData]);
+      } else {
+        sheet.appendRow(rowData);
+      }
+      
+      return this.toEntry(headers, rowData);
+    } catch (error) {
+      Logger.log('Error recording ledger result: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Convert a ledger row to an entry object
+   * @param {Array} headers - Ledger headers
+   * @param {Array} row - Ledger row
+   * @returns {Object} Ledger entry
+   */
+  toEntry(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    return {
+      responseId: String(value('Response_ID')),
+      formId: String(value('Form_ID')),
+      status: value('Status'),
+      clientId: String(value('Client_ID')),
+      sessionId: String(value('Session_ID')),
+      attempts: Number(value('Attempts')) || 0,
+      responseTimestamp: value('Response_Timestamp'),
+      firstAttempt: value('First_Attempt'),
+      lastAttempt: value('Last_Attempt'),
+      error: value('Error_Message'),
+      nextRetry: value('Next_Retry'),
+      responseHash: String(value('Response_Hash')),
+      appliedData: this.parseAppliedData(value('Applied_Data'))
+    };
+  },
+  
+  /**
+   * Parse the data recorded as applied for a response
+   * @param {string} json - Applied_Data cell value
+   * @returns {Object|null} Applied data or null if none was recorded
+   */
+  parseAppliedData(json) {
+    if (!json) {
+      return null;
+    }
+    
+    try {
+      return JSON.parse(json);
+    } catch (parseError) {
+      Logger.log(`Error parsing applied data: ${parseError.toString()}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Count ledger entries by status
+   * @param {string} formId - Optional form ID filter
+   * @returns {Object} Counts of processed, failed and skipped responses
+   */
+  getSummary(formId = null) {
+    const summary = { processed: 0, failed: 0, skipped: 0, dead_letter: 0, total: 0 };
+    
+    this.getEntries({ formId: formId }).forEach(entry => {
+      if (summary[entry.status] !== undefined) {
+        summary[entry.status]++;
+      }
+      summary.total++;
+    });
+    
+    return summary;
+  }
+};
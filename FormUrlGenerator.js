@@ -7,20 +7,16 @@
 
 /**
  * Form URL Generator - Base functionality
+ * Form ID and entry IDs come from ConfigurationService; use the
+ * "Build Documentation Form" or "Repair Form Mappings" menu items to set them
+ * @return {Object} Form configuration with FORM_ID and FIELD_MAPPINGS keyed by logical field
  */
 function getFormConfig() {
+  const settings = ConfigurationService.getFormSettings();
+  
   return {
-    // Replace with your actual Google Form ID
-    FORM_ID: '1dJSpL3_yLcy1mBh9wf-of1BVakpPO6aQnvHm-7VqeJo',
-
-    // Replace with your actual form field entry IDs
-    // To find these: open your form, go to preview, inspect element on each field
-    FIELD_MAPPINGS: {
-      CLIENT_NAME: 'entry.123456789',    // Replace with actual entry ID
-      CLIENT_ID: 'entry.987654321',      // Replace with actual entry ID  
-      SELECTED_GOAL: 'entry.456789123',  // Replace with actual entry ID
-      SESSION_DATE: 'entry.789123456'    // Replace with actual entry ID
-    }
+    FORM_ID: settings.formId,
+    FIELD_MAPPINGS: settings.fieldMappings
   };
 }
 
@@ -43,6 +39,10 @@ function createPrePopulatedUrl(sessionData) {
     throw new Error('Invalid client data provided');
   }
   
+  if (!config.FORM_ID) {
+    throw new Error('No documentation form is configured. Use "Build Documentation Form" to create one.');
+  }
+  
   // Build the base URL
   const baseUrl = `https://docs.google.com/forms/d/${config.FORM_ID}/formResponse`;
   
@@ -1,38 +1,80 @@
 /**
  * GoalManagementService.gs - Client goal management system
  * Provides safe and convenient ways to add, edit, and manage client goals
+ * Goals are stored as structured records in the Client_Goals sheet; the
+ * client's pipe-delimited Goals column is kept in sync with the active goals
  */
 
 class GoalManagementService {
   
+  /**
+   * Get goals for a client, migrating legacy pipe-delimited goals on first access
+   * @param {string} clientId - Client ID
+   * @param {Object} options - includeClosed to also return completed and discontinued goals
+   * @return {Array<Object>} Goals ordered by sort order
+   */
+  static getGoals(clientId, options = {}) {
+    if (!clientId) {
+      throw new Error('Client ID is required');
+    }
+    
+    let goals = this.readClientGoals(clientId);
+    
+    if (goals.length === 0) {
+      goals = this.migrateClientGoals(clientId);
+    }
+    
+    return goals
+      .filter(goal => options.includeClosed || GoalModel.isOpen(goal))
+      .sort((a, b) => a.sortOrder - b.sortOrder);
+  }
+  
+  /**
+   * Get a single goal by ID or text
+   * @param {string} clientId - Client ID
+   * @param {string} goalRef - Goal ID or goal text
+   * @return {Object} Goal
+   */
+  static getGoal(clientId, goalRef) {
+    const goal = GoalModel.find(this.getGoals(clientId, { includeClosed: true }), goalRef);
+    
+    if (!goal) {
+      throw new Error('Goal not found');
+    }
+    
+    return goal;
+  }
+  
   /**
    * Add a new goal for a client
    * @param {string} clientId - Client ID
-   * @param {string} goalText - Goal text to add
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Array<string>} Updated goals array
+   * @param {string|Object} goalInput - Goal text or goal fields (domain, targetDate, baseline, objectives)
+   * @return {Array<Object>} Updated open goals
    */
-  static addGoal(clientId, goalText, sheetName = 'Clients') {
+  static addGoal(clientId, goalInput) {
     try {
-      if (!goalText || goalText.trim() === '') {
-        throw new Error('Goal text cannot be empty');
-      }
+      const currentGoals = this.getGoals(clientId);
+      const goal = GoalModel.create({
+        ...(typeof goalInput === 'string' ? { text: goalInput } : goalInput),
+        id: null,
+        clientId: clientId,
+        sortOrder: currentGoals.reduce((max, existing) => Math.max(max, existing.sortOrder + 1), 0)
+      });
       
-      const currentGoals = getGoals(clientId, sheetName);
-      const trimmedGoal = goalText.trim();
+      this.assertValidGoal(goal);
       
       // Check for duplicates
-      if (currentGoals.some(goal => goal.toLowerCase() === trimmedGoal.toLowerCase())) {
+      if (currentGoals.some(existing => existing.text.toLowerCase() === goal.text.toLowerCase())) {
         throw new Error('This goal already exists for the client');
       }
       
-      const updatedGoals = [...currentGoals, trimmedGoal];
-      setGoals(clientId, updatedGoals, sheetName);
+      this.saveGoal(goal);
+      this.syncGoalsColumn(clientId);
       
       // Log the change
-      this.logGoalChange(clientId, 'ADDED', trimmedGoal);
+      this.logGoalChange(clientId, 'ADDED', goal.text);
       
-      return updatedGoals;
+      return this.getGoals(clientId);
       
     } catch (error) {
       console.error('Error adding goal:', error);
@@ -43,25 +85,20 @@ class GoalManagementService {
   /**
    * Remove a goal for a client
    * @param {string} clientId - Client ID
-   * @param {string} goalText - Goal text to remove
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Array<string>} Updated goals array
+   * @param {string} goalRef - Goal ID or goal text
+   * @return {Array<Object>} Updated open goals
    */
-  static removeGoal(clientId, goalText, sheetName = 'Clients') {
+  static removeGoal(clientId, goalRef) {
     try {
-      const currentGoals = getGoals(clientId, sheetName);
-      const updatedGoals = currentGoals.filter(goal => goal !== goalText);
-      
-      if (updatedGoals.length === currentGoals.length) {
-        throw new Error('Goal not found');
-      }
+      const goal = this.getGoal(clientId, goalRef);
       
-      setGoals(clientId, updatedGoals, sheetName);
+      this.deleteGoalRow(goal.id);
+      this.syncGoalsColumn(clientId);
       
       // Log the change
-      this.logGoalChange(clientId, 'REMOVED', goalText);
+      this.logGoalChange(clientId, 'REMOVED', goal.text);
       
-      return updatedGoals;
+      return this.getGoals(clientId);
       
     } catch (error) {
       console.error('Error removing goal:', error);
@@ -72,41 +109,48 @@ class GoalManagementService {
   /**
    * Update an existing goal for a client
    * @param {string} clientId - Client ID
-   * @param {string} oldGoalText - Original goal text
-   * @param {string} newGoalText - New goal text
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Array<string>} Updated goals array
+   * @param {string} goalRef - Goal ID or original goal text
+   * @param {string|Object} updates - New goal text, or goal fields to change
+   * @return {Array<Object>} Updated open goals
    */
-  static updateGoal(clientId, oldGoalText, newGoalText, sheetName = 'Clients') {
+  static updateGoal(clientId, goalRef, updates) {
     try {
-      if (!newGoalText || newGoalText.trim() === '') {
+      const changes = typeof updates === 'string' ? { text: updates } : { ...updates };
+      
+      if ('text' in changes && (!changes.text || String(changes.text).trim() === '')) {
         throw new Error('New goal text cannot be empty');
       }
       
-      const currentGoals = getGoals(clientId, sheetName);
-      const trimmedNewGoal = newGoalText.trim();
-      
-      // Find the goal to update
-      const goalIndex = currentGoals.findIndex(goal => goal === oldGoalText);
-      if (goalIndex === -1) {
+      const allGoals = this.getGoals(clientId, { includeClosed: true });
+      const goal = GoalModel.find(allGoals, goalRef);
+      if (!goal) {
         throw new Error('Original goal not found');
       }
       
+      // Identity fields are never changed through an update
+      delete changes.id;
+      delete changes.clientId;
+      delete changes.createdDate;
+      
+      const updatedGoal = GoalModel.normalize({ ...goal, ...changes });
+      this.assertValidGoal(updatedGoal);
+      
       // Check for duplicates (excluding the goal being updated)
-      const otherGoals = currentGoals.filter((_, index) => index !== goalIndex);
-      if (otherGoals.some(goal => goal.toLowerCase() === trimmedNewGoal.toLowerCase())) {
+      const otherGoals = allGoals.filter(existing => existing.id !== goal.id && GoalModel.isOpen(existing));
+      if (otherGoals.some(existing => existing.text.toLowerCase() === updatedGoal.text.toLowerCase())) {
         throw new Error('A goal with this text already exists');
       }
       
-      const updatedGoals = [...currentGoals];
-      updatedGoals[goalIndex] = trimmedNewGoal;
-      
-      setGoals(clientId, updatedGoals, sheetName);
+      this.saveGoal(updatedGoal);
+      this.syncGoalsColumn(clientId);
       
       // Log the change
-      this.logGoalChange(clientId, 'UPDATED', `"${oldGoalText}" → "${trimmedNewGoal}"`);
+      const details = updatedGoal.text !== goal.text ?
+        `"${goal.text}" → "${updatedGoal.text}"` :
+        `"${goal.text}" updated (${Object.keys(changes).join(', ')})`;
+      this.logGoalChange(clientId, 'UPDATED', details);
       
-      return updatedGoals;
+      return this.getGoals(clientId);
       
     } catch (error) {
       console.error('Error updating goal:', error);
@@ -117,33 +161,37 @@ class GoalManagementService {
   /**
    * Reorder goals for a client
    * @param {string} clientId - Client ID
-   * @param {Array<string>} reorderedGoals - Goals in new order
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Array<string>} Updated goals array
+   * @param {Array<string>} reorderedGoalRefs - Goal IDs (or texts) in new order
+   * @return {Array<Object>} Updated open goals
    */
-  static reorderGoals(clientId, reorderedGoals, sheetName = 'Clients') {
+  static reorderGoals(clientId, reorderedGoalRefs) {
     try {
-      const currentGoals = getGoals(clientId, sheetName);
+      const currentGoals = this.getGoals(clientId);
       
       // Validate that the reordered array contains the same goals
-      if (reorderedGoals.length !== currentGoals.length) {
+      if (!Array.isArray(reorderedGoalRefs) || reorderedGoalRefs.length !== currentGoals.length) {
         throw new Error('Reordered goals must contain the same number of goals');
       }
       
-      const currentSet = new Set(currentGoals);
-      const reorderedSet = new Set(reorderedGoals);
+      const reordered = reorderedGoalRefs.map(ref => GoalModel.find(currentGoals, ref));
+      const reorderedIds = new Set(reordered.filter(goal => goal).map(goal => goal.id));
       
-      if (currentSet.size !== reorderedSet.size || 
-          ![...currentSet].every(goal => reorderedSet.has(goal))) {
+      if (reorderedIds.size !== currentGoals.length) {
         throw new Error('Reordered goals must contain exactly the same goals');
       }
       
-      setGoals(clientId, reorderedGoals, sheetName);
+      reordered.forEach((goal, index) => {
+        if (goal.sortOrder !== index) {
+          this.saveGoal({ ...goal, sortOrder: index });
+        }
+      });
+      
+      this.syncGoalsColumn(clientId);
       
       // Log the change
       this.logGoalChange(clientId, 'REORDERED', 'Goals reordered');
       
-      return reorderedGoals;
+      return this.getGoals(clientId);
       
     } catch (error) {
       console.error('Error reordering goals:', error);
@@ -154,25 +202,36 @@ class GoalManagementService {
   /**
    * Mark a goal as completed
    * @param {string} clientId - Client ID
-   * @param {string} goalText - Goal text to mark as completed
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Object} Result with updated goals and archived goal
+   * @param {string} goalRef - Goal ID or goal text
+   * @return {Object} Result with updated goals and the completed goal
    */
-  static completeGoal(clientId, goalText, sheetName = 'Clients') {
+  static completeGoal(clientId, goalRef) {
     try {
-      // Remove from active goals
-      const updatedGoals = this.removeGoal(clientId, goalText, sheetName);
+      const goal = this.getGoal(clientId, goalRef);
+      
+      if (!GoalModel.isOpen(goal)) {
+        throw new Error('Goal is already closed');
+      }
+      
+      const completedGoal = {
+        ...goal,
+        status: 'completed',
+        completedDate: new Date()
+      };
+      
+      this.saveGoal(completedGoal);
+      this.syncGoalsColumn(clientId);
       
       // Add to completed goals archive
-      this.archiveCompletedGoal(clientId, goalText);
+      this.archiveCompletedGoal(clientId, goal.text);
       
       // Log the completion
-      this.logGoalChange(clientId, 'COMPLETED', goalText);
+      this.logGoalChange(clientId, 'COMPLETED', goal.text);
       
       return {
-        activeGoals: updatedGoals,
-        completedGoal: goalText,
-        completedDate: new Date()
+        activeGoals: this.getGoals(clientId),
+        completedGoal: completedGoal,
+        completedDate: completedGoal.completedDate
       };
       
     } catch (error) {
@@ -181,6 +240,110 @@ class GoalManagementService {
     }
   }
   
+  /**
+   * Add a measurable objective under a goal
+   * @param {string} clientId - Client ID
+   * @param {string} goalRef - Goal ID or goal text
+   * @param {string|Object} objectiveInput - Objective text or fields (measure, target, status)
+   * @return {Object} Updated goal
+   */
+  static addObjective(clientId, goalRef, objectiveInput) {
+    try {
+      const goal = this.getGoal(clientId, goalRef);
+      const objective = GoalModel.createObjective(objectiveInput);
+      const updatedGoal = { ...goal, objectives: [...goal.objectives, objective] };
+      
+      this.assertValidGoal(updatedGoal);
+      this.saveGoal(updatedGoal);
+      
+      this.logGoalChange(clientId, 'OBJECTIVE_ADDED', `"${goal.text}": ${objective.text}`);
+      
+      return updatedGoal;
+      
+    } catch (error) {
+      console.error('Error adding objective:', error);
+      throw new Error('Failed to add objective: ' + error.message);
+    }
+  }
+  
+  /**
+   * Update an objective under a goal
+   * @param {string} clientId - Client ID
+   * @param {string} goalRef - Goal ID or goal text
+   * @param {string} objectiveId - Objective ID
+   * @param {Object} updates - Objective fields to change
+   * @return {Object} Updated goal
+   */
+  static updateObjective(clientId, goalRef, objectiveId, updates) {
+    try {
+      const goal = this.getGoal(clientId, goalRef);
+      const index = goal.objectives.findIndex(objective => objective.id === objectiveId);
+      
+      if (index === -1) {
+        throw new Error('Objective not found');
+      }
+      
+      const objectives = [...goal.objectives];
+      objectives[index] = GoalModel.normalizeObjective({ ...objectives[index], ...updates, id: objectiveId });
+      
+      const updatedGoal = { ...goal, objectives: objectives };
+      this.assertValidGoal(updatedGoal);
+      this.saveGoal(updatedGoal);
+      
+      this.logGoalChange(clientId, 'OBJECTIVE_UPDATED', `"${goal.text}": ${objectives[index].text} (${objectives[index].status})`);
+      
+      return updatedGoal;
+      
+    } catch (error) {
+      console.error('Error updating objective:', error);
+      throw new Error('Failed to update objective: ' + error.message);
+    }
+  }
+  
+  /**
+   * Remove an objective from a goal
+   * @param {string} clientId - Client ID
+   * @param {string} goalRef - Goal ID or goal text
+   * @param {string} objectiveId - Objective ID
+   * @return {Object} Updated goal
+   */
+  static removeObjective(clientId, goalRef, objectiveId) {
+    try {
+      const goal = this.getGoal(clientId, goalRef);
+      const objective = goal.objectives.find(existing => existing.id === objectiveId);
+      
+      if (!objective) {
+        throw new Error('Objective not found');
+      }
+      
+      const updatedGoal = {
+        ...goal,
+        objectives: goal.objectives.filter(existing => existing.id !== objectiveId)
+      };
+      this.saveGoal(updatedGoal);
+      
+      this.logGoalChange(clientId, 'OBJECTIVE_REMOVED', `"${goal.text}": ${objective.text}`);
+      
+      return updatedGoal;
+      
+    } catch (error) {
+      console.error('Error removing objective:', error);
+      throw new Error('Failed to remove objective: ' + error.message);
+    }
+  }
+  
+  /**
+   * Throw if a goal fails model validation
+   * @param {Object} goal - Goal to validate
+   */
+  static assertValidGoal(goal) {
+    const validation = GoalModel.validate(goal);
+    
+    if (!validation.valid) {
+      throw new Error(validation.errors.join('; '));
+    }
+  }
+  
   /**
    * Archive a completed goal
    * @param {string} clientId - Client ID
@@ -242,22 +405,26 @@ class GoalManagementService {
   /**
    * Get goal statistics for a client
    * @param {string} clientId - Client ID
-   * @param {string} sheetName - Name of the clients sheet
    * @return {Object} Goal statistics
    */
-  static getGoalStatistics(clientId, sheetName = 'Clients') {
+  static getGoalStatistics(clientId) {
     try {
-      const activeGoals = getGoals(clientId, sheetName);
+      const activeGoals = this.getGoals(clientId);
       const completedGoals = this.getCompletedGoals(clientId);
       const goalHistory = this.getGoalHistory(clientId);
       
+      const progressEntries = this.getGoalProgress(clientId);
+      const ratedSessions = new Set(progressEntries.map(entry => entry.sessionId));
+      
       return {
         activeGoalsCount: activeGoals.length,
         completedGoalsCount: completedGoals.length,
         totalGoalsEver: activeGoals.length + completedGoals.length,
         lastGoalAdded: goalHistory.length > 0 ? goalHistory[0].date : null,
         lastGoalCompleted: completedGoals.length > 0 ? completedGoals[0].completedDate : null,
-        goalCompletionRate: calculateCompletionRate(activeGoals.length, completedGoals.length)
+        goalCompletionRate: calculateCompletionRate(activeGoals.length, completedGoals.length),
+        sessionsWithProgress: ratedSessions.size,
+        progressTrends: this.summarizeProgressTrends(progressEntries)
       };
       
     } catch (error) {
@@ -266,6 +433,227 @@ class GoalManagementService {
     }
   }
   
+  /**
+   * Get the progress rating scale, ordered from worst to best
+   * @return {Array<Object>} Ratings with value, label and numeric score
+   */
+  static getProgressRatings() {
+    return [
+      { value: 'regressed', label: 'Regressed', score: -1 },
+      { value: 'no_change', label: 'No change', score: 0 },
+      { value: 'progressing', label: 'Progressing', score: 1 },
+      { value: 'met', label: 'Met', score: 2 }
+    ];
+  }
+  
+  /**
+   * Check whether a value is a known progress rating
+   * @param {string} rating - Rating value
+   * @return {boolean} True if valid
+   */
+  static isValidProgressRating(rating) {
+    return this.getProgressRatings().some(entry => entry.value === rating);
+  }
+  
+  /**
+   * Record progress ratings for the goals worked on in a session
+   * Re-recording a session replaces its earlier rating for the same goal, and a
+   * goal rated more than once in one call keeps only its last rating. Ratings stay
+   * provisional until the session's form response is processed (confirmGoalProgress).
+   * @param {string} sessionId - Session ID
+   * @param {string} clientId - Client ID
+   * @param {Array<Object>} progressEntries - Entries with goal, goalId, rating and note
+   * @return {number} Number of entries recorded
+   */
+  static recordGoalProgress(sessionId, clientId, progressEntries) {
+    try {
+      if (!sessionId || !clientId) {
+        throw new Error('Session ID and client ID are required');
+      }
+      
+      if (!Array.isArray(progressEntries) || progressEntries.length === 0) {
+        return 0;
+      }
+      
+      const scores = {};
+      this.getProgressRatings().forEach(rating => {
+        scores[rating.value] = rating.score;
+      });
+      
+      progressEntries.forEach(entry => {
+        if (!entry || !entry.goal || String(entry.goal).trim() === '') {
+          throw new Error('Each progress entry needs a goal');
+        }
+        if (!this.isValidProgressRating(entry.rating)) {
+          throw new Error(`Invalid progress rating "${entry.rating}" for goal "${entry.goal}"`);
+        }
+      });
+      
+      // One rating per goal, identified by goal ID or else goal text
+      const latest = new Map();
+      progressEntries.forEach(entry => {
+        const key = entry.goalId ? `id:${entry.goalId}` : `text:${String(entry.goal).trim()}`;
+        latest.delete(key);
+        latest.set(key, entry);
+      });
+      const entries = [...latest.values()];
+      
+      this.initializeGoalProgressSheet();
+      
+      const progressSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Goal_Progress');
+      const data = progressSheet.getDataRange().getValues();
+      const recordedBy = Session.getActiveUser().getEmail();
+      const now = new Date();
+      
+      entries.forEach(entry => {
+        const goalText = String(entry.goal).trim();
+        const goalId = String(entry.goalId || '');
+        const record = [
+          now,
+          sessionId,
+          clientId,
+          goalText,
+          entry.rating,
+          scores[entry.rating],
+          String(entry.note || '').trim(),
+          recordedBy,
+          goalId,
+          'provisional'
+        ];
+        
+        // Replace an earlier rating of the same goal in this session
+        let existingRow = -1;
+        for (let i = 1; i < data.length; i++) {
+          const sameGoal = goalId ? String(data[i][8]) === goalId : data[i][3] === goalText;
+          if (String(data[i][1]) === String(sessionId) && sameGoal) {
+            existingRow = i + 1;
+            break;
+          }
+        }
+        
+        const targetRow = existingRow > -1 ? existingRow : progressSheet.getLastRow() + 1;
+        progressSheet.getRange(targetRow, 1, 1, record.length).setValues([record]);
+      });
+      
+      this.logGoalChange(clientId, 'PROGRESS', `Rated ${entries.length} goals for session ${sessionId}`);
+      
+      return entries.length;
+      
+    } catch (error) {
+      console.error('Error recording goal progress:', error);
+      throw new Error('Failed to record goal progress: ' + error.message);
+    }
+  }
+  
+  /**
+   * Confirm the provisional progress ratings of a session once it is documented
+   * @param {string} sessionId - Session ID
+   * @return {number} Number of ratings confirmed
+   */
+  static confirmGoalProgress(sessionId) {
+    try {
+      if (!sessionId) {
+        throw new Error('Session ID is required');
+      }
+      
+      this.initializeGoalProgressSheet();
+      
+      const progressSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Goal_Progress');
+      const data = progressSheet.getDataRange().getValues();
+      
+      let confirmed = 0;
+      for (let i = 1; i < data.length; i++) {
+        if (String(data[i][1]) === String(sessionId) && data[i][9] === 'provisional') {
+          progressSheet.getRange(i + 1, 10).setValue('recorded');
+          confirmed++;
+        }
+      }
+      
+      return confirmed;
+      
+    } catch (error) {
+      console.error('Error confirming goal progress:', error);
+      throw new Error('Failed to confirm goal progress: ' + error.message);
+    }
+  }
+  
+  /**
+   * Get progress ratings recorded for a client
+   * Provisional ratings, whose session has not been documented, are left out.
+   * @param {string} clientId - Client ID
+   * @param {string} goalRef - Optional goal ID or goal text to filter by
+   * @return {Array<Object>} Progress entries, oldest first
+   */
+  static getGoalProgress(clientId, goalRef = null) {
+    try {
+      this.initializeGoalProgressSheet();
+      
+      const progressSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Goal_Progress');
+      const data = progressSheet.getDataRange().getValues();
+      
+      const entries = [];
+      
+      // Skip header row and find client's progress entries
+      for (let i = 1; i < data.length; i++) {
+        if (String(data[i][2]) !== String(clientId)) continue;
+        if (data[i][9] === 'provisional') continue;
+        if (goalRef && String(data[i][8]) !== goalRef && data[i][3] !== goalRef) continue;
+        
+        entries.push({
+          date: data[i][0],
+          sessionId: data[i][1],
+          goalId: String(data[i][8] || ''),
+          goal: data[i][3],
+          rating: data[i][4],
+          score: Number(data[i][5]),
+          note: data[i][6],
+          recordedBy: data[i][7]
+        });
+      }
+      
+      return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+      
+    } catch (error) {
+      console.error('Error getting goal progress:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Summarize progress entries into a trend per goal
+   * @param {Array<Object>} progressEntries - Progress entries, oldest first
+   * @return {Array<Object>} Trend summary per goal
+   */
+  static summarizeProgressTrends(progressEntries) {
+    const byGoal = {};
+    
+    progressEntries.forEach(entry => {
+      const key = entry.goalId || entry.goal;
+      if (!byGoal[key]) {
+        byGoal[key] = [];
+      }
+      byGoal[key].push(entry);
+    });
+    
+    return Object.keys(byGoal).map(key => {
+      const entries = byGoal[key];
+      const scores = entries.map(entry => entry.score);
+      const latest = entries[entries.length - 1];
+      const total = scores.reduce((sum, score) => sum + score, 0);
+      
+      return {
+        goalId: latest.goalId,
+        goal: latest.goal,
+        ratingsCount: entries.length,
+        latestRating: latest.rating,
+        latestDate: latest.date,
+        latestNote: latest.note,
+        averageScore: Math.round((total / scores.length) * 100) / 100,
+        trend: calculateProgressTrend(scores)
+      };
+    });
+  }
+  
   /**
    * Log goal changes for audit trail
    * @param {string} clientId - Client ID
@@ -363,27 +751,286 @@ class GoalManagementService {
     }
   }
   
+  /**
+   * Initialize goal progress sheet
+   */
+  static initializeGoalProgressSheet() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    
+    const headers = ['Date', 'Session ID', 'Client ID', 'Goal', 'Rating', 'Score', 'Note', 'Recorded By', 'Goal ID', 'Status'];
+    let progressSheet = spreadsheet.getSheetByName('Goal_Progress');
+    
+    if (!progressSheet) {
+      progressSheet = spreadsheet.insertSheet('Goal_Progress');
+      progressSheet.setFrozenRows(1);
+    } else if (progressSheet.getRange(1, headers.length).getValue() === headers[headers.length - 1]) {
+      return;
+    }
+    
+    // New sheets get all headers; older sheets gain the Goal ID and Status columns
+    progressSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    progressSheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+  }
+  
+  /**
+   * Initialize client goals sheet
+   */
+  static initializeClientGoalsSheet() {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    
+    if (!spreadsheet.getSheetByName('Client_Goals')) {
+      const goalsSheet = spreadsheet.insertSheet('Client_Goals');
+      
+      const headers = [
+        'Goal ID', 'Client ID', 'Text', 'Domain', 'Target Date', 'Baseline',
+        'Objectives', 'Status', 'Sort Order', 'Created Date', 'Completed Date', 'Last Updated'
+      ];
+      goalsSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+      goalsSheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+      goalsSheet.setFrozenRows(1);
+    }
+  }
+  
+  /**
+   * Read a client's goals from the Client_Goals sheet
+   * @param {string} clientId - Client ID
+   * @return {Array<Object>} Goals in sheet order
+   */
+  static readClientGoals(clientId) {
+    this.initializeClientGoalsSheet();
+    
+    const goalsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Client_Goals');
+    const data = goalsSheet.getDataRange().getValues();
+    const goals = [];
+    
+    // Skip header row and find client's goals
+    for (let i = 1; i < data.length; i++) {
+      if (String(data[i][1]) === String(clientId)) {
+        goals.push(this.rowToGoal(data[i]));
+      }
+    }
+    
+    return goals;
+  }
+  
+  /**
+   * Read a client's open goals without migrating the legacy Goals column
+   * A client with no structured goals yet gets the goals migration would create,
+   * so form processing can plan goal changes without writing anything
+   * @param {string} clientId - Client ID
+   * @param {Object} client - Client row, for the legacy Goals column
+   * @return {Array<Object>} Open goals
+   */
+  static readOpenGoals(clientId, client) {
+    let goals = this.readClientGoals(clientId);
+    
+    if (goals.length === 0 && client) {
+      const config = ConfigurationService.getSpreadsheetConfig();
+      goals = GoalModel.fromLegacyString(client[config.CLIENT_GOALS_COLUMN], clientId);
+    }
+    
+    return goals.filter(goal => GoalModel.isOpen(goal));
+  }
+  
+  /**
+   * Convert a Client_Goals row to a goal
+   * @param {Array} row - Sheet row
+   * @return {Object} Goal
+   */
+  static rowToGoal(row) {
+    let objectives = [];
+    try {
+      objectives = row[6] ? JSON.parse(row[6]) : [];
+    } catch (parseError) {
+      console.error(`Invalid objectives JSON for goal ${row[0]}:`, parseError);
+    }
+    
+    return GoalModel.normalize({
+      id: row[0],
+      clientId: row[1],
+      text: row[2],
+      domain: row[3],
+      targetDate: row[4],
+      baseline: row[5],
+      objectives: objectives,
+      status: row[7],
+      sortOrder: row[8],
+      createdDate: row[9],
+      completedDate: row[10],
+      lastUpdated: row[11]
+    });
+  }
+  
+  /**
+   * Insert or update a goal row
+   * @param {Object} goal - Goal to save
+   */
+  static saveGoal(goal) {
+    this.initializeClientGoalsSheet();
+    
+    const goalsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Client_Goals');
+    const data = goalsSheet.getDataRange().getValues();
+    
+    const record = [
+      goal.id,
+      goal.clientId,
+      goal.text,
+      goal.domain,
+      goal.targetDate || '',
+      goal.baseline,
+      JSON.stringify(goal.objectives || []),
+      goal.status,
+      goal.sortOrder,
+      goal.createdDate || new Date(),
+      goal.completedDate || '',
+      new Date()
+    ];
+    
+    let targetRow = goalsSheet.getLastRow() + 1;
+    for (let i = 1; i < data.length; i++) {
+      if (String(data[i][0]) === String(goal.id)) {
+        targetRow = i + 1;
+        break;
+      }
+    }
+    
+    goalsSheet.getRange(targetRow, 1, 1, record.length).setValues([record]);
+  }
+  
+  /**
+   * Delete a goal row
+   * @param {string} goalId - Goal ID
+   */
+  static deleteGoalRow(goalId) {
+    this.initializeClientGoalsSheet();
+    
+    const goalsSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Client_Goals');
+    const data = goalsSheet.getDataRange().getValues();
+    
+    for (let i = 1; i < data.length; i++) {
+      if (String(data[i][0]) === String(goalId)) {
+        goalsSheet.deleteRow(i + 1);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Write the client's open goal texts back to the pipe-delimited Goals column
+   * Keeps form prefill, client lists and statistics working off the Clients sheet
+   * @param {string} clientId - Client ID
+   */
+  static syncGoalsColumn(clientId) {
+    const config = ConfigurationService.getSpreadsheetConfig();
+    const goalTexts = this.readClientGoals(clientId)
+      .filter(goal => GoalModel.isOpen(goal))
+      .sort((a, b) => a.sortOrder - b.sortOrder)
+      .map(goal => goal.text);
+    
+    const updated = ClientService.updateClient(clientId, {
+      [config.CLIENT_GOALS_COLUMN]: PipeDelimitedHelpers.stringify(goalTexts)
+    });
+    
+    if (!updated) {
+      console.error(`Unable to sync Goals column for client ${clientId}`);
+    }
+  }
+  
+  /**
+   * Create structured goals from a client's legacy pipe-delimited Goals column
+   * Only runs for clients without structured goals, so it is safe to repeat.
+   * @param {string} clientId - Client ID
+   * @return {Array<Object>} Goals created
+   */
+  static migrateClientGoals(clientId) {
+    if (this.readClientGoals(clientId).length > 0) {
+      return [];
+    }
+    
+    const client = ClientService.getClientById(clientId);
+    if (!client) {
+      return [];
+    }
+    
+    const config = ConfigurationService.getSpreadsheetConfig();
+    const goals = GoalModel.fromLegacyString(client[config.CLIENT_GOALS_COLUMN], clientId);
+    
+    goals.forEach(goal => this.saveGoal(goal));
+    
+    if (goals.length > 0) {
+      this.logGoalChange(clientId, 'MIGRATED', `Migrated ${goals.length} goals to structured format`);
+    }
+    
+    return goals;
+  }
+  
+  /**
+   * Migrate every client's legacy goals to structured goals
+   * @return {Object} Counts of clients and goals migrated
+   */
+  static migrateAllClientGoals() {
+    const config = ConfigurationService.getSpreadsheetConfig();
+    const result = { clientsMigrated: 0, goalsCreated: 0 };
+    
+    ClientService.getAllClients().forEach(client => {
+      const clientId = client[config.CLIENT_ID_COLUMN];
+      if (!clientId) return;
+      
+      const created = this.migrateClientGoals(clientId);
+      if (created.length > 0) {
+        result.clientsMigrated++;
+        result.goalsCreated += created.length;
+      }
+    });
+    
+    return result;
+  }
+  
   /**
    * Bulk update goals with validation
+   * Goals matching an existing open goal's text keep their ID and details;
+   * open goals left out of the list are removed.
    * @param {string} clientId - Client ID
-   * @param {Array<string>} newGoals - New goals array
-   * @param {string} sheetName - Name of the clients sheet
-   * @return {Array<string>} Updated goals array
+   * @param {Array<string|Object>} newGoals - New goals, as texts or goal fields
+   * @return {Array<Object>} Updated open goals
    */
-  static bulkUpdateGoals(clientId, newGoals, sheetName = 'Clients') {
+  static bulkUpdateGoals(clientId, newGoals) {
     try {
+      const currentGoals = this.getGoals(clientId);
+      const seen = new Set();
+      
       // Validate goals
       const validatedGoals = newGoals
-        .filter(goal => goal && goal.trim() !== '')
-        .map(goal => goal.trim())
-        .filter((goal, index, array) => array.indexOf(goal) === index); // Remove duplicates
+        .map(input => (typeof input === 'string' ? { text: input } : input))
+        .filter(input => input && input.text && String(input.text).trim() !== '')
+        .filter(input => {
+          const key = String(input.text).trim().toLowerCase();
+          if (seen.has(key)) return false; // Remove duplicates
+          seen.add(key);
+          return true;
+        })
+        .map((input, index) => {
+          const existing = GoalModel.find(currentGoals, input.id || String(input.text).trim());
+          const goal = existing ?
+            GoalModel.normalize({ ...existing, ...input, id: existing.id, clientId: clientId, sortOrder: index }) :
+            GoalModel.create({ ...input, id: null, clientId: clientId, sortOrder: index });
+          
+          this.assertValidGoal(goal);
+          return goal;
+        });
       
-      setGoals(clientId, validatedGoals, sheetName);
+      const keptIds = new Set(validatedGoals.map(goal => goal.id));
+      currentGoals
+        .filter(goal => !keptIds.has(goal.id))
+        .forEach(goal => this.deleteGoalRow(goal.id));
+      
+      validatedGoals.forEach(goal => this.saveGoal(goal));
+      this.syncGoalsColumn(clientId);
       
       // Log the change
       this.logGoalChange(clientId, 'BULK_UPDATE', `Updated to ${validatedGoals.length} goals`);
       
-      return validatedGoals;
+      return this.getGoals(clientId);
       
     } catch (error) {
       console.error('Error bulk updating goals:', error);
@@ -401,4 +1048,24 @@ class GoalManagementService {
 function calculateCompletionRate(activeCount, completedCount) {
   const total = activeCount + completedCount;
   return total > 0 ? Math.round((completedCount / total) * 100) : 0;
+}
+
+/**
+ * Helper function to classify a series of progress scores
+ * Compares the latest score with the average of the earlier ones.
+ * @param {Array<number>} scores - Progress scores, oldest first
+ * @return {string} 'improving', 'declining', 'stable' or 'insufficient_data'
+ */
+function calculateProgressTrend(scores) {
+  if (!scores || scores.length < 2) {
+    return 'insufficient_data';
+  }
+  
+  const earlier = scores.slice(0, -1);
+  const earlierAverage = earlier.reduce((sum, score) => sum + score, 0) / earlier.length;
+  const latest = scores[scores.length - 1];
+  
+  if (latest > earlierAverage) return 'improving';
+  if (latest < earlierAverage) return 'declining';
+  return 'stable';
 }
\ No newline at end of file
@@ -0,0 +1,219 @@
+/**
+ * GoalModel.gs
+ * Structured treatment plan goal model
+ * Defines goal and objective shapes, validation, and conversion from legacy goal strings
+ */
+
+const GoalModel = {
+  
+  GOAL_STATUSES: ['active', 'on_hold', 'completed', 'discontinued'],
+  
+  OBJECTIVE_STATUSES: ['not_started', 'in_progress', 'achieved', 'discontinued'],
+  
+  // Suggested domains for the goal dialogs; any non-empty domain is accepted
+  SUGGESTED_DOMAINS: [
+    'anxiety',
+    'depression',
+    'relationships',
+    'trauma',
+    'behavior',
+    'self_esteem',
+    'substance_use',
+    'coping_skills'
+  ],
+  
+  /**
+   * Create a new goal from a goal text or partial goal object
+   * @param {string|Object} input - Goal text or goal fields
+   * @returns {Object} Normalized goal with a new ID
+   */
+  create(input) {
+    const fields = typeof input === 'string' ? { text: input } : { ...input };
+    
+    return this.normalize({
+      ...fields,
+      id: fields.id || this.generateId('G'),
+      status: fields.status || 'active',
+      createdDate: fields.createdDate || new Date()
+    });
+  },
+  
+  /**
+   * Normalize goal fields into the canonical goal shape
+   * @param {Object} goal - Goal fields
+   * @returns {Object} Normalized goal
+   */
+  normalize(goal) {
+    const source = goal || {};
+    
+    return {
+      id: String(source.id || ''),
+      clientId: String(source.clientId || ''),
+      text: String(source.text || '').trim(),
+      domain: String(source.domain || '').trim().toLowerCase(),
+      targetDate: this.normalizeDate(source.targetDate),
+      baseline: String(source.baseline || '').trim(),
+      objectives: (Array.isArray(source.objectives) ? source.objectives : [])
+        .map(objective => this.normalizeObjective(objective)),
+      status: String(source.status || 'active'),
+      sortOrder: Number(source.sortOrder) || 0,
+      createdDate: this.normalizeDate(source.createdDate),
+      completedDate: this.normalizeDate(source.completedDate),
+      lastUpdated: this.normalizeDate(source.lastUpdated)
+    };
+  },
+  
+  /**
+   * Create a new objective from text or partial objective fields
+   * @param {string|Object} input - Objective text or objective fields
+   * @returns {Object} Normalized objective with a new ID
+   */
+  createObjective(input) {
+    const fields = typeof input === 'string' ? { text: input } : { ...input };
+    
+    return this.normalizeObjective({
+      ...fields,
+      id: fields.id || this.generateId('O'),
+      status: fields.status || 'not_started'
+    });
+  },
+  
+  /**
+   * Normalize objective fields into the canonical objective shape
+   * @param {Object} objective - Objective fields
+   * @returns {Object} Normalized objective
+   */
+  normalizeObjective(objective) {
+    const source = typeof objective === 'string' ? { text: objective } : (objective || {});
+    
+    return {
+      id: String(source.id || this.generateId('O')),
+      text: String(source.text || '').trim(),
+      measure: String(source.measure || '').trim(),
+      target: String(source.target || '').trim(),
+      status: String(source.status || 'not_started')
+    };
+  },
+  
+  /**
+   * Validate a goal
+   * @param {Object} goal - Normalized goal
+   * @returns {Object} Validation result with valid flag and errors
+   */
+  validate(goal) {
+    const errors = [];
+    
+    if (!goal || typeof goal !== 'object') {
+      return { valid: false, errors: ['Goal must be an object'] };
+    }
+    
+    if (!goal.text) {
+      errors.push('Goal text cannot be empty');
+    }
+    
+    if (!this.GOAL_STATUSES.includes(goal.status)) {
+      errors.push(`Invalid goal status: ${goal.status}`);
+    }
+    
+    if (goal.targetDate && isNaN(goal.targetDate.getTime())) {
+      errors.push('Target date is not a valid date');
+    }
+    
+    (goal.objectives || []).forEach((objective, index) => {
+      if (!objective.text) {
+        errors.push(`Objective ${index + 1} text cannot be empty`);
+      }
+      if (!this.OBJECTIVE_STATUSES.includes(objective.status)) {
+        errors.push(`Invalid status for objective ${index + 1}: ${objective.status}`);
+      }
+    });
+    
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  },
+  
+  /**
+   * Convert legacy pipe-delimited goal strings into goals
+   * @param {string} goalsString - Pipe-delimited goals cell value
+   * @param {string} clientId - Client ID
+   * @returns {Array<Object>} Active goals in their original order
+   */
+  fromLegacyString(goalsString, clientId) {
+    return PipeDelimitedHelpers.parse(String(goalsString || '')).map((text, index) =>
+      this.create({ text: text, clientId: clientId, sortOrder: index })
+    );
+  },
+  
+  /**
+   * Check whether a goal is still being worked on
+   * @param {Object} goal - Goal
+   * @returns {boolean} True for active and on-hold goals
+   */
+  isOpen(goal) {
+    return goal.status === 'active' || goal.status === 'on_hold';
+  },
+  
+  /**
+   * Find a goal by ID, falling back to exact text for legacy callers
+   * @param {Array<Object>} goals - Goals to search
+   * @param {string} goalRef - Goal ID or goal text
+   * @returns {Object|null} Matching goal or null
+   */
+  find(goals, goalRef) {
+    if (!goalRef) {
+      return null;
+    }
+    
+    const ref = String(goalRef);
+    return goals.find(goal => goal.id === ref) ||
+      goals.find(goal => goal.text === ref.trim()) ||
+      null;
+  },
+  
+  /**
+   * Make a goal safe to return to an HTML dialog
+   * @param {Object} goal - Goal
+   * @returns {Object} Goal with dates as ISO strings
+   */
+  toSerializable(goal) {
+    const toIso = date => (date instanceof Date ? date.toISOString() : '');
+    
+    return {
+      ...goal,
+      objectives: goal.objectives.map(objective => ({ ...objective })),
+      targetDate: toIso(goal.targetDate),
+      createdDate: toIso(goal.createdDate),
+      completedDate: toIso(goal.completedDate),
+      lastUpdated: toIso(goal.lastUpdated)
+    };
+  },
+  
+  /**
+   * Normalize a date value
+   * @param {Date|string} value - Date or date string
+   * @returns {Date|null} Date or null if empty
+   */
+  normalizeDate(value) {
+    if (!value) {
+      return null;
+    }
+    
+    // Date-only strings from date inputs are local dates, not UTC midnight
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return new Date(value + 'T00:00:00');
+    }
+    
+    return value instanceof Date ? value : new Date(value);
+  },
+  
+  /**
+   * Generate a goal or objective ID
+   * @param {string} prefix - 'G' for goals, 'O' for objectives
+   * @returns {string} New ID
+   */
+  generateId(prefix) {
+    return `${prefix}-${Utilities.getUuid().replace(/-/g, '').substring(0, 10)}`;
+  }
+};
@@ -7,6 +7,9 @@
  * Creates custom menu when spreadsheet opens
  */
 function onOpen() {
+  // Upgrades stored configuration from older versions
+  ConfigurationService.initializeConfiguration();
+
   const ui = SpreadsheetApp.getUi();
   ui.createMenu("Therapy Tools")
     .addItem("📋 Document Sessions", "showSessionAppointments")
@@ -15,10 +18,21 @@ function onOpen() {
     .addItem("🎯 Manage Client Goals", "showGoalManagement")
     .addSeparator()
     .addItem("🔧 Setup Form Configuration", "showFormConfiguration")
+    .addItem("🏗️ Build Documentation Form", "buildDocumentationForm")
+    .addItem("🧭 Repair Form Mappings", "repairFormMappings")
+    .addItem("⚡ Enable Automatic Form Processing", "enableFormProcessing")
     .addItem("🔑 Authorize All Permissions", "authorizeAllPermissions")
     .addItem("🔍 Test Calendar Access", "testCalendarAccess")
+    .addItem("📅 Choose Calendars", "showCalendarSettings")
+    .addItem("🧪 Session Detection Rules", "showDetectionRules")
     .addSeparator()
     .addItem("🔄 Sync Form Responses", "syncFormResponses")
+    .addItem("🔎 Preview Form Response Sync", "showSyncPreview")
+    .addItem("📥 Backfill Form Responses", "showFormBackfill")
+    .addItem("🔁 Retry Failed Form Responses", "retryFailedFormResponses")
+    .addItem("🩹 Review Dead-Lettered Responses", "showDeadLetterQueue")
+    .addItem("✅ Review Proposed Client Updates", "showProposedUpdates")
+    .addItem("🗂️ Migrate Client History", "migrateClientHistory")
     .addToUi();
 }
 
@@ -38,7 +52,11 @@ function showSessionAppointments() {
  * Shows the client selector dialog (manual workflow)
  */
 function showClientSelector() {
-  const html = HtmlService.createHtmlOutputFromFile("ClientSelector")
+  const template = HtmlService.createTemplateFromFile("ClientSelector");
+  template.appointment = "null";
+
+  const html = template
+    .evaluate()
     .setWidth(400)
     .setHeight(500)
     .setTitle("Select Client");
@@ -56,16 +74,19 @@ function showClientSelector() {
 function showGoalSelector(sessionData) {
   const template = HtmlService.createTemplateFromFile("GoalSelector");
   template.sessionData = JSON.stringify(sessionData);
+  template.progressRatings = JSON.stringify(
+    GoalManagementService.getProgressRatings()
+  );
 
   const html = template
     .evaluate()
-    .setWidth(450)
-    .setHeight(400)
-    .setTitle("Select Goal");
+    .setWidth(500)
+    .setHeight(520)
+    .setTitle("Select Goals");
 
   SpreadsheetApp.getUi().showModalDialog(
     html,
-    "Document Session - Select Goal"
+    "Document Session - Select Goals"
   );
 }
 
@@ -83,6 +104,11 @@ function showGoalManagement() {
 
   SpreadsheetApp.getUi().showModalDialog(html, "Manage Client Goals");
 }
+
+/**
+ * Shows the goal editor for the client picked in the selector
+ * @param {Object} selectedClient - Client with id and name
+ */
 function showGoalManagementInterface(selectedClient) {
   const template = HtmlService.createTemplateFromFile(
     "GoalManagementInterface"
@@ -91,8 +117,8 @@ function showGoalManagementInterface(selectedClient) {
 
   const html = template
     .evaluate()
-    .setWidth(600)
-    .setHeight(500)
+    .setWidth(760)
+    .setHeight(640)
     .setTitle("Manage Goals - " + selectedClient.name);
 
   SpreadsheetApp.getUi().showModalDialog(html, "Goal Management");
@@ -103,13 +129,194 @@ function showGoalManagementInterface(selectedClient) {
  */
 function showFormConfiguration() {
   const html = HtmlService.createHtmlOutputFromFile("FormConfiguration")
-    .setWidth(500)
-    .setHeight(400)
+    .setWidth(720)
+    .setHeight(640)
     .setTitle("Form Configuration");
 
   SpreadsheetApp.getUi().showModalDialog(html, "Setup Google Form Integration");
 }
 
+/**
+ * Creates or updates the documentation form from the field schema
+ * and stores the resulting form ID and entry IDs in the configuration
+ */
+function buildDocumentationForm() {
+  const ui = SpreadsheetApp.getUi();
+  const existingFormId = ConfigurationService.getFormId();
+
+  const confirmation = ui.alert(
+    "Build Documentation Form",
+    existingFormId
+      ? "Update the configured Google Form to match the documentation fields? Existing questions are kept and their responses are preserved."
+      : "Create a new Google Form with all documentation fields and configure it for this spreadsheet?",
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmation !== ui.Button.YES) {
+    return;
+  }
+
+  const result = FormBuilderService.buildForm(existingFormId);
+
+  if (!result.success) {
+    ui.alert(
+      "Form Build Failed",
+      "Could not build the documentation form: " + result.error,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  let message = result.formCreated
+    ? "A new documentation form was created.\n\n"
+    : "The documentation form was updated.\n\n";
+  message += `Questions created: ${result.created.length}\n`;
+  message += `Questions updated: ${result.updated.length}\n`;
+
+  if (result.skipped.length > 0) {
+    message += `Questions left unchanged (different question type): ${result.skipped.join(
+      ", "
+    )}\n`;
+  }
+
+  // Keep the submit trigger attached to the form that was just built
+  const triggerInstalled = FormDataPersistence.setupFormSubmissionTrigger(
+    result.formId
+  );
+  if (!triggerInstalled) {
+    message +=
+      '\nAutomatic processing could not be enabled. Use "Enable Automatic Form Processing" to retry.\n';
+  }
+
+  message += `\nForm ID: ${result.formId}\n`;
+  message += `Edit the form: ${result.editUrl}`;
+
+  ui.alert("Documentation Form Ready", message, ui.ButtonSet.OK);
+}
+
+/**
+ * Installs the form-submit trigger for the configured form so each
+ * response updates client data as soon as it is submitted
+ */
+function enableFormProcessing() {
+  const ui = SpreadsheetApp.getUi();
+  const formId = ConfigurationService.getFormId();
+
+  if (!formId) {
+    ui.alert(
+      "Configuration Required",
+      "Please configure your Google Form ID first.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  if (FormDataPersistence.setupFormSubmissionTrigger(formId)) {
+    ui.alert(
+      "Automatic Processing Enabled",
+      "Form responses will now update client data when they are submitted. " +
+        "An hourly check also picks up any responses that were missed.",
+      ui.ButtonSet.OK
+    );
+  } else {
+    ui.alert(
+      "Setup Failed",
+      "Could not install the form submission trigger. Check the execution log for details.",
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Re-discovers form entry IDs from the live form's question titles,
+ * shows the differences from the current configuration and applies them on confirmation
+ */
+function repairFormMappings() {
+  const ui = SpreadsheetApp.getUi();
+  const formId = ConfigurationService.getFormId();
+
+  if (!formId) {
+    ui.alert(
+      "Configuration Required",
+      'No documentation form is configured. Use "Build Documentation Form" to create one.',
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const discovery = FormMappingService.discoverMappings(formId);
+
+  if (!discovery) {
+    ui.alert(
+      "Mapping Discovery Failed",
+      "Could not read the documentation form. Check that the form exists and you have edit access.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const changes = discovery.proposals.filter(
+    (proposal) => proposal.status === "new" || proposal.status === "changed"
+  );
+  const problems = discovery.proposals.filter(
+    (proposal) => proposal.status === "broken" || proposal.status === "suspect"
+  );
+
+  if (changes.length === 0) {
+    FormMappingService.applyMappings(discovery, []);
+
+    let message = "All field mappings match the form.";
+    if (problems.length > 0) {
+      message +=
+        "\n\nNo matching question was found for: " +
+        problems.map((proposal) => proposal.fieldTitle).join(", ");
+    }
+
+    ui.alert("Form Mappings", message, ui.ButtonSet.OK);
+    return;
+  }
+
+  let message = "Proposed mapping changes:\n\n";
+  changes.forEach((proposal) => {
+    message += `${proposal.fieldTitle}: ${
+      proposal.currentEntryId || "(not mapped)"
+    } → ${proposal.proposedEntryId}\n`;
+    message += `    "${proposal.itemTitle}" – ${Math.round(
+      proposal.confidence * 100
+    )}% (${proposal.reason})\n`;
+  });
+
+  if (problems.length > 0) {
+    message +=
+      "\nNo matching question was found for: " +
+      problems.map((proposal) => proposal.fieldTitle).join(", ") +
+      "\n";
+  }
+
+  message += "\nApply these changes?";
+
+  if (
+    ui.alert("Repair Form Mappings", message, ui.ButtonSet.YES_NO) !==
+    ui.Button.YES
+  ) {
+    return;
+  }
+
+  if (FormMappingService.applyMappings(discovery)) {
+    ui.alert(
+      "Form Mappings Updated",
+      `Updated ${changes.length} field mapping${changes.length === 1 ? "" : "s"}.`,
+      ui.ButtonSet.OK
+    );
+  } else {
+    ui.alert(
+      "Update Failed",
+      "The field mappings could not be saved.",
+      ui.ButtonSet.OK
+    );
+  }
+}
+
 /**
  * Test calendar access for troubleshooting
  */
@@ -163,7 +370,7 @@ function generateSessionForm(sessionData) {
       <div style="padding: 20px; font-family: Arial, sans-serif;">
         <h3>Session Form Ready</h3>
         <p><strong>Client:</strong> ${sessionData.client.name}</p>
-        <p><strong>Goal:</strong> ${sessionData.goal}</p>
+        <p><strong>Goals:</strong> ${formatSelectedGoals(sessionData)}</p>
         <p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>
         <br>
         <a href="${formUrl}" target="_blank" style="
@@ -187,15 +394,16 @@ function generateSessionForm(sessionData) {
     `
     )
       .setWidth(400)
-      .setHeight(250)
+      .setHeight(300)
       .setTitle("Session Form Generated");
 
     SpreadsheetApp.getUi().showModalDialog(html, "Ready to Document");
 
-    // Record the session if we have appointment data
-    if (sessionData.appointmentId) {
-      recordSessionStart(sessionData);
-    }
+    // Record the session, linked to its appointment when there is one
+    const appointmentId =
+      sessionData.appointmentId ||
+      (sessionData.appointment && sessionData.appointment.id);
+    recordSessionStart({ ...sessionData, appointmentId, formUrl });
   } catch (error) {
     SpreadsheetApp.getUi().alert(
       "Error",
@@ -205,19 +413,70 @@ function generateSessionForm(sessionData) {
   }
 }
 
+/**
+ * Format the selected goals and their progress ratings for display
+ * @param {Object} sessionData - Session data with goal and optional goals array
+ * @return {string} HTML-safe goal summary
+ */
+function formatSelectedGoals(sessionData) {
+  const escape = (text) =>
+    String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+
+  if (!Array.isArray(sessionData.goals) || sessionData.goals.length === 0) {
+    return escape(sessionData.goal);
+  }
+
+  const labels = {};
+  GoalManagementService.getProgressRatings().forEach((rating) => {
+    labels[rating.value] = rating.label;
+  });
+
+  return sessionData.goals
+    .map(
+      (entry) =>
+        `${escape(entry.goal)} <em>(${escape(
+          labels[entry.rating] || entry.rating
+        )})</em>`
+    )
+    .join("<br>");
+}
+
 /**
  * Record session start for tracking
  * @param {Object} sessionData - Session data
+ * @return {string|null} Session ID or null if not recorded
  */
 function recordSessionStart(sessionData) {
   try {
     // Record session with tracking service if available
-    if (typeof recordSession !== "undefined") {
-      recordSession(sessionData);
+    if (typeof recordSession === "undefined") {
+      return null;
+    }
+
+    const sessionId = recordSession(sessionData);
+
+    // Link per-goal progress ratings to the session; they stay provisional
+    // until the session's form response is processed
+    if (
+      sessionId &&
+      Array.isArray(sessionData.goals) &&
+      sessionData.goals.length > 0
+    ) {
+      GoalManagementService.recordGoalProgress(
+        sessionId,
+        sessionData.client.id,
+        sessionData.goals
+      );
     }
+
+    return sessionId;
   } catch (error) {
     console.error("Error recording session:", error);
     // Don't block the main flow if tracking fails
+    return null;
   }
 }
 
@@ -266,15 +525,20 @@ function syncFormResponses() {
     SpreadsheetApp.getUi().showModalDialog(html, "Sync in Progress");
 
     // Perform the sync
-    let syncCount = 0;
-    if (typeof syncExistingResponses !== "undefined") {
-      syncCount = syncExistingResponses(config.FORM_ID, 7); // Last 7 days
-    }
+    const syncCount = syncExistingResponses(config.FORM_ID, 7); // Last 7 days
+    const progress = FormBackfillService.getProgress();
 
     // Show completion message
+    let message = `Successfully synced ${syncCount} form responses.`;
+    if (progress && progress.status === FormBackfillService.STATUS.RUNNING) {
+      message +=
+        " The remaining responses are being synced in the background;" +
+        ' follow progress in "Backfill Form Responses".';
+    }
+
     SpreadsheetApp.getUi().alert(
       "Sync Complete",
-      `Successfully synced ${syncCount} form responses.`,
+      message,
       SpreadsheetApp.getUi().ButtonSet.OK
     );
   } catch (error) {
@@ -285,3 +549,152 @@ function syncFormResponses() {
     );
   }
 }
+
+/**
+ * Re-runs form responses that failed to process, leaving processed responses untouched
+ */
+function retryFailedFormResponses() {
+  const ui = SpreadsheetApp.getUi();
+  const result = FormDataPersistence.retryFailedResponses();
+
+  if (result.error) {
+    ui.alert(
+      "Retry Failed",
+      "Could not retry failed responses: " + result.error,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  if (result.retried === 0) {
+    ui.alert(
+      "Nothing to Retry",
+      "No form responses are waiting to be retried.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  let message = `Responses retried: ${result.retried}\n`;
+  message += `Now processed: ${result.succeeded}\n`;
+  message += `Still failing: ${result.failed}`;
+
+  if (result.failed > 0) {
+    message +=
+      '\n\nResponses that keep failing are moved to "Review Dead-Lettered Responses" after ' +
+      FormResponseLedger.MAX_ATTEMPTS +
+      " attempts.";
+  }
+
+  ui.alert("Retry Complete", message, ui.ButtonSet.OK);
+}
+
+/**
+ * Shows responses that exhausted their retries so they can be edited and replayed
+ */
+function showDeadLetterQueue() {
+  const html = HtmlService.createHtmlOutputFromFile("DeadLetterQueue")
+    .setWidth(720)
+    .setHeight(620)
+    .setTitle("Failed Form Responses");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Failed Form Responses");
+}
+
+/**
+ * Shows client changes staged by "propose" update rules for approval
+ */
+function showProposedUpdates() {
+  const html = HtmlService.createHtmlOutputFromFile("ProposedUpdates")
+    .setWidth(720)
+    .setHeight(620)
+    .setTitle("Proposed Client Updates");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Proposed Client Updates");
+}
+
+/**
+ * Shows what syncing form responses would change before anything is written
+ */
+function showSyncPreview() {
+  const html = HtmlService.createHtmlOutputFromFile("SyncPreview")
+    .setWidth(760)
+    .setHeight(640)
+    .setTitle("Preview Form Response Sync");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Preview Form Response Sync");
+}
+
+/**
+ * Shows the historical backfill dialog for applying older form responses by date range
+ */
+function showFormBackfill() {
+  const html = HtmlService.createHtmlOutputFromFile("FormBackfill")
+    .setWidth(520)
+    .setHeight(520)
+    .setTitle("Backfill Form Responses");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Backfill Form Responses");
+}
+
+/**
+ * One-time move of pipe-delimited history cells into the Client_History sheet
+ */
+function migrateClientHistory() {
+  const ui = SpreadsheetApp.getUi();
+  const columns = ClientHistoryService.getHistoryColumns();
+
+  const confirmation = ui.alert(
+    "Migrate Client History",
+    `Move every dated entry in ${columns.join(", ")} into the ${ClientHistoryService.SHEET_NAME} sheet? ` +
+      "Each entry becomes its own row and the client cells are cleared.",
+    ui.ButtonSet.YES_NO
+  );
+
+  if (confirmation !== ui.Button.YES) {
+    return;
+  }
+
+  const result = ClientHistoryService.migrateHistoryCells(columns);
+
+  let message = `Clients migrated: ${result.clients}\n`;
+  message += `History entries moved: ${result.entries}`;
+
+  if (result.error) {
+    ui.alert(
+      "Migration Incomplete",
+      message +
+        "\n\nMigration stopped: " +
+        result.error +
+        "\nRun it again to migrate the remaining clients; entries already moved are not copied twice.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  ui.alert("Migration Complete", message, ui.ButtonSet.OK);
+}
+
+/**
+ * Shows the calendar picker with per-calendar session detection rules
+ */
+function showCalendarSettings() {
+  const html = HtmlService.createHtmlOutputFromFile("CalendarSettings")
+    .setWidth(620)
+    .setHeight(600)
+    .setTitle("Choose Calendars");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Choose Calendars");
+}
+
+/**
+ * Shows the dialog for editing and testing the session detection rules
+ */
+function showDetectionRules() {
+  const html = HtmlService.createHtmlOutputFromFile("DetectionRules")
+    .setWidth(680)
+    .setHeight(640)
+    .setTitle("Session Detection Rules");
+
+  SpreadsheetApp.getUi().showModalDialog(html, "Session Detection Rules");
+}
@@ -2,10 +2,46 @@
  * PipeDelimitedHelpers.gs
  * Generic utilities for handling pipe-delimited data
  * Provides safe handling of data containing commas, quotes, and special characters
+ * Items may contain pipes: a pipe inside an item is written as "\|" and a
+ * backslash as "\\". Any other backslash is read as written, so data stored
+ * before escaping was supported reads unchanged.
+ * Items can also hold small records whose fields are joined by a schema-defined
+ * separator, escaped the same way; see RECORD_SCHEMAS.
  */
 
 const PipeDelimitedHelpers = {
   
+  DELIMITER: '|',
+  ESCAPE_CHAR: '\\',
+  
+  // Field types a record schema can use
+  RECORD_FIELD_TYPES: ['string', 'number', 'date', 'enum'],
+  
+  // Date format used for date fields that do not set their own
+  DEFAULT_RECORD_DATE_FORMAT: 'yyyy-MM-dd',
+  
+  /**
+   * Record schemas for list columns
+   * A schema lists its fields in serialized order, each with a name, a type from
+   * RECORD_FIELD_TYPES, optional required flag, enum values and date format.
+   * Trailing empty fields are left out when a record is written. legacyPatterns
+   * read items written before records were supported, mapping capture groups to fields.
+   */
+  RECORD_SCHEMAS: {
+    // Dated note, e.g. a session or medical history entry: "2024-01-09;note;author"
+    DATED_ENTRY: {
+      separator: ';',
+      fields: [
+        { name: 'date', type: 'date', required: true },
+        { name: 'text', type: 'string', required: true },
+        { name: 'author', type: 'string' }
+      ],
+      legacyPatterns: [
+        { pattern: /^\[([^\]]*)\]\s*([\s\S]*)$/, fields: ['date', 'text'] }
+      ]
+    }
+  },
+  
   /**
    * Parse pipe-delimited string into array
    * @param {string} data - Pipe-delimited string
@@ -18,7 +54,7 @@ const PipeDelimitedHelpers = {
         return [];
       }
       
-      const items = data.split('|');
+      const items = this.tokenize(data).items;
       return trim ? items.map(item => item.trim()).filter(item => item.length > 0) : items;
     } catch (error) {
       Logger.log('Error parsing pipe-delimited data: ' + error.toString());
@@ -42,13 +78,61 @@ const PipeDelimitedHelpers = {
         items.map(item => String(item).trim()).filter(item => item.length > 0) : 
         items.map(item => String(item));
       
-      return processedItems.join('|');
+      return processedItems.map(item => this.escapeItem(item)).join(this.DELIMITER);
     } catch (error) {
       Logger.log('Error stringifying to pipe-delimited: ' + error.toString());
       return '';
     }
   },
   
+  /**
+   * Split a pipe-delimited string on its unescaped pipes and unescape each item
+   * @param {string} data - Pipe-delimited string
+   * @param {string} delimiter - Delimiter to split on; record fields use their schema's separator
+   * @returns {Object} Untrimmed items, with counts of escape sequences and of
+   *   backslashes that were not part of one
+   */
+  tokenize(data, delimiter = this.DELIMITER) {
+    const items = [];
+    let current = '';
+    let escapes = 0;
+    let loneBackslashes = 0;
+    
+    for (let i = 0; i < data.length; i++) {
+      const char = data[i];
+      const next = data[i + 1];
+      
+      if (char === this.ESCAPE_CHAR && (next === delimiter || next === this.ESCAPE_CHAR)) {
+        current += next;
+        escapes++;
+        i++;
+      } else if (char === delimiter) {
+        items.push(current);
+        current = '';
+      } else {
+        if (char === this.ESCAPE_CHAR) {
+          loneBackslashes++;
+        }
+        current += char;
+      }
+    }
+    items.push(current);
+    
+    return { items: items, escapes: escapes, loneBackslashes: loneBackslashes };
+  },
+  
+  /**
+   * Escape the pipes and backslashes in an item
+   * @param {string} item - Item text
+   * @param {string} delimiter - Delimiter to escape; record fields use their schema's separator
+   * @returns {string} Escaped item
+   */
+  escapeItem(item, delimiter = this.DELIMITER) {
+    return String(item)
+      .split(this.ESCAPE_CHAR).join(this.ESCAPE_CHAR + this.ESCAPE_CHAR)
+      .split(delimiter).join(this.ESCAPE_CHAR + delimiter);
+  },
+  
   /**
    * Add item to pipe-delimited string
    * @param {string} data - Existing pipe-delimited string
@@ -271,21 +355,25 @@ const PipeDelimitedHelpers = {
   
   /**
    * Validate pipe-delimited string format
+   * Warnings flag content that may not read as intended but is not invalid,
+   * such as escape sequences next to backslashes written before escaping was supported
    * @param {string} data - Pipe-delimited string
    * @returns {Object} Validation result
    */
   validate(data) {
     try {
       if (!data) {
-        return { valid: true, itemCount: 0, issues: [] };
+        return { valid: true, itemCount: 0, issues: [], warnings: [] };
       }
       
       if (typeof data !== 'string') {
-        return { valid: false, itemCount: 0, issues: ['Data must be a string'] };
+        return { valid: false, itemCount: 0, issues: ['Data must be a string'], warnings: [] };
       }
       
+      const tokens = this.tokenize(data);
       const items = this.parse(data);
       const issues = [];
+      const warnings = [];
       
       // Check for empty items
       const emptyItems = items.filter(item => item.trim() === '');
@@ -307,15 +395,25 @@ const PipeDelimitedHelpers = {
         issues.push(`Found ${problematicItems.length} items with line breaks or tabs`);
       }
       
+      // Unescaped backslashes mean the data was not written by stringify, so its
+      // "\|" and "\\" may have been meant literally rather than as escapes
+      if (tokens.loneBackslashes > 0 && tokens.escapes > 0) {
+        warnings.push(
+          `Found ${tokens.escapes} escape sequences alongside ${tokens.loneBackslashes} unescaped backslashes; ` +
+          'items containing backslashes may not read as intended'
+        );
+      }
+      
       return {
         valid: issues.length === 0,
         itemCount: items.length,
         uniqueItemCount: uniqueItems.length,
-        issues: issues
+        issues: issues,
+        warnings: warnings
       };
     } catch (error) {
       Logger.log('Error validating pipe-delimited data: ' + error.toString());
-      return { valid: false, itemCount: 0, issues: ['Validation error: ' + error.message] };
+      return { valid: false, itemCount: 0, issues: ['Validation error: ' + error.message], warnings: [] };
     }
   },
   
@@ -364,5 +462,273 @@ const PipeDelimitedHelpers = {
       Logger.log('Error cleaning pipe-delimited data: ' + error.toString());
       return data || '';
     }
+  },
+  
+  /**
+   * Write a record as a single item
+   * @param {Object} record - Field values by name
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {string} Item text, unescaped at the pipe level like any other item
+   */
+  formatRecord(record, schema) {
+    this.checkRecordSchema(schema);
+    
+    const errors = [];
+    const parts = schema.fields.map(field => {
+      const value = record ? record[field.name] : null;
+      
+      if (this.isEmptyField(value)) {
+        if (field.required) {
+          errors.push(`${field.name} is required`);
+        }
+        return '';
+      }
+      
+      const converted = this.convertRecordField(value, field);
+      if (converted.error) {
+        errors.push(converted.error);
+        return '';
+      }
+      
+      return this.escapeItem(this.formatRecordField(converted.value, field), schema.separator);
+    });
+    
+    if (errors.length > 0) {
+      throw new Error('Invalid record: ' + errors.join(', '));
+    }
+    
+    // Optional fields at the end are left out rather than written empty
+    while (parts.length > 1 && parts[parts.length - 1] === '') {
+      parts.pop();
+    }
+    
+    return parts.join(schema.separator);
+  },
+  
+  /**
+   * Read a record from a single item
+   * @param {string} item - Item text
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {Object|null} Field values by name, or null if the item does not match the schema
+   */
+  parseRecord(item, schema) {
+    try {
+      const decoded = this.decodeRecord(item, schema);
+      return decoded.errors.length === 0 ? decoded.record : null;
+    } catch (error) {
+      Logger.log('Error parsing pipe-delimited record: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Convert records to a pipe-delimited string
+   * @param {Array<Object>} records - Records
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {string} Pipe-delimited string
+   */
+  stringifyRecords(records, schema) {
+    if (!Array.isArray(records)) {
+      return '';
+    }
+    
+    return this.stringify(records.map(record => this.formatRecord(record, schema)));
+  },
+  
+  /**
+   * Parse a pipe-delimited string of records
+   * Items that do not match the schema are left out; validateRecords reports them
+   * @param {string} data - Pipe-delimited string
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {Array<Object>} Records
+   */
+  parseRecords(data, schema) {
+    return this.parse(data)
+      .map(item => this.parseRecord(item, schema))
+      .filter(record => record);
+  },
+  
+  /**
+   * Validate a pipe-delimited string of records
+   * @param {string} data - Pipe-delimited string
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {Object} Validation result as for validate, with a count of valid records
+   */
+  validateRecords(data, schema) {
+    try {
+      this.checkRecordSchema(schema);
+      
+      const result = this.validate(data);
+      const issues = [...result.issues];
+      let recordCount = 0;
+      
+      this.parse(typeof data === 'string' ? data : '').forEach((item, index) => {
+        const errors = this.decodeRecord(item, schema).errors;
+        
+        if (errors.length > 0) {
+          issues.push(`Item ${index + 1}: ${errors.join(', ')}`);
+        } else {
+          recordCount++;
+        }
+      });
+      
+      return {
+        ...result,
+        valid: issues.length === 0,
+        recordCount: recordCount,
+        issues: issues
+      };
+    } catch (error) {
+      Logger.log('Error validating pipe-delimited records: ' + error.toString());
+      return { valid: false, itemCount: 0, recordCount: 0, issues: ['Validation error: ' + error.message], warnings: [] };
+    }
+  },
+  
+  /**
+   * Decode an item against a schema, collecting every problem
+   * @param {string} item - Item text
+   * @param {Object} schema - Record schema, see RECORD_SCHEMAS
+   * @returns {Object} record (field values by name) and errors
+   */
+  decodeRecord(item, schema) {
+    this.checkRecordSchema(schema);
+    
+    const text = String(item || '').trim();
+    const legacy = (schema.legacyPatterns || [])
+      .map(({ pattern, fields }) => ({ match: text.match(pattern), fields: fields }))
+      .find(({ match }) => match);
+    
+    const raw = {};
+    if (legacy) {
+      legacy.fields.forEach((name, index) => {
+        raw[name] = legacy.match[index + 1];
+      });
+    } else {
+      const parts = this.tokenize(text, schema.separator).items;
+      
+      if (parts.length > schema.fields.length) {
+        return { record: {}, errors: [`expected at most ${schema.fields.length} fields, found ${parts.length}`] };
+      }
+      schema.fields.forEach((field, index) => {
+        raw[field.name] = parts[index];
+      });
+    }
+    
+    const record = {};
+    const errors = [];
+    
+    schema.fields.forEach(field => {
+      const value = raw[field.name] === undefined ? '' : String(raw[field.name]).trim();
+      
+      if (value === '') {
+        if (field.required) {
+          errors.push(`${field.name} is required`);
+        }
+        record[field.name] = field.type === 'string' ? '' : null;
+        return;
+      }
+      
+      const converted = this.convertRecordField(value, field);
+      if (converted.error) {
+        errors.push(converted.error);
+      }
+      record[field.name] = converted.value;
+    });
+    
+    return { record: record, errors: errors };
+  },
+  
+  /**
+   * Convert a field value to its schema type
+   * @param {any} value - Field value or its text
+   * @param {Object} field - Schema field
+   * @returns {Object} Converted value, and an error message if it is not valid
+   */
+  convertRecordField(value, field) {
+    switch (field.type) {
+      case 'number': {
+        const number = Number(value);
+        return isNaN(number) ?
+          { value: null, error: `${field.name} "${value}" is not a number` } :
+          { value: number };
+      }
+      
+      case 'date': {
+        const date = value instanceof Date ? value : this.parseRecordDate(String(value));
+        return isNaN(date.getTime()) ?
+          { value: null, error: `${field.name} "${value}" is not a valid date` } :
+          { value: date };
+      }
+      
+      case 'enum':
+        return field.values.includes(String(value)) ?
+          { value: String(value) } :
+          { value: String(value), error: `${field.name} must be one of: ${field.values.join(', ')}` };
+      
+      default:
+        return { value: String(value) };
+    }
+  },
+  
+  /**
+   * Write a converted field value as text
+   * @param {any} value - Converted field value
+   * @param {Object} field - Schema field
+   * @returns {string} Field text
+   */
+  formatRecordField(value, field) {
+    if (field.type === 'date') {
+      return Utilities.formatDate(value, Session.getScriptTimeZone(), field.format || this.DEFAULT_RECORD_DATE_FORMAT);
+    }
+    
+    return String(value).trim();
+  },
+  
+  /**
+   * Parse a date field
+   * Dates in the default yyyy-MM-dd format are read in the script time zone rather than as UTC
+   * @param {string} text - Date text
+   * @returns {Date} Date, invalid if the text is not a date
+   */
+  parseRecordDate(text) {
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    
+    return match ?
+      new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) :
+      new Date(text);
+  },
+  
+  /**
+   * Check whether a record field has no value
+   * @param {any} value - Field value
+   * @returns {boolean} True if empty
+   */
+  isEmptyField(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  },
+  
+  /**
+   * Check that a record schema can be used to read and write items
+   * @param {Object} schema - Record schema
+   */
+  checkRecordSchema(schema) {
+    if (!schema || !Array.isArray(schema.fields) || schema.fields.length === 0) {
+      throw new Error('Record schema must list its fields');
+    }
+    
+    const separator = schema.separator;
+    if (typeof separator !== 'string' || separator.length !== 1 ||
+        separator === this.DELIMITER || separator === this.ESCAPE_CHAR) {
+      throw new Error('Record separator must be a single character other than "|" and "\\"');
+    }
+    
+    schema.fields.forEach(field => {
+      if (!field.name || !this.RECORD_FIELD_TYPES.includes(field.type)) {
+        throw new Error(`Record field ${field.name || '(unnamed)'} must have a name and a type from: ${this.RECORD_FIELD_TYPES.join(', ')}`);
+      }
+      if (field.type === 'enum' && !Array.isArray(field.values)) {
+        throw new Error(`Record field ${field.name} must list its values`);
+      }
+    });
   }
 };
\ No newline at end of file
@@ -0,0 +1,295 @@
+/**
+ * ProposedUpdateService.gs
+ * Client record changes staged by the 'propose' update strategy
+ * A clinician approves or rejects each change before it is written to the client
+ */
+
+const ProposedUpdateService = {
+  
+  SHEET_NAME: 'Proposed_Client_Updates',
+  
+  // Proposal columns, in sheet order
+  HEADERS: [
+    'Proposal_ID',
+    'Created',
+    'Client_ID',
+    'Field_Key',
+    'Column',
+    'Current_Value',
+    'Proposed_Value',
+    'Form_Response_ID',
+    'Status',
+    'Reviewed_By',
+    'Reviewed_Date'
+  ],
+  
+  STATUS: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    WITHDRAWN: 'withdrawn'
+  },
+  
+  /**
+   * Get or create the proposals sheet
+   * @returns {GoogleAppsScript.Spreadsheet.Sheet} Proposals sheet
+   */
+  getProposalsSheet() {
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      let sheet = ss.getSheetByName(this.SHEET_NAME);
+      
+      if (!sheet) {
+        sheet = ss.insertSheet(this.SHEET_NAME);
+        
+        // Set up headers
+        const headers = this.HEADERS;
+        
+        sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+        sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+        sheet.setFrozenRows(1);
+      }
+      
+      return sheet;
+    } catch (error) {
+      Logger.log('Error getting proposals sheet: ' + error.toString());
+      throw new Error('Unable to access proposed client updates');
+    }
+  },
+  
+  /**
+   * Stage a change to a client column
+   * Re-proposing with the ID of a pending proposal updates it in place
+   * @param {Object} proposal - clientId, fieldKey, column, currentValue, proposedValue, responseId
+   * @param {string} proposalId - Optional ID of a pending proposal to update
+   * @returns {string|null} Proposal ID or null on error
+   */
+  propose(proposal, proposalId = null) {
+    try {
+      if (!proposal || !proposal.clientId || !proposal.column) {
+        throw new Error('Client ID and column are required');
+      }
+      
+      const existing = proposalId ? this.getProposal(proposalId) : null;
+      const reuse = existing && existing.status === this.STATUS.PENDING;
+      
+      const record = {
+        proposalId: reuse ? existing.proposalId : Utilities.getUuid(),
+        created: reuse ? existing.created : new Date(),
+        clientId: String(proposal.clientId),
+        fieldKey: proposal.fieldKey || '',
+        column: proposal.column,
+        currentValue: this.toCellValue(proposal.currentValue),
+        proposedValue: this.toCellValue(proposal.proposedValue),
+        responseId: proposal.responseId || '',
+        status: this.STATUS.PENDING,
+        reviewedBy: '',
+        reviewedDate: ''
+      };
+      
+      this.writeRecord(record, reuse ? existing : null);
+      
+      return record.proposalId;
+    } catch (error) {
+      Logger.log('Error proposing client update: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Get proposals, optionally filtered by status and client
+   * @param {Object} options - Optional filters: status, clientId
+   * @returns {Array<Object>} Proposals, oldest first
+   */
+  getProposals(options = {}) {
+    try {
+      const data = this.getProposalsSheet().getDataRange().getValues();
+      
+      if (data.length <= 1) {
+        return [];
+      }
+      
+      const headers = data[0];
+      
+      return data.slice(1)
+        .map((row, index) => ({ ...this.toRecord(headers, row), rowIndex: index + 2 }))
+        .filter(record => record.proposalId)
+        .filter(record => !options.status || record.status === options.status)
+        .filter(record => !options.clientId || record.clientId === String(options.clientId));
+    } catch (error) {
+      Logger.log('Error getting proposed client updates: ' + error.toString());
+      return [];
+    }
+  },
+  
+  /**
+   * Get a single proposal
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object|null} Proposal or null
+   */
+  getProposal(proposalId) {
+    return this.getProposals().find(record => record.proposalId === String(proposalId)) || null;
+  },
+  
+  /**
+   * Write an approved proposal to the client record
+   * @param {string} proposalId - Proposal ID
+   * @param {string} value - Optional value to write instead of the proposed one
+   * @returns {boolean} Success status
+   */
+  approve(proposalId, value = null) {
+    try {
+      const record = this.getPendingProposal(proposalId);
+      const finalValue = value !== null && value !== undefined ? value : record.proposedValue;
+      
+      if (!ClientService.updateClient(record.clientId, { [record.column]: finalValue })) {
+        throw new Error(`Could not update client ${record.clientId}`);
+      }
+      
+      this.review(record, this.STATUS.APPROVED, { proposedValue: finalValue });
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error approving client update: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Reject a proposal without changing the client record
+   * @param {string} proposalId - Proposal ID
+   * @returns {boolean} Success status
+   */
+  reject(proposalId) {
+    try {
+      this.review(this.getPendingProposal(proposalId), this.STATUS.REJECTED);
+      return true;
+    } catch (error) {
+      Logger.log('Error rejecting client update: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Withdraw a pending proposal whose answer was removed from its form response
+   * @param {string} proposalId - Proposal ID
+   * @returns {boolean} Success status
+   */
+  withdraw(proposalId) {
+    try {
+      const record = this.getProposal(proposalId);
+      
+      if (record && record.status === this.STATUS.PENDING) {
+        this.review(record, this.STATUS.WITHDRAWN);
+      }
+      
+      return true;
+    } catch (error) {
+      Logger.log('Error withdrawing client update: ' + error.toString());
+      return false;
+    }
+  },
+  
+  /**
+   * Get a proposal that is still waiting for review
+   * @param {string} proposalId - Proposal ID
+   * @returns {Object} Pending proposal
+   */
+  getPendingProposal(proposalId) {
+    const record = this.getProposal(proposalId);
+    
+    if (!record) {
+      throw new Error(`No proposed update with ID ${proposalId}`);
+    }
+    
+    if (record.status !== this.STATUS.PENDING) {
+      throw new Error(`Proposed update ${proposalId} has already been ${record.status}`);
+    }
+    
+    return record;
+  },
+  
+  /**
+   * Record the outcome of a review
+   * @param {Object} record - Proposal
+   * @param {string} status - New status
+   * @param {Object} changes - Other fields to update
+   */
+  review(record, status, changes = {}) {
+    this.writeRecord({
+      ...record,
+      ...changes,
+      status: status,
+      reviewedBy: Session.getActiveUser().getEmail(),
+      reviewedDate: new Date()
+    }, record);
+  },
+  
+  /**
+   * Write a proposal to its existing row, or append it
+   * @param {Object} record - Proposal
+   * @param {Object} existing - Existing proposal with rowIndex, if any
+   */
+  writeRecord(record, existing) {
+    const sheet = this.getProposalsSheet();
+    const rowData = [
+      record.proposalId,
+      record.created,
+      record.clientId,
+      record.fieldKey,
+      record.column,
+      record.currentValue,
+      record.proposedValue,
+      record.responseId,
+      record.status,
+      record.reviewedBy,
+      record.reviewedDate
+    ];
+    
+    if (existing && existing.rowIndex) {
+      sheet.getRange(existing.rowIndex, 1, 1, rowData.length).setValues([rowData]);
+    } else {
+      sheet.appendRow(rowData);
+    }
+  },
+  
+  /**
+   * Convert a proposals row to a proposal
+   * @param {Array} headers - Proposals headers
+   * @param {Array} row - Proposals row
+   * @returns {Object} Proposal
+   */
+  toRecord(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    return {
+      proposalId: String(value('Proposal_ID')),
+      created: value('Created'),
+      clientId: String(value('Client_ID')),
+      fieldKey: value('Field_Key'),
+      column: value('Column'),
+      currentValue: value('Current_Value'),
+      proposedValue: value('Proposed_Value'),
+      responseId: String(value('Form_Response_ID')),
+      status: value('Status'),
+      reviewedBy: value('Reviewed_By'),
+      reviewedDate: value('Reviewed_Date')
+    };
+  },
+  
+  /**
+   * Flatten a form answer for storage in a single cell
+   * @param {any} value - Answer value
+   * @returns {string} Cell value
+   */
+  toCellValue(value) {
+    if (Array.isArray(value)) {
+      return PipeDelimitedHelpers.stringify(value);
+    }
+    
+    return value === null || value === undefined ? '' : value;
+  }
+};
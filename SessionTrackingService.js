@@ -6,6 +6,23 @@
 
 const SessionTrackingService = {
   
+  // Sessions sheet columns, in sheet order
+  SESSION_HEADERS: [
+    'Session_ID',
+    'Date',
+    'Client_ID',
+    'Client_Name',
+    'Goals_Selected',
+    'Form_ID',
+    'Form_Response_ID',
+    'Status',
+    'Created_Date',
+    'Last_Updated',
+    'Notes',
+    'Appointment_ID',
+    'Form_URL'
+  ],
+  
   /**
    * Get or create sessions sheet
    * @returns {GoogleAppsScript.Spreadsheet.Sheet} Sessions sheet
@@ -20,23 +37,13 @@ const SessionTrackingService = {
         sheet = ss.insertSheet(config.SESSIONS_SHEET);
         
         // Set up headers
-        const headers = [
-          'Session_ID',
-          'Date',
-          'Client_ID',
-          'Client_Name',
-          'Goals_Selected',
-          'Form_ID',
-          'Form_Response_ID',
-          'Status',
-          'Created_Date',
-          'Last_Updated',
-          'Notes'
-        ];
+        const headers = this.SESSION_HEADERS;
         
         sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
         sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
         sheet.setFrozenRows(1);
+      } else {
+        this.ensureSessionHeaders(sheet);
       }
       
       return sheet;
@@ -46,6 +53,28 @@ const SessionTrackingService = {
     }
   },
   
+  /**
+   * Add any missing session columns to an existing sheet
+   * Sheets created before appointment linkage lack Appointment_ID and Form_URL
+   * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - Sessions sheet
+   */
+  ensureSessionHeaders(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = lastColumn > 0 ?
+      sheet.getRange(1, 1, 1, lastColumn).getValues()[0] :
+      [];
+    
+    const missing = this.SESSION_HEADERS.filter(header => !headers.includes(header));
+    if (missing.length === 0) {
+      return;
+    }
+    
+    const range = sheet.getRange(1, lastColumn + 1, 1, missing.length);
+    range.setValues([missing]);
+    range.setFontWeight('bold');
+    Logger.log(`Added session columns: ${missing.join(', ')}`);
+  },
+  
   /**
    * Get session status for a specific date and client
    * @param {Date} sessionDate - Session date
@@ -96,6 +125,8 @@ const SessionTrackingService = {
   
   /**
    * Create or update session record
+   * Sessions are matched by appointment ID and date when an appointment ID is
+   * given, otherwise by date and client. Fields left undefined keep their existing values.
    * @param {Object} sessionData - Session data
    * @returns {string|null} Session ID or null if failed
    */
@@ -109,11 +140,13 @@ const SessionTrackingService = {
         sessionDate,
         clientId,
         clientName,
-        goalsSelected = '',
-        formId = '',
-        formResponseId = '',
-        status = 'in_progress',
-        notes = ''
+        goalsSelected,
+        formId,
+        formResponseId,
+        status,
+        notes,
+        appointmentId,
+        formUrl
       } = sessionData;
       
       if (!sessionDate || !clientId) {
@@ -124,41 +157,46 @@ const SessionTrackingService = {
       const data = sheet.getDataRange().getValues();
       const headers = data[0];
       
-      const sessionDateStr = this.formatDateForComparison(sessionDate);
-      let existingRowIndex = -1;
-      
-      // Check if session already exists
-      for (let i = 1; i < data.length; i++) {
-        const row = data[i];
-        const rowDateStr = this.formatDateForComparison(row[headers.indexOf('Date')]);
-        const rowClientId = String(row[headers.indexOf('Client_ID')]);
-        
-        if (rowDateStr === sessionDateStr && rowClientId === String(clientId)) {
-          existingRowIndex = i;
-          break;
-        }
-      }
+      const existingRowIndex = this.findSessionRowIndex(data, {
+        appointmentId,
+        sessionDate,
+        clientId
+      });
+      const existingRow = existingRowIndex > -1 ? data[existingRowIndex] : null;
       
-      const sessionId = existingRowIndex > -1 ? 
-        data[existingRowIndex][headers.indexOf('Session_ID')] : 
+      const sessionId = existingRow ?
+        existingRow[headers.indexOf('Session_ID')] :
         this.generateSessionId();
       
       const now = new Date();
-      const rowData = [
-        sessionId,
-        sessionDate,
-        clientId,
-        clientName,
-        goalsSelected,
-        formId,
-        formResponseId,
-        status,
-        existingRowIndex > -1 ? data[existingRowIndex][headers.indexOf('Created_Date')] : now,
-        now,
-        notes
-      ];
+      const values = {
+        Session_ID: sessionId,
+        Date: sessionDate,
+        Client_ID: clientId,
+        Client_Name: clientName,
+        Goals_Selected: goalsSelected,
+        Form_ID: formId,
+        Form_Response_ID: formResponseId,
+        Status: status,
+        Created_Date: existingRow ? undefined : now,
+        Last_Updated: now,
+        Notes: notes,
+        Appointment_ID: appointmentId,
+        Form_URL: formUrl
+      };
       
-      if (existingRowIndex > -1) {
+      if (!existingRow && values.Status === undefined) {
+        values.Status = 'in_progress';
+      }
+      
+      const rowData = headers.map((header, index) => {
+        if (values[header] !== undefined) {
+          return values[header];
+        }
+        return existingRow ? existingRow[index] : '';
+      });
+      
+      if (existingRow) {
         // Update existing session
         sheet.getRange(existingRowIndex + 1, 1, 1, rowData.length).setValues([rowData]);
         Logger.log(`Updated session: ${sessionId}`);
@@ -175,6 +213,222 @@ const SessionTrackingService = {
     }
   },
   
+  /**
+   * Find the row index of an existing session in sheet data
+   * Instances of a recurring appointment share its ID, so an appointment
+   * match also requires the session date to match.
+   * @param {Array<Array>} data - Sessions sheet values including headers
+   * @param {Object} criteria - appointmentId, sessionDate and clientId
+   * @returns {number} Row index into data, or -1 if not found
+   */
+  findSessionRowIndex(data, criteria) {
+    const headers = data[0];
+    const appointmentColumn = headers.indexOf('Appointment_ID');
+    const dateColumn = headers.indexOf('Date');
+    const clientIdColumn = headers.indexOf('Client_ID');
+    const sessionDateStr = this.formatDateForComparison(criteria.sessionDate);
+    
+    if (criteria.appointmentId && appointmentColumn > -1) {
+      for (let i = 1; i < data.length; i++) {
+        if (String(data[i][appointmentColumn]) === String(criteria.appointmentId) &&
+            this.formatDateForComparison(data[i][dateColumn]) === sessionDateStr) {
+          return i;
+        }
+      }
+    }
+    
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      
+      // Never claim a row that belongs to a different appointment
+      if (criteria.appointmentId && appointmentColumn > -1 && row[appointmentColumn]) {
+        continue;
+      }
+      
+      if (this.formatDateForComparison(row[dateColumn]) === sessionDateStr &&
+          String(row[clientIdColumn]) === String(criteria.clientId)) {
+        return i;
+      }
+    }
+    
+    return -1;
+  },
+  
+  /**
+   * Get the session record linked to one instance of a calendar appointment
+   * @param {string} appointmentId - Calendar event ID
+   * @param {Date|string} startTime - Start of the appointment instance
+   * @returns {Object|null} Session record or null if not found
+   */
+  getSessionByAppointmentId(appointmentId, startTime) {
+    try {
+      if (!appointmentId || !startTime) {
+        return null;
+      }
+      
+      const appointment = { id: appointmentId, startTime: startTime };
+      const records = this.getSessionRecordsForAppointments([appointment]);
+      return records[this.getAppointmentKey(appointment)] || null;
+    } catch (error) {
+      Logger.log('Error getting session by appointment ID: ' + error.toString());
+      return null;
+    }
+  },
+  
+  /**
+   * Look up session records by session ID with a single sheet read
+   * @param {Array<string>} sessionIds - Session IDs
+   * @returns {Object} Map of session ID to session record
+   */
+  getSessionsById(sessionIds) {
+    try {
+      const records = {};
+      
+      if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+        return records;
+      }
+      
+      const wanted = new Set(sessionIds.map(String));
+      const data = this.getSessionsSheet().getDataRange().getValues();
+      
+      for (let i = 1; i < data.length; i++) {
+        const record = this.toSessionRecord(data[0], data[i]);
+        
+        if (wanted.has(record.sessionId)) {
+          records[record.sessionId] = record;
+        }
+      }
+      
+      return records;
+    } catch (error) {
+      Logger.log('Error getting sessions by ID: ' + error.toString());
+      return {};
+    }
+  },
+  
+  /**
+   * Look up session records for many appointments with a single sheet read
+   * Linked sessions are keyed by appointment ID and date, since instances of a
+   * recurring appointment share one ID. Appointments without a linked session
+   * fall back to a date and client match, which picks up sessions that were
+   * documented manually.
+   * @param {Array<Object>} appointments - Appointments with id, startTime and matchedClient
+   * @returns {Object} Map of appointment key (see getAppointmentKey) to session record
+   */
+  getSessionRecordsForAppointments(appointments) {
+    try {
+      const records = {};
+      
+      if (!Array.isArray(appointments) || appointments.length === 0) {
+        return records;
+      }
+      
+      const sheet = this.getSessionsSheet();
+      const data = sheet.getDataRange().getValues();
+      
+      if (data.length <= 1) {
+        return records;
+      }
+      
+      const headers = data[0];
+      const byAppointmentId = {};
+      const byDateAndClient = {};
+      
+      for (let i = 1; i < data.length; i++) {
+        const record = this.toSessionRecord(headers, data[i]);
+        
+        if (record.appointmentId) {
+          const key = this.getAppointmentKey({ id: record.appointmentId, startTime: record.date });
+          byAppointmentId[key] = record;
+        } else if (record.clientId) {
+          const key = this.formatDateForComparison(record.date) + '|' + record.clientId;
+          byDateAndClient[key] = record;
+        }
+      }
+      
+      appointments.forEach(appointment => {
+        if (!appointment || !appointment.id) {
+          return;
+        }
+        
+        if (!appointment.startTime) {
+          return;
+        }
+        
+        const appointmentKey = this.getAppointmentKey(appointment);
+        let record = byAppointmentId[appointmentKey];
+        
+        if (!record) {
+          const clientId = this.resolveClientId(appointment.matchedClient);
+          if (clientId) {
+            const key = this.formatDateForComparison(appointment.startTime) + '|' + clientId;
+            record = byDateAndClient[key];
+          }
+        }
+        
+        if (record) {
+          records[appointmentKey] = record;
+        }
+      });
+      
+      return records;
+    } catch (error) {
+      Logger.log('Error getting session records for appointments: ' + error.toString());
+      return {};
+    }
+  },
+  
+  /**
+   * Key one instance of an appointment by its ID and date
+   * Instances of a recurring appointment share an ID but not a date.
+   * @param {Object} appointment - Appointment with id and startTime
+   * @returns {string} Appointment key
+   */
+  getAppointmentKey(appointment) {
+    return String(appointment.id) + '|' + this.formatDateForComparison(appointment.startTime);
+  },
+  
+  /**
+   * Convert a sessions sheet row to a session record
+   * @param {Array} headers - Sessions sheet headers
+   * @param {Array} row - Sessions sheet row
+   * @returns {Object} Session record
+   */
+  toSessionRecord(headers, row) {
+    const value = header => {
+      const index = headers.indexOf(header);
+      return index > -1 ? row[index] : '';
+    };
+    
+    return {
+      sessionId: String(value('Session_ID')),
+      appointmentId: String(value('Appointment_ID')),
+      date: value('Date'),
+      clientId: String(value('Client_ID')),
+      clientName: value('Client_Name'),
+      goalsSelected: value('Goals_Selected'),
+      formId: value('Form_ID'),
+      formResponseId: value('Form_Response_ID'),
+      formUrl: value('Form_URL'),
+      status: value('Status') || 'not_started',
+      lastUpdated: value('Last_Updated')
+    };
+  },
+  
+  /**
+   * Resolve a client ID from either a matched client or a client sheet row
+   * @param {Object} client - Client object
+   * @returns {string} Client ID or empty string
+   */
+  resolveClientId(client) {
+    if (!client) {
+      return '';
+    }
+    
+    const config = ConfigurationService.getSpreadsheetConfig();
+    return String(client.id || client[config.CLIENT_ID_COLUMN] || '');
+  },
+  
   /**
    * Update session status
    * @param {string} sessionId - Session ID
@@ -563,4 +817,124 @@ const SessionTrackingService = {
       return '';
     }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Appointment session bridge
+ * Global entry points used by the dialog and menu handlers to link calendar
+ * appointments to session records
+ */
+
+/**
+ * Add documentation status to appointments
+ * @param {Array<Object>} appointments - Appointments with client matches
+ * @return {Array<Object>} Appointments with documentationStatus, sessionRecord and isDocumented
+ */
+function getAppointmentStatuses(appointments) {
+  const records = SessionTrackingService.getSessionRecordsForAppointments(appointments);
+  
+  return appointments.map(appointment => {
+    const sessionRecord = records[SessionTrackingService.getAppointmentKey(appointment)] || null;
+    const documentationStatus = toDocumentationStatus(sessionRecord);
+    
+    return {
+      ...appointment,
+      documentationStatus: documentationStatus,
+      sessionRecord: sessionRecord,
+      isDocumented: documentationStatus === 'documented'
+    };
+  });
+}
+
+/**
+ * Map a session record status to the status shown for an appointment
+ * @param {Object|null} sessionRecord - Session record
+ * @return {string} 'not_started', 'in_progress' or 'documented'
+ */
+function toDocumentationStatus(sessionRecord) {
+  if (!sessionRecord) {
+    return 'not_started';
+  }
+  
+  switch (sessionRecord.status) {
+    case 'completed':
+      return 'documented';
+    case 'in_progress':
+      return 'in_progress';
+    default:
+      return 'not_started';
+  }
+}
+
+/**
+ * Mark the session for an appointment as in progress
+ * Completed sessions are left as they are.
+ * @param {string} appointmentId - Calendar event ID
+ * @param {Object} client - Matched client
+ * @param {Object} appointment - Appointment object
+ * @return {string|null} Session ID or null if failed
+ */
+function markSessionInProgress(appointmentId, client, appointment) {
+  const clientId = SessionTrackingService.resolveClientId(client);
+  
+  if (!appointmentId || !clientId) {
+    Logger.log('Cannot mark session in progress without appointment and client');
+    return null;
+  }
+  
+  const sessionDate = appointment && appointment.startTime ? new Date(appointment.startTime) : new Date();
+  const existing = SessionTrackingService.getSessionByAppointmentId(appointmentId, sessionDate);
+  if (existing && existing.status === 'completed') {
+    return existing.sessionId;
+  }
+  
+  const config = ConfigurationService.getSpreadsheetConfig();
+  
+  return SessionTrackingService.createOrUpdateSession({
+    appointmentId: appointmentId,
+    sessionDate: sessionDate,
+    clientId: clientId,
+    clientName: client.name || client[config.CLIENT_NAME_COLUMN] || '',
+    status: 'in_progress'
+  });
+}
+
+/**
+ * Get the session record linked to an appointment instance
+ * @param {string} appointmentId - Calendar event ID
+ * @param {Date|string} startTime - Start of the appointment instance
+ * @return {Object|null} Session record or null if not found
+ */
+function getSessionRecord(appointmentId, startTime) {
+  return SessionTrackingService.getSessionByAppointmentId(appointmentId, startTime);
+}
+
+/**
+ * Record a session once its documentation form has been generated
+ * @param {Object} sessionData - Session data with client, goal, appointment and formUrl
+ * @return {string|null} Session ID or null if failed
+ */
+function recordSession(sessionData) {
+  if (!sessionData || !sessionData.client) {
+    Logger.log('Cannot record session without client data');
+    return null;
+  }
+  
+  const appointment = sessionData.appointment || null;
+  const appointmentId = sessionData.appointmentId || (appointment && appointment.id) || '';
+  const sessionDate = appointment && appointment.startTime ? new Date(appointment.startTime) : new Date();
+  const existing = appointmentId ?
+    SessionTrackingService.getSessionByAppointmentId(appointmentId, sessionDate) :
+    null;
+  
+  return SessionTrackingService.createOrUpdateSession({
+    appointmentId: appointmentId || undefined,
+    sessionDate: sessionDate,
+    clientId: SessionTrackingService.resolveClientId(sessionData.client),
+    clientName: sessionData.client.name,
+    goalsSelected: sessionData.goal,
+    formId: ConfigurationService.getFormId(),
+    formUrl: sessionData.formUrl,
+    status: existing && existing.status === 'completed' ? undefined : 'in_progress'
+  });
+}